@@ -1,146 +1,494 @@
+// The page: connects the camera to the hand detector, note mapper and audio engine
+// through the event bus, and runs the controls, calibration wizard, recordings (of
+// notes, sound and landmarks), loop station, effects rack, theremin, lessons and jam sessions.
+
+import { mediaPipeHandsUrl } from './offline-assets.js';
+import { noteToMidi, scaleUsesFlats, buildScale, describeScale } from './scales.js';
+import { gestureNames } from './gestures.js';
+import { expressionSources, expressionTargets } from './expression.js';
+import { createPerformanceRecorder, takeToJSON, parseTakeJSON, takeToMidi, replayTake } from './recorder.js';
+import { encodeWavFile } from './wav-file.js';
+import { getAudioDuration, trimAudio, findAudibleRange, createAudioCapture, renderTakeOffline } from './audio-take.js';
+import { createManualClock, createLandmarkRecorder, landmarkRecordingToJSON, parseLandmarkRecordingJSON, playLandmarkRecording } from './landmark-replay.js';
+import { createToneOutput, createMidiOutput, requestMidiOutputPorts } from './note-output.js';
+import { defaultCalibration, calibrationFingerNames, calibrationSteps, createCalibrationSession, computeCalibrationProfile, loadCalibrationProfiles, saveCalibrationProfile, deleteCalibrationProfile, getActiveCalibrationName, setActiveCalibrationName, calibrationProfilesToJSON, parseCalibrationProfilesJSON } from './calibration.js';
+import { fingerPressSettings } from './voice-manager.js';
+import { zoneLayouts, zoneTriggers, buildZoneLayout } from './zone-layout.js';
+import { drumMidiChannel, drumKitPieces, defaultDrumMappings, drumPadCount, buildDrumPadLayout } from './drum-kit.js';
+import { defaultTempoSettings, tempoLimits, quantizeGrids, arpeggiatorPatterns, sortNotesByPitch } from './tempo.js';
+import { chordQualities } from './chords.js';
+import { getLoopBeats, createLooper, looperToJSON, parseLooperJSON } from './looper.js';
+import { lessonRatings, lessonModes, parseLessonJSON, lessonFromMidiFile, createLessonSession, loadLessonResults, saveLessonResult } from './lesson.js';
+import { jamDelays, loadJamSettings, saveJamSettings, createJamSession, createJamPlayerVoice } from './jam.js';
+import { effectTypes, masterEffectTypes, getDefaultEffectSettings, mergeEffectSettings, getInstrumentEffectSettings, loadEffectPresets, saveEffectPreset, deleteEffectPreset, loadMasterEffectSettings, saveMasterEffectSettings } from './effects.js';
+import { createEventBus } from './event-bus.js';
+import { calculateFingerPositions, measureFingerMovement } from './hand-features.js';
+import { smoothingLevels, landmarkFilterSettings } from './landmark-filter.js';
+import { thereminSources, thereminWaveforms, defaultThereminSettings, describePitch, getThereminGuide } from './theremin.js';
+import { createHandDetector } from './hand-detector.js';
+import { getScaleIndexForHeight, createNoteMapper } from './note-mapper.js';
+import { instruments } from './instruments.js';
+import { buildUserInstruments, getUserInstrumentId, readInstrumentFiles, getDroppedFiles, registerUserInstrument, unregisterUserInstrument, loadUserInstruments, saveUserInstrument, deleteUserInstrument } from './user-instruments.js';
+import { getVoiceId, runAtAudioTime, createAudioEngine } from './audio-engine.js';
+import { createUiRenderer } from './ui-renderer.js';
+
 // Global variables
 let camera;
 let hands;
 let videoElement;
 let canvasElement;
-let canvasCtx;
 let debugInfo;
+let statusElement;
 let startButton;
 let stopButton;
 let instrumentSelect;
+let userInstrumentGroup;
+let instrumentDropZone;
+let instrumentFilesInput;
+let instrumentFolderInput;
+let deleteInstrumentButton;
+let scaleRootSelect;
+let scaleModeSelect;
+let scaleOctaveSelect;
+let scaleRangeSelect;
+let zoneLayoutSelect;
+let zoneTriggerSelect;
+let bpmInput;
+let timeSignatureSelect;
+let metronomeCheckbox;
+let quantizeSelect;
+let arpeggiatorSelect;
+
+let leftHandRoleSelect;
+let rightHandRoleSelect;
+let chordQualitySelect;
+let gestureCommandsCheckbox;
+let smoothingSelect;
+let thereminSourceSelect;
+let thereminLowOctaveSelect;
+let thereminOctavesSelect;
+let thereminWaveformSelect;
+let thereminCorrectionInput;
+let thereminCorrectionValue;
+let expressionTable;
+let drumTable;
+let loopBarsSelect;
+let saveLoopsButton;
+let loadLoopsInput;
+let looperTable;
+let effectsTable;
+let masterEffectsTable;
+let resetEffectsButton;
+let effectsInstrumentLabel;
+let recordButton;
+let playTakeButton;
+let exportMidiButton;
+let exportJsonButton;
+let loadTakeInput;
+let midiFormatSelect;
+let recordAudioButton;
+let renderTakeButton;
+let audioTakeInfo;
+let trimStartInput;
+let trimEndInput;
+let trimSilenceButton;
+let audioPreview;
+let wavBitDepthSelect;
+let downloadWavButton;
+let lessonFileInput;
+let lessonNameLabel;
+let lessonModeSelect;
+let lessonSpeedSelect;
+let startLessonButton;
+let lessonResultsTable;
+let jamUrlInput;
+let jamRoomInput;
+let jamNameInput;
+let jamDelaySelect;
+let joinJamButton;
+let jamInfo;
+let jamPlayersTable;
+let recordFramesButton;
+let saveFramesButton;
+let loadFramesInput;
+let replayFramesButton;
+let replaySpeedSelect;
+let outputSelect;
+let midiChannelSelect;
+let findMidiButton;
+let calibrationProfileSelect;
+let calibrateButton;
+let deleteProfileButton;
+let exportProfilesButton;
+let importProfilesInput;
+let calibrationWizard;
+let calibrationStepText;
+let calibrationProgress;
+let calibrationPreview;
+let calibrationSaveForm;
+let profileNameInput;
+let saveProfileButton;
+let cancelCalibrationButton;
+
+// Effects rack and master bus settings (see effects.js). effectSettings are the
+// rack settings of the selected instrument.
+let effectSettings = getDefaultEffectSettings(effectTypes);
+const masterEffectSettings = loadMasterEffectSettings();
+let rackControls = {};
+let masterControls = {};
+
+// Player calibration (see calibration.js). pendingCalibration is a freshly measured
+// profile being tried out before it is saved or discarded.
+let calibration = defaultCalibration;
+let calibrationSession = null;
+let pendingCalibration = null;
+let calibrationBeforeTrial = null;
+
+// MIDI ports notes can be sent to (see note-output.js)
+let midiOutputPorts = [];
+
+// Clock for note timing. Normally the audio clock, swapped for the recorded
+// frame times while landmarks are replayed (see landmark-replay.js).
+const toneClock = { now: () => Tone.now() };
+let appClock = toneClock;
+
+// Performance recording (see recorder.js)
+const performanceRecorder = createPerformanceRecorder({ now: () => appClock.now(), isPercussion: () => isPercussionInstrument() });
+let lastTake = null;
+let stopTakeReplay = null;
+
+// Audio takes (see audio-take.js): the sound captured from the master output or
+// rendered from the last take, with a WAV of the trimmed part to preview
+const audioCapture = createAudioCapture(() => audioEngine.getMasterOutput());
+let audioTake = null;
+let audioPreviewUrl = null;
+
+// Lessons (see lesson.js): the melody loaded, and the run through it being played
+let loadedLesson = null;
+let lessonSession = null;
+
+// Jam session (see jam.js): where to connect, the session joined, and the voice each
+// other player is heard through, with the latency cell of their row in the players table
+const jamSettings = loadJamSettings(location.hostname);
+let jamSession = null;
+let jamInfoTimer = null;
+const jamVoices = new Map(); // player id -> voice
+let jamLatencyCells = new Map(); // player id -> table cell
+
+// Whether hand tracking has produced results since the camera started
+let handTrackingReady = false;
+
+// Landmark frame recording and replay (see landmark-replay.js)
+const landmarkRecorder = createLandmarkRecorder();
+let landmarkRecording = null;
+let stopFrameReplay = null;
+
+// Roles a hand can take on
+const handRoleNames = {
+    melody: 'Melody',
+    chords: 'Chords',
+    theremin: 'Theremin',
+    controls: 'Filter & Volume',
+    off: 'Off'
+};
+
+// Which role each hand plays (keys are the player's real hands)
+const handRoles = {
+    Right: 'melody',
+    Left: 'chords'
+};
+
+// Commands that gestures can be bound to (bindings are in gestures.js)
+const gestureCommands = {
+    panic: { name: 'Release All Notes', run: () => releaseAllHands() },
+    nextInstrument: { name: 'Next Instrument', run: () => stepSelectOption(instrumentSelect, 1, true, changeInstrument) },
+    previousInstrument: { name: 'Previous Instrument', run: () => stepSelectOption(instrumentSelect, -1, true, changeInstrument) },
+    octaveUp: { name: 'Octave Up', run: () => stepSelectOption(scaleOctaveSelect, 1, false, changeScale) },
+    octaveDown: { name: 'Octave Down', run: () => stepSelectOption(scaleOctaveSelect, -1, false, changeScale) },
+    nextScaleMode: { name: 'Next Scale', run: () => stepSelectOption(scaleModeSelect, 1, true, changeScale) },
+    loopRecord: { name: 'Record Loop', run: () => toggleLoopRecording(looper.selectedTrack) }
+};
 
-// Music variables
-let synth;
-let isPlaying = false;
-let lastNoteTime = 0;
-let currentNotes = [];
-let lastFingerPositions = null;
-
-// Notes for different scales
-const scales = {
-    cMajor: ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'],
-    gMajor: ['G3', 'A3', 'B3', 'C4', 'D4', 'E4', 'F#4', 'G4'],
-    fMajor: ['F3', 'G3', 'A3', 'Bb3', 'C4', 'D4', 'E4', 'F4'],
-    dMinor: ['D3', 'E3', 'F3', 'G3', 'A3', 'Bb3', 'C4', 'D4'],
-    aMinor: ['A3', 'B3', 'C4', 'D4', 'E4', 'F4', 'G4', 'A4']
+// Scale the hands play in (see scales.js)
+const scaleSettings = {
+    root: 'C',
+    mode: 'ionian',
+    octave: 4,
+    octaves: 1
 };
 
 // Current scale
-let currentScale = scales.cMajor;
-
-// Instrument configurations
-const instruments = {
-    piano: {
-        create: () => new Tone.Sampler({
-            urls: {
-                C4: "C4.mp3",
-                "D#4": "Ds4.mp3",
-                "F#4": "Fs4.mp3",
-                A4: "A4.mp3",
-            },
-            baseUrl: "https://tonejs.github.io/audio/salamander/",
-        }).toDestination(),
-    },
-    synth: {
-        create: () => new Tone.PolySynth(Tone.Synth).toDestination(),
-    },
-    marimba: {
-        // Use a synthesizer with marimba-like settings instead of samples
-        create: () => new Tone.PolySynth(Tone.FMSynth, {
-            harmonicity: 3.01,
-            modulationIndex: 14,
-            oscillator: {
-                type: "triangle"
-            },
-            envelope: {
-                attack: 0.002,
-                decay: 0.5,
-                sustain: 0.1,
-                release: 1.2
-            },
-            modulation: {
-                type: "square"
-            },
-            modulationEnvelope: {
-                attack: 0.01,
-                decay: 0.1,
-                sustain: 0.4,
-                release: 0.5
-            }
-        }).toDestination()
-    },
-    guitar: {
-        // Use a synthesizer with guitar-like settings instead of samples
-        create: () => new Tone.PolySynth(Tone.AMSynth, {
-            harmonicity: 2.5,
-            oscillator: {
-                type: "fatsawtooth"
-            },
-            envelope: {
-                attack: 0.01,
-                decay: 0.1,
-                sustain: 0.3,
-                release: 1.2
-            },
-            modulation: {
-                type: "square"
-            },
-            modulationEnvelope: {
-                attack: 0.5,
-                decay: 0,
-                sustain: 1,
-                release: 0.5
-            }
-        }).toDestination()
-    },
-    bass: {
-        // Use a synthesizer with bass-like settings instead of samples
-        create: () => new Tone.MonoSynth({
-            oscillator: {
-                type: "fmsquare5",
-                modulationType: "triangle",
-                modulationIndex: 2,
-                harmonicity: 0.501
-            },
-            filter: {
-                Q: 1,
-                type: "lowpass",
-                rolloff: -24
-            },
-            envelope: {
-                attack: 0.01,
-                decay: 0.1,
-                sustain: 0.4,
-                release: 0.5
-            },
-            filterEnvelope: {
-                attack: 0.01,
-                decay: 0.1,
-                sustain: 0.8,
-                release: 0.5,
-                baseFrequency: 50,
-                octaves: 4.4
-            }
-        }).toDestination()
-    }
+let currentScale = buildScale(scaleSettings.root, scaleSettings.mode, scaleSettings.octave, scaleSettings.octaves);
+
+// Chords the chords role plays (see chords.js)
+const chordSettings = {
+    quality: 'triad'
+};
+
+// How strongly hand landmarks are smoothed before fingers are measured (see landmark-filter.js)
+const trackingSettings = {
+    smoothing: landmarkFilterSettings.smoothing
+};
+
+// Range, pitch correction and voice of theremin hands (see theremin.js)
+const thereminSettings = { ...defaultThereminSettings };
+
+// What each theremin hand is playing, from its latest thereminFrame, or null
+const thereminReadings = { Left: null, Right: null };
+
+// On-screen note zones (see zone-layout.js). zoneLayout is null in the
+// 'height' layout, where fingertip height picks the note.
+const zoneSettings = {
+    layout: 'height',
+    trigger: 'enter'
 };
+let zoneLayout = null;
+
+// Transport tempo, metronome, quantizing and arpeggiator (see tempo.js)
+const tempoSettings = { ...defaultTempoSettings, timeSignature: [...defaultTempoSettings.timeSignature] };
+
+// Loop station (see looper.js). Loops play straight to their track's output, not
+// through the voice manager, so they are never recorded back into a loop or take.
+const looper = createLooper();
+let loopEventId = null;
+let loopStartTicks = 0; // transport position the current repeat of the loop started at
+const loopTrackPlayers = []; // track index -> { instrument, synth, toneOutput, eventIds, heldNotes }
+let looperRows = []; // track index -> its controls in the looper table
+
+// Which finger and pad hits each drum kit piece (see drum-kit.js)
+const drumMappings = {};
+for (const [piece, mapping] of Object.entries(defaultDrumMappings)) {
+    drumMappings[piece] = { ...mapping };
+}
+
+// The parts of the app talk through an event bus (see event-bus.js): the hand detector
+// turns camera frames into presses, the note mapper picks what they play and the audio
+// engine plays it. Each reads the settings above when it needs them.
+const bus = createEventBus();
+
+const audioEngine = createAudioEngine(bus, {
+    getTempoSettings: () => tempoSettings,
+    getEffectSettings: () => effectSettings,
+    getMasterEffectSettings: () => masterEffectSettings,
+    getThereminSettings: () => thereminSettings
+});
+
+const handDetector = createHandDetector(bus, {
+    now: () => appClock.now(),
+    getCalibration: () => calibration,
+    getRole: hand => handRoles[hand],
+    getZoneLayout: () => zoneLayout,
+    getZoneTrigger: () => zoneSettings.trigger,
+    gestureCommandsEnabled: () => gestureCommandsCheckbox.checked,
+    getSmoothing: () => trackingSettings.smoothing,
+    isHandPlaying: hand => audioEngine.isHandPlaying(hand)
+});
+
+const noteMapper = createNoteMapper(bus, {
+    getScale: () => currentScale,
+    getScaleSettings: () => scaleSettings,
+    getChordQuality: () => chordSettings.quality,
+    getCalibration: () => calibration,
+    getRole: hand => handRoles[hand],
+    isPercussion: () => isPercussionInstrument(),
+    getDrumMappings: () => drumMappings,
+    getThereminSettings: () => thereminSettings
+});
+
+// Canvas, status bar and debug panel (see ui-renderer.js), created with the page's elements
+let uiRenderer = null;
+
+// Debug text for each hand, empty while it isn't seen
+const handDebugTexts = { Left: '', Right: '' };
+
+// Every note the hands start or stop is recorded for that hand and into the loop being recorded
+bus.on('noteOn', ({ note, velocity, hand }) => {
+    performanceRecorder.noteOn(note, velocity, hand);
+    recordLoopEvent('noteOn', note, velocity);
+    
+    // and scored against the lesson being played
+    if (lessonSession) {
+        lessonSession.notePlayed(noteToMidi(note), appClock.now());
+    }
+    if (jamSession) {
+        jamSession.sendNote('noteOn', note, velocity);
+    }
+});
+bus.on('noteOff', ({ note, hand }) => {
+    performanceRecorder.noteOff(note, hand);
+    recordLoopEvent('noteOff', note, 0);
+    if (jamSession) {
+        jamSession.sendNote('noteOff', note);
+    }
+});
+
+// The other players in a jam hear the hands' expression too
+bus.on('expression', ({ target, value }) => {
+    if (jamSession) {
+        jamSession.sendControl(target, value);
+    }
+});
+bus.on('gesture', ({ hand, gesture, command }) => runGestureCommand(command, gesture, hand));
+
+// Keep what the theremin hands play for the tuning guide
+bus.on('thereminFrame', reading => {
+    thereminReadings[reading.hand] = reading;
+});
+bus.on('handMissing', ({ hand }) => {
+    thereminReadings[hand] = null;
+});
 
 // Initialize the app when the DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     initializeElements();
+    buildExpressionControls();
+    buildDrumControls();
+    buildLooperControls();
+    buildAllEffectControls();
+    loadSavedUserInstruments();
+    refreshCalibrationProfiles();
+    selectCalibrationProfile(getActiveCalibrationName());
     setupEventListeners();
-    initializeHandTracking();
+    registerServiceWorker();
+    
+    if (checkLibrariesLoaded()) {
+        initializeHandTracking();
+    }
 });
 
 // Initialize DOM elements
 function initializeElements() {
     videoElement = document.getElementById('webcam');
     canvasElement = document.getElementById('output-canvas');
-    canvasCtx = canvasElement.getContext('2d');
     debugInfo = document.getElementById('debug-info');
+    statusElement = document.getElementById('status');
+    uiRenderer = createUiRenderer(bus, { canvas: canvasElement, statusElement, debugElement: debugInfo });
     startButton = document.getElementById('start-btn');
     stopButton = document.getElementById('stop-btn');
     instrumentSelect = document.getElementById('instrument-select');
+    userInstrumentGroup = document.getElementById('user-instruments');
+    instrumentDropZone = document.getElementById('instrument-drop-zone');
+    instrumentFilesInput = document.getElementById('instrument-files-input');
+    instrumentFolderInput = document.getElementById('instrument-folder-input');
+    deleteInstrumentButton = document.getElementById('delete-instrument-btn');
+    scaleRootSelect = document.getElementById('scale-root');
+    scaleModeSelect = document.getElementById('scale-mode');
+    scaleOctaveSelect = document.getElementById('scale-octave');
+    scaleRangeSelect = document.getElementById('scale-range');
+    zoneLayoutSelect = document.getElementById('zone-layout');
+    zoneTriggerSelect = document.getElementById('zone-trigger');
+    bpmInput = document.getElementById('bpm');
+    timeSignatureSelect = document.getElementById('time-signature');
+    metronomeCheckbox = document.getElementById('metronome');
+    quantizeSelect = document.getElementById('quantize');
+    arpeggiatorSelect = document.getElementById('arpeggiator');
+    leftHandRoleSelect = document.getElementById('left-hand-role');
+    rightHandRoleSelect = document.getElementById('right-hand-role');
+    chordQualitySelect = document.getElementById('chord-quality');
+    gestureCommandsCheckbox = document.getElementById('gesture-commands');
+    smoothingSelect = document.getElementById('smoothing');
+    thereminSourceSelect = document.getElementById('theremin-source');
+    thereminLowOctaveSelect = document.getElementById('theremin-low-octave');
+    thereminOctavesSelect = document.getElementById('theremin-octaves');
+    thereminWaveformSelect = document.getElementById('theremin-waveform');
+    thereminCorrectionInput = document.getElementById('theremin-correction');
+    thereminCorrectionValue = document.getElementById('theremin-correction-value');
+    expressionTable = document.getElementById('expression-table');
+    drumTable = document.getElementById('drum-table');
+    loopBarsSelect = document.getElementById('loop-bars');
+    saveLoopsButton = document.getElementById('save-loops-btn');
+    loadLoopsInput = document.getElementById('load-loops-input');
+    looperTable = document.getElementById('looper-table');
+    effectsTable = document.getElementById('effects-table');
+    masterEffectsTable = document.getElementById('master-effects-table');
+    resetEffectsButton = document.getElementById('reset-effects-btn');
+    effectsInstrumentLabel = document.getElementById('effects-instrument');
+    recordButton = document.getElementById('record-btn');
+    playTakeButton = document.getElementById('play-take-btn');
+    exportMidiButton = document.getElementById('export-midi-btn');
+    exportJsonButton = document.getElementById('export-json-btn');
+    loadTakeInput = document.getElementById('load-take-input');
+    recordAudioButton = document.getElementById('record-audio-btn');
+    renderTakeButton = document.getElementById('render-take-btn');
+    audioTakeInfo = document.getElementById('audio-take-info');
+    trimStartInput = document.getElementById('trim-start');
+    trimEndInput = document.getElementById('trim-end');
+    trimSilenceButton = document.getElementById('trim-silence-btn');
+    audioPreview = document.getElementById('audio-take-preview');
+    wavBitDepthSelect = document.getElementById('wav-bit-depth');
+    downloadWavButton = document.getElementById('download-wav-btn');
+    lessonFileInput = document.getElementById('lesson-file-input');
+    lessonNameLabel = document.getElementById('lesson-name');
+    lessonModeSelect = document.getElementById('lesson-mode');
+    lessonSpeedSelect = document.getElementById('lesson-speed');
+    startLessonButton = document.getElementById('start-lesson-btn');
+    lessonResultsTable = document.getElementById('lesson-results');
+    jamUrlInput = document.getElementById('jam-url');
+    jamRoomInput = document.getElementById('jam-room');
+    jamNameInput = document.getElementById('jam-name');
+    jamDelaySelect = document.getElementById('jam-delay');
+    joinJamButton = document.getElementById('join-jam-btn');
+    jamInfo = document.getElementById('jam-info');
+    jamPlayersTable = document.getElementById('jam-players');
+    
+    // Fill in the jam remembered from the last visit
+    jamUrlInput.value = jamSettings.url;
+    jamRoomInput.value = jamSettings.room;
+    jamNameInput.value = jamSettings.name;
+    jamDelaySelect.value = jamSettings.delay;
+    midiFormatSelect = document.getElementById('midi-format');
+    recordFramesButton = document.getElementById('record-frames-btn');
+    saveFramesButton = document.getElementById('save-frames-btn');
+    loadFramesInput = document.getElementById('load-frames-input');
+    replayFramesButton = document.getElementById('replay-frames-btn');
+    replaySpeedSelect = document.getElementById('replay-speed');
+    outputSelect = document.getElementById('output-select');
+    midiChannelSelect = document.getElementById('midi-channel');
+    findMidiButton = document.getElementById('find-midi-btn');
+    calibrationProfileSelect = document.getElementById('calibration-profile');
+    calibrateButton = document.getElementById('calibrate-btn');
+    deleteProfileButton = document.getElementById('delete-profile-btn');
+    exportProfilesButton = document.getElementById('export-profiles-btn');
+    importProfilesInput = document.getElementById('import-profiles-input');
+    calibrationWizard = document.getElementById('calibration-wizard');
+    calibrationStepText = document.getElementById('calibration-step');
+    calibrationProgress = document.getElementById('calibration-progress');
+    calibrationPreview = document.getElementById('calibration-preview');
+    calibrationSaveForm = document.getElementById('calibration-save');
+    profileNameInput = document.getElementById('profile-name');
+    saveProfileButton = document.getElementById('save-profile-btn');
+    cancelCalibrationButton = document.getElementById('cancel-calibration-btn');
+    
+    // Show the configured role for each hand
+    leftHandRoleSelect.value = handRoles.Left;
+    rightHandRoleSelect.value = handRoles.Right;
+    
+    chordQualitySelect.value = chordSettings.quality;
+    smoothingSelect.value = trackingSettings.smoothing;
+    
+    // Show the starting theremin settings
+    thereminSourceSelect.value = thereminSettings.source;
+    thereminLowOctaveSelect.value = thereminSettings.lowOctave;
+    thereminOctavesSelect.value = thereminSettings.octaves;
+    thereminWaveformSelect.value = thereminSettings.waveform;
+    thereminCorrectionInput.value = thereminSettings.correction;
+    thereminCorrectionValue.textContent = `${Math.round(thereminSettings.correction * 100)}%`;
+    
+    // Show the starting scale
+    scaleRootSelect.value = scaleSettings.root;
+    scaleModeSelect.value = scaleSettings.mode;
+    scaleOctaveSelect.value = scaleSettings.octave;
+    scaleRangeSelect.value = scaleSettings.octaves;
+    zoneLayoutSelect.value = zoneSettings.layout;
+    zoneTriggerSelect.value = zoneSettings.trigger;
+    
+    // Show the starting tempo
+    bpmInput.value = tempoSettings.bpm;
+    timeSignatureSelect.value = tempoSettings.timeSignature.join('/');
+    metronomeCheckbox.checked = tempoSettings.metronome;
+    quantizeSelect.value = tempoSettings.quantize;
+    arpeggiatorSelect.value = tempoSettings.arpeggiator;
+    loopBarsSelect.value = looper.bars;
 }
 
 // Set up event listeners
@@ -148,28 +496,142 @@ function setupEventListeners() {
     startButton.addEventListener('click', startCamera);
     stopButton.addEventListener('click', stopCamera);
     instrumentSelect.addEventListener('change', changeInstrument);
+    instrumentDropZone.addEventListener('dragover', event => {
+        event.preventDefault();
+        instrumentDropZone.classList.add('dragging');
+    });
+    instrumentDropZone.addEventListener('dragleave', () => instrumentDropZone.classList.remove('dragging'));
+    instrumentDropZone.addEventListener('drop', dropInstrumentFiles);
+    instrumentFilesInput.addEventListener('change', () => pickInstrumentFiles(instrumentFilesInput));
+    instrumentFolderInput.addEventListener('change', () => pickInstrumentFiles(instrumentFolderInput));
+    deleteInstrumentButton.addEventListener('click', deleteSelectedUserInstrument);
+    scaleRootSelect.addEventListener('change', changeScale);
+    scaleModeSelect.addEventListener('change', changeScale);
+    scaleOctaveSelect.addEventListener('change', changeScale);
+    scaleRangeSelect.addEventListener('change', changeScale);
+    zoneLayoutSelect.addEventListener('change', changeZoneLayout);
+    zoneTriggerSelect.addEventListener('change', changeZoneLayout);
+    bpmInput.addEventListener('change', changeTempo);
+    timeSignatureSelect.addEventListener('change', changeTempo);
+    metronomeCheckbox.addEventListener('change', changeTempo);
+    quantizeSelect.addEventListener('change', changeTempo);
+    arpeggiatorSelect.addEventListener('change', changeTempo);
+    leftHandRoleSelect.addEventListener('change', () => changeHandRole('Left', leftHandRoleSelect.value));
+    rightHandRoleSelect.addEventListener('change', () => changeHandRole('Right', rightHandRoleSelect.value));
+    chordQualitySelect.addEventListener('change', changeChordQuality);
+    smoothingSelect.addEventListener('change', changeSmoothing);
+    [thereminSourceSelect, thereminLowOctaveSelect, thereminOctavesSelect, thereminWaveformSelect].forEach(select => {
+        select.addEventListener('change', changeThereminSettings);
+    });
+    thereminCorrectionInput.addEventListener('input', changeThereminSettings);
+    loopBarsSelect.addEventListener('change', changeLoopLength);
+    saveLoopsButton.addEventListener('click', saveLoops);
+    loadLoopsInput.addEventListener('change', loadLoops);
+    resetEffectsButton.addEventListener('click', resetInstrumentEffects);
+    recordButton.addEventListener('click', toggleRecording);
+    playTakeButton.addEventListener('click', toggleTakeReplay);
+    exportMidiButton.addEventListener('click', exportTakeAsMidi);
+    exportJsonButton.addEventListener('click', exportTakeAsJson);
+    loadTakeInput.addEventListener('change', loadTake);
+    recordAudioButton.addEventListener('click', toggleAudioRecording);
+    renderTakeButton.addEventListener('click', renderLastTake);
+    trimStartInput.addEventListener('change', updateAudioPreview);
+    trimEndInput.addEventListener('change', updateAudioPreview);
+    trimSilenceButton.addEventListener('click', trimAudioTakeSilence);
+    wavBitDepthSelect.addEventListener('change', updateAudioPreview);
+    downloadWavButton.addEventListener('click', downloadAudioTake);
+    lessonFileInput.addEventListener('change', loadLessonFile);
+    startLessonButton.addEventListener('click', toggleLesson);
+    joinJamButton.addEventListener('click', toggleJam);
+    jamDelaySelect.addEventListener('change', changeJamDelay);
+    recordFramesButton.addEventListener('click', toggleFrameRecording);
+    saveFramesButton.addEventListener('click', saveFrameRecording);
+    loadFramesInput.addEventListener('change', loadFrameRecording);
+    replayFramesButton.addEventListener('click', toggleFrameReplay);
+    outputSelect.addEventListener('change', changeOutput);
+    midiChannelSelect.addEventListener('change', changeOutput);
+    findMidiButton.addEventListener('click', findMidiOutputs);
+    calibrationProfileSelect.addEventListener('change', () => selectCalibrationProfile(calibrationProfileSelect.value));
+    calibrateButton.addEventListener('click', startCalibration);
+    deleteProfileButton.addEventListener('click', deleteSelectedProfile);
+    exportProfilesButton.addEventListener('click', exportCalibrationProfiles);
+    importProfilesInput.addEventListener('change', importCalibrationProfiles);
+    saveProfileButton.addEventListener('click', savePendingCalibration);
+    cancelCalibrationButton.addEventListener('click', cancelCalibration);
+}
+
+// Check the libraries loaded from the internet arrived. Without them (offline before
+// they were ever saved) nothing can play, so say so instead of failing silently.
+function checkLibrariesLoaded() {
+    const missing = [];
+    if (typeof Hands === 'undefined' || typeof Camera === 'undefined') {
+        missing.push('MediaPipe hand tracking');
+    }
+    if (typeof Tone === 'undefined') {
+        missing.push('Tone.js');
+    }
+    if (missing.length === 0) {
+        return true;
+    }
+    
+    startButton.disabled = true;
+    uiRenderer.showStatus(`Could not load ${missing.join(' and ')}. Connect to the internet and reload: ` +
+        'once loaded, the app is saved for offline use.', 'error');
+    return false;
+}
+
+// Save the app and the files it downloads so it works offline (see service-worker.js)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers are not supported, the app will need the internet');
+        return;
+    }
+    
+    navigator.serviceWorker.addEventListener('message', event => {
+        const { type, cached, failed } = event.data || {};
+        if (type !== 'offline-cache') return;
+        
+        if (failed.length === 0) {
+            uiRenderer.showStatus('Saved for offline use', 'ready');
+        } else {
+            uiRenderer.showStatus(`Saved ${cached} files for offline use, but ${failed.length} could not be downloaded. ` +
+                'They will be saved the next time they load.', 'error');
+        }
+    });
+    
+    navigator.serviceWorker.register('service-worker.js', { type: 'module' })
+        .then(registration => console.log('Service worker registered for', registration.scope))
+        .catch(error => {
+            // Also happens when the page is opened from a file rather than a web server
+            console.error('Could not register the service worker:', error);
+        });
 }
 
 // Initialize hand tracking with MediaPipe
 function initializeHandTracking() {
     hands = new Hands({
         locateFile: (file) => {
-            return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+            return `${mediaPipeHandsUrl}${file}`;
         }
     });
 
     hands.setOptions({
-        maxNumHands: 1,
+        maxNumHands: 2,
         modelComplexity: 1,
         minDetectionConfidence: 0.5,
         minTrackingConfidence: 0.5
     });
 
-    hands.onResults(onHandResults);
+    hands.onResults(onLiveHandResults);
 
     camera = new Camera(videoElement, {
         onFrame: async () => {
-            await hands.send({ image: videoElement });
+            try {
+                await hands.send({ image: videoElement });
+            } catch (error) {
+                console.error('Hand tracking failed:', error);
+                uiRenderer.showStatus(`Hand tracking failed: ${error.message || error}. Check your connection and reload.`, 'error');
+            }
         },
         width: 640,
         height: 480
@@ -184,20 +646,27 @@ function startCamera() {
         
         // Initialize the selected instrument
         changeInstrument();
+        startTransport();
         
         // Start the camera
+        uiRenderer.showStatus('Starting camera...');
         camera.start()
             .then(() => {
                 startButton.disabled = true;
                 stopButton.disabled = false;
                 console.log('Camera started');
+                if (!handTrackingReady) {
+                    uiRenderer.showStatus('Loading hand tracking...');
+                }
             })
             .catch(error => {
                 console.error('Error starting camera:', error);
+                uiRenderer.showStatus('Could not start the camera. Please make sure you have granted camera permissions.', 'error');
                 alert('Error starting camera. Please make sure you have granted camera permissions.');
             });
     }).catch(error => {
         console.error('Could not start audio context:', error);
+        uiRenderer.showStatus('Could not start audio. Please try again by clicking the button.', 'error');
         alert('Error starting audio. Please try again by clicking the button.');
     });
 }
@@ -208,403 +677,1817 @@ function stopCamera() {
     startButton.disabled = false;
     stopButton.disabled = true;
     
-    // Stop any playing notes
-    if (synth) {
-        synth.releaseAll();
-    }
+    // Stop any playing notes, the metronome and the loops
+    releaseAllHands();
+    Tone.Transport.stop();
+    looper.cancelPass();
+    looper.disarm();
+    stopLoopPlayback();
+    updateLooperControls();
+    stopLesson();
     
     // Clear the canvas
-    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    uiRenderer.clear();
     console.log('Camera stopped');
 }
 
 // Change the instrument
 function changeInstrument() {
     const selectedInstrument = instrumentSelect.value;
+    releaseAllHands();
     
-    // Release any playing notes if synth exists
-    if (synth) {
-        // Make sure to properly release notes for both types of synths
-        if (synth.releaseAll) {
-            synth.releaseAll();
-        } else if (synth.triggerRelease) {
-            synth.triggerRelease();
-        }
-        
-        // Dispose the old synth to free resources and prevent conflicts
-        if (synth.dispose) {
-            synth.dispose();
-            console.log('Disposed old synth');
-        }
-    }
+    // The effects rack stays in place and switches to this instrument's settings
+    loadInstrumentEffects(selectedInstrument);
     
-    // Reset state
-    isPlaying = false;
-    currentNotes = [];
+    // Drums swap the note zones for kit pads
+    rebuildZoneLayout();
     
-    console.log(`Creating ${selectedInstrument} instrument...`);
+    deleteInstrumentButton.disabled = !instruments[selectedInstrument].user;
+    audioEngine.setInstrument(selectedInstrument);
     
-    try {
-        // Create the new instrument
-        synth = instruments[selectedInstrument].create();
-        console.log(`Changed instrument to ${selectedInstrument}`, synth);
-        
-        // Test the instrument with a simple note after a short delay
-        // to allow samples to load if needed
-        setTimeout(() => {
-            if (Tone.context.state === 'running') {
-                try {
-                    // Use different approach based on synth type
-                    if (selectedInstrument === 'bass') {
-                        synth.triggerAttackRelease("C3", "8n");
-                    } else {
-                        synth.triggerAttackRelease(["C4", "E4", "G4"], "8n");
-                    }
-                    console.log(`Played test note(s) with ${selectedInstrument}`);
-                } catch (e) {
-                    console.error("Error playing test note:", e);
-                    // Try with a fallback synth if the instrument fails
-                    const fallbackSynth = new Tone.Synth().toDestination();
-                    fallbackSynth.triggerAttackRelease("C4", "8n");
-                    console.log("Played test note with fallback synth");
-                }
+    // Drum kits and pitched instruments send MIDI on different channels
+    if (audioEngine.noteOutput !== audioEngine.toneOutput) {
+        audioEngine.setNoteOutput(createSelectedMidiOutput());
+    }
+    updateMidiChannelSelect();
+    
+    // The other players in a jam switch to it too
+    if (jamSession) {
+        jamSession.setInstrument(selectedInstrument);
+    }
+}
+
+// Add the instruments saved in earlier visits to the instrument list (see user-instruments.js)
+function loadSavedUserInstruments() {
+    loadUserInstruments()
+        .then(records => {
+            records.forEach(addUserInstrument);
+            if (records.length > 0) {
+                buildLooperControls();
+                console.log(`Loaded ${records.length} saved instrument(s)`);
             }
-        }, 500);
+        })
+        .catch(error => console.error('Could not read saved instruments:', error));
+}
+
+// Make a user instrument playable and list it under "Your Instruments"
+function addUserInstrument(record) {
+    registerUserInstrument(record);
+    
+    const option = document.createElement('option');
+    option.value = record.id;
+    option.textContent = record.name;
+    userInstrumentGroup.appendChild(option);
+    userInstrumentGroup.hidden = false;
+}
+
+// Build instruments from picked or dropped files, save them and switch to the first
+async function importUserInstruments(fileList) {
+    try {
+        const files = await readInstrumentFiles(fileList);
+        const { instruments: built, problems } = await buildUserInstruments(files);
+        problems.forEach(problem => console.warn(`Skipped ${problem}`));
+        
+        if (built.length === 0) {
+            uiRenderer.showStatus(`No instruments found in those files${problems.length > 0 ? `: ${problems[0]}` : ''}`, 'error');
+            return;
+        }
+        
+        const records = built.map(instrument => {
+            const record = { ...instrument, id: getUserInstrumentId(instrument.name, Object.keys(instruments)) };
+            addUserInstrument(record);
+            return record;
+        });
+        
+        // They still play this visit if the browser can't save them
+        for (const record of records) {
+            await saveUserInstrument(record).catch(error => console.error(`Could not save ${record.name}:`, error));
+        }
+        
+        buildLooperControls();
+        instrumentSelect.value = records[0].id;
+        changeInstrument();
+        
+        const skipped = problems.length > 0 ? ` (skipped ${problems.length} file(s), see the console)` : '';
+        uiRenderer.showStatus(`Added ${records.map(record => record.name).join(', ')}${skipped}`, 'ready');
     } catch (error) {
-        console.error(`Error creating instrument ${selectedInstrument}:`, error);
-        // Create a fallback synth
-        synth = new Tone.Synth().toDestination();
-        console.log("Created fallback synth due to error");
+        console.error('Error adding instruments:', error);
+        uiRenderer.showStatus(`Could not add instruments: ${error.message}`, 'error');
     }
 }
 
-// Process hand tracking results
-function onHandResults(results) {
-    // Draw the video frame
-    canvasCtx.save();
-    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-    canvasCtx.drawImage(
-        results.image, 0, 0, canvasElement.width, canvasElement.height
-    );
-
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        // Draw hand landmarks
-        for (const landmarks of results.multiHandLandmarks) {
-            drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 5 });
-            drawLandmarks(canvasCtx, landmarks, { color: '#FF0000', lineWidth: 2 });
-        }
+// Add the files (or folders) dropped on the drop zone
+function dropInstrumentFiles(event) {
+    event.preventDefault();
+    instrumentDropZone.classList.remove('dragging');
+    getDroppedFiles(event.dataTransfer)
+        .then(importUserInstruments)
+        .catch(error => {
+            console.error('Error reading dropped files:', error);
+            uiRenderer.showStatus(`Could not read the dropped files: ${error.message}`, 'error');
+        });
+}
 
-        // Play music based on hand position
-        playMusicFromHandPosition(results.multiHandLandmarks[0]);
-    } else {
-        // Stop playing if no hands are detected
-        if (synth && isPlaying) {
-            // Handle both polyphonic and monophonic synths
-            if (synth.releaseAll) {
-                synth.releaseAll();
-            } else if (synth.triggerRelease) {
-                synth.triggerRelease();
-            }
-            isPlaying = false;
-            currentNotes = [];
-            console.log('No hand detected, stopped all notes');
-        }
+// Add the files picked with a file or folder input
+function pickInstrumentFiles(input) {
+    importUserInstruments([...input.files]).finally(() => {
+        // Allow the same files to be picked again
+        input.value = '';
+    });
+}
+
+// Delete the selected instrument, if the player added it, and go back to the piano
+async function deleteSelectedUserInstrument() {
+    const id = instrumentSelect.value;
+    const instrument = instruments[id];
+    if (!instrument || !instrument.user || !confirm(`Delete instrument ${instrument.name}?`)) return;
+    
+    try {
+        await deleteUserInstrument(id);
+    } catch (error) {
+        console.error(`Could not delete ${instrument.name}:`, error);
+        uiRenderer.showStatus(`Could not delete ${instrument.name}: ${error.message}`, 'error');
+        return;
     }
+    deleteEffectPreset(id);
+    
+    [...userInstrumentGroup.children].find(option => option.value === id).remove();
+    userInstrumentGroup.hidden = userInstrumentGroup.children.length === 0;
+    instrumentSelect.value = 'piano';
+    changeInstrument();
+    
+    // Loop tracks on the deleted instrument fall back to the selected one
+    unregisterUserInstrument(id);
+    buildLooperControls();
+    console.log(`Deleted instrument ${instrument.name}`);
+}
 
-    canvasCtx.restore();
+// Fill the profile selector with the default and the saved profiles
+function refreshCalibrationProfiles() {
+    const profiles = loadCalibrationProfiles();
+    const names = [defaultCalibration.name, ...Object.keys(profiles).filter(name => name !== defaultCalibration.name)];
+    
+    calibrationProfileSelect.innerHTML = '';
+    for (const name of names) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        calibrationProfileSelect.appendChild(option);
+    }
+    calibrationProfileSelect.value = calibration.name;
 }
 
-// Play music based on hand position
-function playMusicFromHandPosition(landmarks) {
-    // Calculate finger positions
-    const fingerPositions = calculateFingerPositions(landmarks);
+// Use a saved calibration profile (or the defaults)
+function selectCalibrationProfile(name) {
+    const profiles = loadCalibrationProfiles();
+    calibration = profiles[name] || defaultCalibration;
     
-    // Check if we have previous finger positions to compare
-    if (lastFingerPositions) {
-        // Determine which fingers have moved significantly
-        const movedFingers = detectFingerMovement(fingerPositions, lastFingerPositions);
-        
-        // Play notes based on moved fingers
-        if (movedFingers.length > 0 && Tone.now() - lastNoteTime > 0.1) {
-            playNotesForFingers(movedFingers, fingerPositions);
-            lastNoteTime = Tone.now();
-        }
+    setActiveCalibrationName(calibration.name);
+    calibrationProfileSelect.value = calibration.name;
+    deleteProfileButton.disabled = calibration === defaultCalibration;
+    
+    // Movement is measured differently now, start fresh
+    handDetector.forgetPositions();
+    console.log(`Using calibration profile ${calibration.name}`, calibration);
+}
+
+// Start the calibration wizard
+function startCalibration() {
+    if (!startButton.disabled) {
+        alert('Start the camera before calibrating.');
+        return;
     }
     
-    // Update last finger positions
-    lastFingerPositions = fingerPositions;
+    releaseAllHands();
+    calibrationSession = createCalibrationSession();
+    pendingCalibration = null;
     
-    // Display debug info
-    updateDebugInfo(fingerPositions);
+    calibrationWizard.hidden = false;
+    calibrationSaveForm.hidden = true;
+    calibrateButton.disabled = true;
+    calibrationPreview.innerHTML = '';
+    calibrationStepText.textContent = calibrationSession.currentStep.instruction;
+    calibrationProgress.value = 0;
+    console.log('Calibration started');
 }
 
-// Calculate positions of each finger
-function calculateFingerPositions(landmarks) {
-    // Finger indices in MediaPipe hand landmarks
-    const fingerTips = [4, 8, 12, 16, 20]; // thumb, index, middle, ring, pinky
-    const fingerBases = [2, 5, 9, 13, 17]; // bases of each finger
-    const wristIndex = 0; // Wrist landmark
+// Feed one frame to the running calibration
+function updateCalibration(fingerPositions) {
+    const now = appClock.now();
+    calibrationSession.addFrame(fingerPositions, now);
     
-    // Get wrist position as reference point
-    const wrist = landmarks[wristIndex];
+    if (!calibrationSession.isComplete) {
+        const step = calibrationSession.currentStep;
+        const stepNumber = calibrationSession.stepIndex + 1;
+        calibrationStepText.textContent = `Step ${stepNumber} of ${calibrationSteps.length}: ${step.instruction}`;
+        calibrationProgress.value = (calibrationSession.stepIndex + calibrationSession.stepProgress(now)) / calibrationSteps.length;
+        return;
+    }
     
-    // Calculate positions and extensions
-    const positions = [];
-    for (let i = 0; i < 5; i++) {
-        const tip = landmarks[fingerTips[i]];
-        const base = landmarks[fingerBases[i]];
-        
-        // Calculate distance between tip and base (extension)
-        const extension = Math.sqrt(
-            Math.pow(tip.x - base.x, 2) + 
-            Math.pow(tip.y - base.y, 2) + 
-            Math.pow(tip.z - base.z, 2)
-        );
-        
-        // Calculate height (y-position) relative to the frame
-        const height = 1 - tip.y; // Invert so higher = larger value
-        
-        // Calculate position relative to wrist (to help filter out whole hand movement)
-        const relativeX = tip.x - wrist.x;
-        const relativeY = tip.y - wrist.y;
-        const relativeZ = tip.z - wrist.z;
-        
-        positions.push({
-            x: tip.x,
-            y: tip.y,
-            z: tip.z,
-            relativeX,
-            relativeY,
-            relativeZ,
-            extension,
-            height
+    // Measuring is done: try the new profile out before saving it
+    pendingCalibration = computeCalibrationProfile(calibrationSession.samples, `Profile ${Object.keys(loadCalibrationProfiles()).length + 1}`);
+    calibrationBeforeTrial = calibration;
+    calibration = pendingCalibration;
+    calibrationSession = null;
+    
+    calibrationProgress.value = 1;
+    calibrationStepText.textContent = 'Done! Play a little to try the new calibration, then save it or cancel.';
+    profileNameInput.value = pendingCalibration.name;
+    calibrationSaveForm.hidden = false;
+    console.log('Calibration measured', pendingCalibration);
+}
+
+// Show how the profile being tried reads the hand
+function updateCalibrationPreview(fingerPositions) {
+    const profile = pendingCalibration;
+    let previewText = `<strong>Movement threshold:</strong> ${profile.movementThreshold.toFixed(4)} ` +
+        `(palm ${profile.palmMovementThreshold.toFixed(4)})<br>`;
+    previewText += `<strong>Playing range:</strong> ${profile.heightRange.bottom.toFixed(2)} - ${profile.heightRange.top.toFixed(2)}<br>`;
+    
+    if (fingerPositions) {
+        fingerPositions.forEach((position, i) => {
+            const percent = Math.round(position.extensionRatio * 100);
+            const note = currentScale[getScaleIndexForHeight(position.height, currentScale, profile)];
+            previewText += `${calibrationFingerNames[i]}: ${percent}% extended, plays ${note}<br>`;
         });
     }
     
-    return positions;
+    calibrationPreview.innerHTML = previewText;
 }
 
-// Detect which fingers have moved significantly
-function detectFingerMovement(currentPositions, lastPositions) {
-    const movedFingers = [];
-    const movementThreshold = 0.015; // Sensitivity for finger movement
+// Save the profile being tried and make it the active one
+function savePendingCalibration() {
+    const name = profileNameInput.value.trim();
+    if (!name || name === defaultCalibration.name) {
+        alert('Please give the profile a name (other than "Default").');
+        return;
+    }
     
-    for (let i = 0; i < 5; i++) {
-        const current = currentPositions[i];
-        const last = lastPositions[i];
-        
-        // Calculate finger extension change (how much the finger has bent)
-        const extensionChange = Math.abs(current.extension - last.extension);
-        
-        // Calculate finger tip movement relative to the base (isolates finger movement from hand movement)
-        const tipMovement = Math.sqrt(
-            Math.pow(current.x - last.x, 2) + 
-            Math.pow(current.y - last.y, 2) + 
-            Math.pow(current.z - last.z, 2)
-        );
-        
-        // Check if either extension change or tip movement exceeds threshold
-        if (extensionChange > movementThreshold * 0.8 || tipMovement > movementThreshold) {
-            // Calculate palm movement to filter out whole hand movements
-            const isPalmMovement = isPalmMovingSignificantly(currentPositions, lastPositions);
-            
-            // Only add finger if it's not just the whole hand moving
-            if (!isPalmMovement || extensionChange > movementThreshold * 1.5) {
-                movedFingers.push(i);
-                console.log(`Finger ${i} moved: extension change = ${extensionChange.toFixed(4)}, tip movement = ${tipMovement.toFixed(4)}`);
-            }
-        }
+    pendingCalibration.name = name;
+    saveCalibrationProfile(pendingCalibration);
+    closeCalibrationWizard();
+    refreshCalibrationProfiles();
+    selectCalibrationProfile(name);
+}
+
+// Stop calibrating and go back to the profile used before
+function cancelCalibration() {
+    if (calibrationBeforeTrial) {
+        calibration = calibrationBeforeTrial;
     }
+    closeCalibrationWizard();
+    console.log('Calibration cancelled');
+}
+
+// Hide the wizard and clear its state
+function closeCalibrationWizard() {
+    calibrationSession = null;
+    pendingCalibration = null;
+    calibrationBeforeTrial = null;
+    calibrationWizard.hidden = true;
+    calibrateButton.disabled = false;
+}
+
+// Delete the selected profile and fall back to the defaults
+function deleteSelectedProfile() {
+    const name = calibrationProfileSelect.value;
+    if (name === defaultCalibration.name || !confirm(`Delete calibration profile ${name}?`)) return;
     
-    return movedFingers;
+    deleteCalibrationProfile(name);
+    refreshCalibrationProfiles();
+    selectCalibrationProfile(defaultCalibration.name);
 }
 
-// Check if the whole palm is moving (to filter out whole hand movements)
-function isPalmMovingSignificantly(currentPositions, lastPositions) {
-    // Calculate average movement of all finger bases (palm movement)
-    let totalMovement = 0;
-    const palmMovementThreshold = 0.02;
+// Download every saved profile as JSON
+function exportCalibrationProfiles() {
+    downloadFile(calibrationProfilesToJSON(loadCalibrationProfiles()), 'calibration-profiles.json', 'application/json');
+}
+
+// Add profiles from an exported JSON file
+function importCalibrationProfiles() {
+    const file = importProfilesInput.files[0];
+    if (!file) return;
     
-    // Use the first knuckle of each finger as reference points for palm movement
-    const fingerBases = [0, 1, 2, 3, 4]; // Using all fingers
+    file.text()
+        .then(text => {
+            const profiles = parseCalibrationProfilesJSON(text);
+            profiles.forEach(saveCalibrationProfile);
+            refreshCalibrationProfiles();
+            console.log(`Imported ${profiles.length} calibration profile(s) from ${file.name}`);
+        })
+        .catch(error => {
+            console.error('Error importing calibration profiles:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+            importProfilesInput.value = '';
+        });
+}
+
+// Look for MIDI output ports and list them as destinations
+function findMidiOutputs() {
+    requestMidiOutputPorts()
+        .then(ports => {
+            midiOutputPorts = ports;
+            
+            // Keep the speakers option, replace the port list
+            while (outputSelect.options.length > 1) {
+                outputSelect.remove(1);
+            }
+            ports.forEach((port, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `MIDI Out: ${port.name}`;
+                outputSelect.appendChild(option);
+            });
+            
+            console.log(`Found ${ports.length} MIDI output port(s)`);
+            if (ports.length === 0) {
+                alert('No MIDI output ports found. Connect a device or start a virtual MIDI port and try again.');
+            }
+        })
+        .catch(error => {
+            console.error('Could not access MIDI:', error);
+            alert(`Could not access MIDI: ${error.message}`);
+        });
+}
+
+// Send notes to the selected destination
+function changeOutput() {
+    // Nothing should keep sounding on the old destination (loops carry on from the next repeat)
+    releaseAllHands();
+    stopLoopPlayback();
     
-    for (const i of fingerBases) {
-        const current = currentPositions[i];
-        const last = lastPositions[i];
-        
-        // Calculate base movement
-        const movement = Math.sqrt(
-            Math.pow(current.x - last.x, 2) + 
-            Math.pow(current.y - last.y, 2) + 
-            Math.pow(current.z - last.z, 2)
-        );
-        
-        totalMovement += movement;
+    if (outputSelect.value === 'tone') {
+        audioEngine.setNoteOutput(audioEngine.toneOutput);
+        console.log('Sending notes to the selected instrument');
+    } else {
+        audioEngine.setNoteOutput(createSelectedMidiOutput());
+        console.log(`Sending notes to MIDI port ${audioEngine.noteOutput.port.name}, channel ${audioEngine.noteOutput.channel}`);
     }
     
-    const avgPalmMovement = totalMovement / fingerBases.length;
-    const isPalmMoving = avgPalmMovement > palmMovementThreshold;
+    updateMidiChannelSelect();
+}
+
+// An output to the selected MIDI port. Drum kits always play on the General MIDI drum channel.
+function createSelectedMidiOutput() {
+    const port = midiOutputPorts[parseInt(outputSelect.value, 10)];
+    const channel = isPercussionInstrument() ? drumMidiChannel : parseInt(midiChannelSelect.value, 10);
+    return createMidiOutput(port, channel);
+}
+
+// The channel can only be picked for pitched instruments sent to MIDI
+function updateMidiChannelSelect() {
+    midiChannelSelect.disabled = audioEngine.noteOutput === audioEngine.toneOutput || isPercussionInstrument();
+}
+
+// Change the scale from the scale selectors
+function changeScale() {
+    scaleSettings.root = scaleRootSelect.value;
+    scaleSettings.mode = scaleModeSelect.value;
+    scaleSettings.octave = parseInt(scaleOctaveSelect.value, 10);
+    scaleSettings.octaves = parseInt(scaleRangeSelect.value, 10);
     
-    if (isPalmMoving) {
-        console.log(`Palm moving: ${avgPalmMovement.toFixed(4)} > ${palmMovementThreshold}`);
-    }
+    currentScale = buildScale(scaleSettings.root, scaleSettings.mode, scaleSettings.octave, scaleSettings.octaves);
+    rebuildZoneLayout();
     
-    return isPalmMoving;
+    // Held notes may not belong to the new scale, and chords start again in the new register
+    releaseAllHands();
+    noteMapper.resetChords();
+    
+    console.log(`Changed scale to ${describeScale(scaleSettings.root, scaleSettings.mode, currentScale)}:`, currentScale.join(', '));
 }
 
-// Play notes for the fingers that moved
-function playNotesForFingers(movedFingers, fingerPositions) {
-    // Stop currently playing notes
-    if (synth && currentNotes.length > 0) {
-        if (synth.releaseAll) {
-            synth.releaseAll();
-        } else if (synth.triggerRelease) {
-            // For monophonic synths like MonoSynth
-            synth.triggerRelease();
-        }
-        currentNotes = [];
-        console.log('Released previous notes');
-    }
+// Switch the chords role between triads and seventh chords
+function changeChordQuality() {
+    chordSettings.quality = chordQualitySelect.value;
+    console.log(`Chords role plays ${chordQualities[chordSettings.quality].name.toLowerCase()}`);
+}
+
+// Smooth hand tracking more to stop jitter playing notes, or less so fast presses aren't late
+function changeSmoothing() {
+    trackingSettings.smoothing = smoothingSelect.value;
+    console.log(`Landmark smoothing ${smoothingLevels[trackingSettings.smoothing].name.toLowerCase()}`);
+}
+
+// Change the theremin's range, pitch correction or sound from the theremin panel.
+// Theremin hands glide to the new settings on their next frame.
+function changeThereminSettings() {
+    thereminSettings.source = thereminSourceSelect.value;
+    thereminSettings.lowOctave = parseInt(thereminLowOctaveSelect.value, 10);
+    thereminSettings.octaves = parseInt(thereminOctavesSelect.value, 10);
+    thereminSettings.waveform = thereminWaveformSelect.value;
+    thereminSettings.correction = parseFloat(thereminCorrectionInput.value);
+    thereminCorrectionValue.textContent = `${Math.round(thereminSettings.correction * 100)}%`;
+    
+    console.log(`Theremin follows the ${thereminSources[thereminSettings.source].name.toLowerCase()} from ` +
+        `C${thereminSettings.lowOctave} over ${thereminSettings.octaves} octave(s), ` +
+        `${thereminWaveforms[thereminSettings.waveform].toLowerCase()} wave, ${thereminCorrectionValue.textContent} pitch correction`);
+}
+
+// Change the on-screen layout from the layout selectors
+function changeZoneLayout() {
+    zoneSettings.layout = zoneLayoutSelect.value;
+    zoneSettings.trigger = zoneTriggerSelect.value;
+    zoneTriggerSelect.disabled = zoneSettings.layout === 'height';
     
-    // Play new notes
-    const notesToPlay = [];
+    rebuildZoneLayout();
+    releaseAllHands();
     
-    for (const fingerIndex of movedFingers) {
-        // Map finger height to note index
-        const position = fingerPositions[fingerIndex];
-        const noteIndex = Math.floor(position.height * currentScale.length);
-        const clampedNoteIndex = Math.max(0, Math.min(currentScale.length - 1, noteIndex));
-        
-        // Get the note to play
-        const note = currentScale[clampedNoteIndex];
-        notesToPlay.push(note);
+    console.log(`Changed layout to ${zoneLayouts[zoneSettings.layout].name}` +
+        (zoneLayout ? ` (${zoneTriggers[zoneSettings.trigger].name})` : ''));
+}
+
+// Lay the zones out for the current scale (or drum kit) and canvas shape
+function rebuildZoneLayout() {
+    const aspect = canvasElement ? canvasElement.width / canvasElement.height : undefined;
+    if (isPercussionInstrument() && zoneSettings.layout !== 'height') {
+        zoneLayout = buildDrumPadLayout(drumMappings, aspect);
+        return;
     }
+    zoneLayout = buildZoneLayout(zoneSettings.layout, currentScale, {
+        useFlats: scaleUsesFlats(scaleSettings.root, scaleSettings.mode),
+        aspect
+    });
+}
+
+// Change the tempo, metronome, quantize grid or arpeggiator from the tempo controls
+function changeTempo() {
+    const bpm = parseInt(bpmInput.value, 10);
+    tempoSettings.bpm = Math.max(tempoLimits.minBpm, Math.min(tempoLimits.maxBpm, isNaN(bpm) ? tempoSettings.bpm : bpm));
+    bpmInput.value = tempoSettings.bpm;
+    tempoSettings.timeSignature = timeSignatureSelect.value.split('/').map(value => parseInt(value, 10));
+    tempoSettings.metronome = metronomeCheckbox.checked;
+    tempoSettings.quantize = quantizeSelect.value;
     
-    // Play the notes
-    if (notesToPlay.length > 0 && synth) {
-        // Add a small delay to ensure previous notes are fully released
-        setTimeout(() => {
-            try {
-                // Check if the synth is polyphonic or monophonic
-                if (synth.triggerAttack && !synth.triggerAttackRelease) {
-                    // Polyphonic synth
-                    synth.triggerAttack(notesToPlay);
-                } else if (synth.triggerAttack) {
-                    // Monophonic synth (like bass)
-                    synth.triggerAttack(notesToPlay[0]);
-                } else {
-                    console.warn("Unknown synth type, can't trigger attack");
-                }
-                
-                currentNotes = notesToPlay;
-                isPlaying = true;
-                
-                // Log the notes being played
-                console.log('Playing notes:', notesToPlay.join(', '));
-                
-                // For bass instrument, automatically release after a short time
-                if (instrumentSelect.value === 'bass') {
-                    setTimeout(() => {
-                        if (synth && synth.triggerRelease && isPlaying) {
-                            synth.triggerRelease();
-                            console.log('Auto-released bass note');
-                        }
-                    }, 800); // Release after 800ms
-                }
-            } catch (error) {
-                console.error('Error playing notes:', error);
-                // Try a simpler approach if the first one fails
-                try {
-                    if (notesToPlay.length === 1) {
-                        synth.triggerAttackRelease(notesToPlay[0], "8n");
-                    } else {
-                        synth.triggerAttackRelease(notesToPlay, "8n");
-                    }
-                    console.log('Played notes using triggerAttackRelease');
-                } catch (fallbackError) {
-                    console.error('Fallback also failed:', fallbackError);
-                }
-            }
-        }, 10);
+    // Fingers held for the old pattern would be left hanging
+    if (arpeggiatorSelect.value !== tempoSettings.arpeggiator) {
+        tempoSettings.arpeggiator = arpeggiatorSelect.value;
+        releaseAllHands();
     }
+    
+    applyTempoSettings();
+    console.log(`Tempo ${tempoSettings.bpm} BPM in ${tempoSettings.timeSignature.join('/')}, ` +
+        `quantize ${quantizeGrids[tempoSettings.quantize].name}, arpeggiator ${arpeggiatorPatterns[tempoSettings.arpeggiator].name}`);
 }
 
-// Update debug information display
-function updateDebugInfo(fingerPositions) {
-    if (!fingerPositions) return;
+// Set the transport up from the tempo settings and (re)start its repeating events
+function applyTempoSettings() {
+    // The metronome and arpeggiator (see audio-engine.js), then the loop station's repeats
+    audioEngine.applyTempoSettings();
     
-    const fingerNames = ['Thumb', 'Index', 'Middle', 'Ring', 'Pinky'];
-    let debugText = '<strong>Finger Positions:</strong><br>';
+    if (loopEventId !== null) {
+        Tone.Transport.clear(loopEventId);
+    }
+    loopEventId = Tone.Transport.scheduleRepeat(onLoopBoundary, `${looper.bars}m`, 0);
+}
+
+// Start the transport clock if it isn't running (needs the audio context started)
+function startTransport() {
+    applyTempoSettings();
+    if (Tone.Transport.state !== 'started') {
+        Tone.Transport.start();
+    }
+}
+
+// Whether the selected instrument is a percussion kit rather than pitched
+function isPercussionInstrument() {
+    const instrument = instrumentSelect && instruments[instrumentSelect.value];
+    return Boolean(instrument && instrument.percussion);
+}
+
+// Length of the loop in beats at the current time signature
+function getLoopBeatsNow() {
+    return getLoopBeats(looper.bars, tempoSettings.timeSignature);
+}
+
+// How many beats into the current repeat of the loop the transport is
+function getLoopPosition() {
+    return (Tone.Transport.getTicksAtTime(Tone.now()) - loopStartTicks) / Tone.Transport.PPQ;
+}
+
+// Called by the transport at the start of every repeat of the loop: keeps the pass
+// that just ended, starts recording an armed track and plays every track again
+function onLoopBoundary(time) {
+    const startTicks = Tone.Transport.getTicksAtTime(time);
     
-    fingerPositions.forEach((pos, index) => {
-        debugText += `${fingerNames[index]}: Extension: ${pos.extension.toFixed(2)}, Height: ${pos.height.toFixed(2)}<br>`;
+    runAtAudioTime(time, () => {
+        const recordedTrack = looper.recordingTrack;
+        if (recordedTrack !== null) {
+            const layer = looper.finishPass(getLoopBeatsNow());
+            console.log(`Recorded ${layer.length} loop events on ${looper.tracks[recordedTrack].name}`);
+        }
+        
+        loopStartTicks = startTicks;
+        if (looper.armedTrack !== null) {
+            looper.startPass();
+            console.log(`Recording ${looper.tracks[looper.recordingTrack].name}`);
+        }
+        
+        looper.tracks.forEach((track, index) => playLoopTrack(index, 0, time));
+        updateLooperControls();
     });
+}
+
+// Add a note the hands played to the loop being recorded
+function recordLoopEvent(type, note, velocity) {
+    if (looper.recordingTrack === null) return;
+    looper.addEvent(type, note, velocity, getLoopPosition());
+}
+
+// The player for a track, with its instrument created (or swapped) to match the track.
+// Tracks without a known instrument play the selected one.
+function getLoopTrackPlayer(index) {
+    const track = looper.tracks[index];
+    const instrument = instruments[track.instrument] ? track.instrument : instrumentSelect.value;
+    let player = loopTrackPlayers[index];
     
-    if (currentNotes.length > 0) {
-        debugText += `<br><strong>Playing:</strong> ${currentNotes.join(', ')}`;
+    if (!player) {
+        player = { instrument: null, synth: null, eventIds: [], heldNotes: new Set() };
+        player.toneOutput = createToneOutput(() => player.synth);
+        loopTrackPlayers[index] = player;
+    }
+    if (player.instrument !== instrument) {
+        if (player.synth) {
+            player.synth.dispose();
+        }
+        player.synth = instruments[instrument].create(uiRenderer.showStatus).connect(audioEngine.getInstrumentOutput());
+        player.instrument = instrument;
     }
+    return player;
+}
+
+// Where a track's notes go: its own instrument, or the MIDI output everything is sent to
+function getLoopTrackOutput(player) {
+    return audioEngine.noteOutput === audioEngine.toneOutput ? player.toneOutput : audioEngine.noteOutput;
+}
+
+// Play a track's events from a beat of the loop up to the end of this repeat.
+// startTime is the audio time of fromBeat (now by default). Events are scheduled on
+// the transport so they land on their beats; any the transport has already reached,
+// like the first beat at the start of a repeat, are played at their time directly.
+// Muted tracks keep their place so they can come back in mid-loop.
+function playLoopTrack(index, fromBeat, startTime = Tone.now()) {
+    stopLoopTrack(index);
+    const track = looper.tracks[index];
+    if (track.layers.length === 0) return;
     
-    // Add movement detection info
-    if (lastFingerPositions) {
-        debugText += `<br><br><strong>Movement Detection:</strong><br>`;
-        debugText += `Threshold: ${0.015.toFixed(3)}<br>`;
+    const player = getLoopTrackPlayer(index);
+    const loopBeats = getLoopBeatsNow();
+    const secondsPerBeat = 60 / tempoSettings.bpm;
+    const reachedTicks = Tone.Transport.getTicksAtTime(Tone.now());
+    
+    for (const event of looper.getTrackEvents(index)) {
+        if (event.beat < fromBeat || event.beat >= loopBeats) continue;
         
-        for (let i = 0; i < 5; i++) {
-            const current = fingerPositions[i];
-            const last = lastFingerPositions[i];
-            const extensionChange = Math.abs(current.extension - last.extension);
-            const movement = Math.sqrt(
-                Math.pow(current.x - last.x, 2) + 
-                Math.pow(current.y - last.y, 2) + 
-                Math.pow(current.z - last.z, 2)
-            );
-            
-            debugText += `${fingerNames[i]}: Movement: ${movement.toFixed(3)}, Extension Δ: ${extensionChange.toFixed(3)}<br>`;
+        const playEvent = time => {
+            const output = getLoopTrackOutput(player);
+            if (event.type === 'noteOn') {
+                if (track.muted) return;
+                output.noteOn(event.note, event.velocity, time);
+                player.heldNotes.add(event.note);
+            } else if (player.heldNotes.delete(event.note)) {
+                output.noteOff(event.note, time);
+            }
+        };
+        
+        const ticks = Math.round(loopStartTicks + event.beat * Tone.Transport.PPQ);
+        if (ticks <= reachedTicks) {
+            playEvent(startTime + (event.beat - fromBeat) * secondsPerBeat);
+        } else {
+            player.eventIds.push(Tone.Transport.scheduleOnce(playEvent, `${ticks}i`));
         }
     }
-    
-    debugInfo.innerHTML = debugText;
 }
 
-// Helper function to draw connectors (from MediaPipe)
-function drawConnectors(ctx, landmarks, connections, options) {
-    const canvas = ctx.canvas;
-    for (const connection of connections) {
-        const from = landmarks[connection[0]];
-        const to = landmarks[connection[1]];
-        if (from && to) {
-            ctx.beginPath();
-            ctx.moveTo(from.x * canvas.width, from.y * canvas.height);
-            ctx.lineTo(to.x * canvas.width, to.y * canvas.height);
-            ctx.strokeStyle = options.color || 'white';
-            ctx.lineWidth = options.lineWidth || 2;
-            ctx.stroke();
-        }
+// Stop a track's waiting events and the notes it is holding
+function stopLoopTrack(index) {
+    const player = loopTrackPlayers[index];
+    if (!player) return;
+    
+    player.eventIds.forEach(eventId => Tone.Transport.clear(eventId));
+    player.eventIds = [];
+    const output = getLoopTrackOutput(player);
+    for (const note of player.heldNotes) {
+        output.noteOff(note);
     }
+    player.heldNotes.clear();
 }
 
-// Helper function to draw landmarks (from MediaPipe)
-function drawLandmarks(ctx, landmarks, options) {
-    const canvas = ctx.canvas;
-    for (const landmark of landmarks) {
-        ctx.beginPath();
-        ctx.arc(
-            landmark.x * canvas.width,
-            landmark.y * canvas.height,
-            options.lineWidth * 2 || 4,
-            0, 2 * Math.PI
-        );
-        ctx.fillStyle = options.color || 'red';
-        ctx.fill();
+// Stop every track until the next repeat of the loop
+function stopLoopPlayback() {
+    loopTrackPlayers.forEach((player, index) => stopLoopTrack(index));
+}
+
+// Pick a track's changes up straight away rather than at the next repeat
+function restartLoopTrack(index) {
+    if (Tone.Transport.state === 'started') {
+        playLoopTrack(index, getLoopPosition());
+    } else {
+        stopLoopTrack(index);
     }
 }
 
-// MediaPipe hand connections (needed for drawing)
-const HAND_CONNECTIONS = [
-    [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
-    [0, 5], [5, 6], [6, 7], [7, 8], // Index finger
-    [5, 9], [9, 10], [10, 11], [11, 12], // Middle finger
-    [9, 13], [13, 14], [14, 15], [15, 16], // Ring finger
-    [13, 17], [17, 18], [18, 19], [19, 20], // Pinky
-    [0, 17], [5, 9], [9, 13], [13, 17], // Palm
-]; 
\ No newline at end of file
+// Arm a track to record from the next repeat of the loop. Used again, it disarms
+// the track or drops the pass it is recording.
+function toggleLoopRecording(index) {
+    const track = looper.tracks[index];
+    
+    if (looper.recordingTrack === index) {
+        looper.cancelPass();
+        console.log(`Stopped recording ${track.name} without keeping the pass`);
+    } else if (looper.armedTrack === index) {
+        looper.disarm();
+        console.log(`Disarmed ${track.name}`);
+    } else if (Tone.Transport.state !== 'started') {
+        console.warn('Start the camera before recording loops');
+        return;
+    } else {
+        looper.arm(index, instrumentSelect.value);
+        console.log(`${track.name} records from the next loop`);
+    }
+    updateLooperControls();
+}
+
+// Remove the last layer recorded on a track
+function undoLoopLayer(index) {
+    looper.undo(index);
+    restartLoopTrack(index);
+    updateLooperControls();
+}
+
+// Remove every layer on a track
+function clearLoopTrack(index) {
+    looper.clear(index);
+    restartLoopTrack(index);
+    updateLooperControls();
+}
+
+function toggleLoopMute(index) {
+    looper.toggleMute(index);
+    restartLoopTrack(index);
+    updateLooperControls();
+}
+
+// Play a track through another instrument
+function changeLoopTrackInstrument(index, instrument) {
+    looper.tracks[index].instrument = instrument;
+    restartLoopTrack(index);
+}
+
+// Change how many bars a loop lasts (only while nothing is recorded)
+function changeLoopLength() {
+    if (!looper.isEmpty()) {
+        loopBarsSelect.value = looper.bars;
+        return;
+    }
+    
+    looper.bars = parseInt(loopBarsSelect.value, 10);
+    applyTempoSettings();
+    console.log(`Loops last ${looper.bars} bar${looper.bars === 1 ? '' : 's'}`);
+}
+
+// Download the loops as JSON
+function saveLoops() {
+    downloadFile(looperToJSON(looper, tempoSettings), 'hand-gesture-loops.json', 'application/json');
+}
+
+// Load loops from a JSON file, along with the tempo they were recorded at
+function loadLoops() {
+    const file = loadLoopsInput.files[0];
+    if (!file) return;
+    
+    file.text()
+        .then(text => {
+            const loops = parseLooperJSON(text);
+            
+            looper.cancelPass();
+            looper.disarm();
+            stopLoopPlayback();
+            looper.bars = loops.bars;
+            looper.tracks = loops.tracks;
+            looper.selectedTrack = 0;
+            loopBarsSelect.value = loops.bars;
+            
+            if (loops.bpm) {
+                bpmInput.value = loops.bpm;
+            }
+            const timeSignature = Array.isArray(loops.timeSignature) ? loops.timeSignature.join('/') : '';
+            if ([...timeSignatureSelect.options].some(option => option.value === timeSignature)) {
+                timeSignatureSelect.value = timeSignature;
+            }
+            changeTempo();
+            
+            buildLooperControls();
+            console.log(`Loaded ${loops.tracks.length} loop tracks from ${file.name}`);
+        })
+        .catch(error => {
+            console.error('Error loading loops:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+            // Allow the same file to be picked again
+            loadLoopsInput.value = '';
+        });
+}
+
+// Start or stop recording a take
+function toggleRecording() {
+    if (performanceRecorder.isRecording) {
+        lastTake = performanceRecorder.stop();
+        recordButton.textContent = 'Record';
+        recordButton.classList.remove('recording');
+        updateTakeControls();
+        console.log(`Recorded take: ${lastTake.events.length} events, ${lastTake.duration.toFixed(2)}s`);
+    } else {
+        performanceRecorder.start();
+        recordButton.textContent = 'Stop Recording';
+        recordButton.classList.add('recording');
+        console.log('Recording started');
+    }
+}
+
+// Play, export and render the last take once it has notes
+function updateTakeControls() {
+    const hasNotes = lastTake !== null && lastTake.events.length > 0;
+    playTakeButton.disabled = !hasNotes;
+    exportMidiButton.disabled = !hasNotes;
+    exportJsonButton.disabled = !hasNotes;
+    renderTakeButton.disabled = !hasNotes;
+}
+
+// Load a take saved with "Export JSON" as the last take
+function loadTake() {
+    const file = loadTakeInput.files[0];
+    if (!file) return;
+    
+    file.text()
+        .then(text => {
+            const take = parseTakeJSON(text);
+            if (stopTakeReplay) {
+                stopTakeReplay();
+                finishTakeReplay();
+            }
+            lastTake = take;
+            updateTakeControls();
+            console.log(`Loaded take from ${file.name}: ${lastTake.events.length} events, ${lastTake.duration.toFixed(2)}s`);
+        })
+        .catch(error => {
+            console.error('Error loading take:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+            // Allow the same file to be picked again
+            loadTakeInput.value = '';
+        });
+}
+
+// Play the last take through the current instrument, or stop it
+function toggleTakeReplay() {
+    if (stopTakeReplay) {
+        stopTakeReplay();
+        finishTakeReplay();
+        return;
+    }
+    
+    if (!lastTake || (audioEngine.noteOutput === audioEngine.toneOutput && !audioEngine.synth)) {
+        console.warn('Nothing to replay: record a take and start the camera first');
+        return;
+    }
+    
+    stopTakeReplay = replayTake(lastTake, () => audioEngine.noteOutput, finishTakeReplay);
+    playTakeButton.textContent = 'Stop Take';
+    console.log('Replaying take');
+}
+
+// Reset the replay button once a take has finished or been stopped
+function finishTakeReplay() {
+    stopTakeReplay = null;
+    playTakeButton.textContent = 'Play Take';
+}
+
+// Download the last take as a Standard MIDI File
+function exportTakeAsMidi() {
+    if (!lastTake) return;
+    
+    const format = parseInt(midiFormatSelect.value, 10);
+    const bytes = takeToMidi(lastTake, format, tempoSettings.bpm, tempoSettings.timeSignature);
+    downloadFile(bytes, 'hand-gesture-take.mid', 'audio/midi');
+}
+
+// Download the last take as a JSON event log
+function exportTakeAsJson() {
+    if (!lastTake) return;
+    
+    downloadFile(takeToJSON(lastTake), 'hand-gesture-take.json', 'application/json');
+}
+
+// Start or stop recording the sound of the master output
+async function toggleAudioRecording() {
+    if (audioCapture.isRecording) {
+        recordAudioButton.disabled = true;
+        const audio = await audioCapture.stop();
+        recordAudioButton.disabled = false;
+        recordAudioButton.textContent = 'Record Audio';
+        recordAudioButton.classList.remove('recording');
+        showAudioTake(audio, 'Recorded');
+        return;
+    }
+    
+    try {
+        await Tone.start();
+        await audioCapture.start();
+        recordAudioButton.textContent = 'Stop Audio';
+        recordAudioButton.classList.add('recording');
+        console.log('Audio recording started');
+    } catch (error) {
+        console.error('Error starting audio recording:', error);
+        uiRenderer.showStatus(`Could not record audio: ${error.message}`, 'error');
+    }
+}
+
+// Render the last take offline through the current instrument and its effects
+async function renderLastTake() {
+    if (!lastTake) return;
+    
+    renderTakeButton.disabled = true;
+    renderTakeButton.textContent = 'Rendering...';
+    try {
+        const audio = await renderTakeOffline(lastTake, {
+            instrument: instrumentSelect.value,
+            effectSettings,
+            masterEffectSettings
+        });
+        showAudioTake(audio, 'Rendered');
+    } catch (error) {
+        console.error('Error rendering take:', error);
+        uiRenderer.showStatus(`Could not render the take: ${error.message}`, 'error');
+    } finally {
+        renderTakeButton.disabled = false;
+        renderTakeButton.textContent = 'Render Take';
+    }
+}
+
+// Make new audio the audio take, untrimmed, ready to preview and download
+function showAudioTake(audio, how) {
+    audioTake = audio;
+    const duration = getAudioDuration(audio).toFixed(2);
+    
+    trimStartInput.max = duration;
+    trimEndInput.max = duration;
+    trimStartInput.value = 0;
+    trimEndInput.value = duration;
+    [trimStartInput, trimEndInput, trimSilenceButton, downloadWavButton].forEach(control => {
+        control.disabled = false;
+    });
+    
+    updateAudioPreview();
+    console.log(`${how} ${duration}s of audio`);
+}
+
+// The part of the audio take between the trim times
+function getTrimmedAudioTake() {
+    return trimAudio(audioTake, parseFloat(trimStartInput.value) || 0, parseFloat(trimEndInput.value) || 0);
+}
+
+// Encode audio as a WAV file at the chosen bit depth
+function encodeAudioTake({ channels, sampleRate }) {
+    return encodeWavFile(channels, sampleRate, parseInt(wavBitDepthSelect.value, 10));
+}
+
+// Load the trimmed audio take into the preview player
+function updateAudioPreview() {
+    if (!audioTake) return;
+    
+    if (audioPreviewUrl) {
+        URL.revokeObjectURL(audioPreviewUrl);
+    }
+    const trimmed = getTrimmedAudioTake();
+    audioPreviewUrl = URL.createObjectURL(new Blob([encodeAudioTake(trimmed)], { type: 'audio/wav' }));
+    audioPreview.src = audioPreviewUrl;
+    
+    audioTakeInfo.textContent = `${getAudioDuration(trimmed).toFixed(2)}s of ${getAudioDuration(audioTake).toFixed(2)}s, ${audioTake.sampleRate} Hz`;
+}
+
+// Trim the silence before and after the sound in the audio take
+function trimAudioTakeSilence() {
+    if (!audioTake) return;
+    
+    const { start, end } = findAudibleRange(audioTake);
+    if (end === 0) {
+        console.warn('The audio take is silent, nothing to trim to');
+        return;
+    }
+    
+    trimStartInput.value = start.toFixed(2);
+    trimEndInput.value = Math.min(getAudioDuration(audioTake), Math.ceil(end * 100) / 100).toFixed(2);
+    updateAudioPreview();
+}
+
+// Download the trimmed audio take as a WAV file
+function downloadAudioTake() {
+    if (!audioTake) return;
+    
+    downloadFile(encodeAudioTake(getTrimmedAudioTake()), 'hand-gesture-take.wav', 'audio/wav');
+}
+
+// Load a lesson from a JSON or MIDI file
+function loadLessonFile() {
+    const file = lessonFileInput.files[0];
+    if (!file) return;
+    
+    const name = file.name.replace(/\.[^.]+$/, '');
+    const reading = /\.midi?$/i.test(file.name)
+        ? file.arrayBuffer().then(buffer => lessonFromMidiFile(new Uint8Array(buffer), name))
+        : file.text().then(parseLessonJSON);
+    
+    reading
+        .then(lesson => {
+            stopLesson();
+            loadedLesson = lesson;
+            lessonNameLabel.textContent = `${lesson.name} (${lesson.notes.length} notes)`;
+            startLessonButton.disabled = false;
+            showLessonResults(loadLessonResults()[lesson.name]);
+            console.log(`Loaded lesson ${lesson.name}:`, lesson.notes.map(note => note.note).join(' '));
+        })
+        .catch(error => {
+            console.error('Error loading lesson:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+            // Allow the same file to be picked again
+            lessonFileInput.value = '';
+        });
+}
+
+// Start the loaded lesson, or stop the one being played
+function toggleLesson() {
+    if (lessonSession) {
+        stopLesson();
+        return;
+    }
+    if (!loadedLesson) return;
+    if (!startButton.disabled) {
+        alert('Start the camera before starting a lesson.');
+        return;
+    }
+    
+    lessonSession = createLessonSession(loadedLesson, lessonModeSelect.value, parseFloat(lessonSpeedSelect.value));
+    startLessonButton.textContent = 'Stop Lesson';
+    console.log(`Started lesson ${loadedLesson.name}: ${lessonModes[lessonSession.mode]} at ${lessonSession.speed * 100}% speed`);
+}
+
+function stopLesson() {
+    lessonSession = null;
+    startLessonButton.textContent = 'Start Lesson';
+}
+
+// Save the results of a lesson played to the end and show them
+function finishLesson() {
+    const results = lessonSession.getResults();
+    showLessonResults(saveLessonResult(loadedLesson.name, results));
+    console.log(`Finished lesson ${loadedLesson.name} with a score of ${results.score}`, results);
+    stopLesson();
+}
+
+// Show a lesson's latest results and its bests, as saved by saveLessonResult
+function showLessonResults(saved) {
+    lessonResultsTable.innerHTML = '';
+    if (!saved) return;
+    
+    const { last } = saved;
+    const rows = [
+        ['Score', `${last.score} (best ${saved.bestScore})`],
+        ['Notes', Object.entries(lessonRatings).map(([rating, { name }]) => `${name}: ${last.counts[rating]}`).join(', ')],
+        ['Wrong Notes', last.wrongNotes],
+        ['Pitch Accuracy', `${last.pitchAccuracy}%`],
+        ['Timing', last.timingError === null ? 'Not timed in practice' : `${last.timingError} ms early or late on average`],
+        ['Best Streak', `${last.bestStreak} (best ${saved.bestStreak})`],
+        ['Times Played', saved.plays]
+    ];
+    
+    for (const [label, value] of rows) {
+        const row = document.createElement('tr');
+        const header = document.createElement('th');
+        header.textContent = label;
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(header);
+        row.appendChild(cell);
+        lessonResultsTable.appendChild(row);
+    }
+}
+
+// Join the jam room set in the panel, or leave the one joined
+function toggleJam() {
+    if (jamSession) {
+        jamSession.leave();
+        return;
+    }
+    
+    Object.assign(jamSettings, {
+        url: jamUrlInput.value.trim(),
+        room: jamRoomInput.value.trim(),
+        name: jamNameInput.value.trim(),
+        delay: jamDelaySelect.value
+    });
+    saveJamSettings(jamSettings);
+    
+    // The other players are only heard once audio is allowed, which this click does
+    Tone.start().catch(error => {
+        console.error('Could not start audio context:', error);
+        uiRenderer.showStatus('Could not start audio, so the other players can\'t be heard. Leave and join again to retry.', 'error');
+    });
+    
+    let session;
+    try {
+        session = createJamSession({
+            url: jamSettings.url,
+            room: jamSettings.room,
+            name: jamSettings.name,
+            instrument: instrumentSelect.value,
+            getDelay: () => jamDelaySelect.value
+        }, {
+            onPlayersChanged: players => updateJamPlayers(players),
+            onEvent: (player, event) => {
+                const voice = jamVoices.get(player.id);
+                if (voice) {
+                    voice.play(event);
+                }
+            },
+            onDisconnect: error => {
+                if (jamSession === session) {
+                    endJamSession(error);
+                }
+            }
+        });
+    } catch (error) {
+        // Addresses that aren't ws:// or wss:// URLs can't even be tried
+        alert(`Could not join the jam: ${error.message}`);
+        return;
+    }
+    
+    jamSession = session;
+    joinJamButton.textContent = 'Leave Jam';
+    jamInfo.textContent = `Connecting to ${jamSettings.url}...`;
+    jamInfoTimer = setInterval(updateJamInfo, 1000);
+    
+    session.ready
+        .then(() => {
+            uiRenderer.showStatus(`Joined jam room ${session.room}`, 'ready');
+            updateJamInfo();
+        })
+        .catch(() => {
+            // Reported when the connection closes
+        });
+}
+
+// Tidy up once the connection to the relay has ended, or failed
+function endJamSession(error) {
+    clearInterval(jamInfoTimer);
+    jamSession = null;
+    updateJamPlayers([]);
+    joinJamButton.textContent = 'Join Jam';
+    jamInfo.textContent = '';
+    
+    if (error) {
+        uiRenderer.showStatus(`Jam session ended: ${error.message}. Check the relay is running and the address is right.`, 'error');
+    } else {
+        console.log('Left the jam');
+    }
+}
+
+function changeJamDelay() {
+    jamSettings.delay = jamDelaySelect.value;
+    saveJamSettings(jamSettings);
+    const [, label] = jamDelays.find(([value]) => value === jamSettings.delay);
+    console.log(`Jam playout delay ${label.toLowerCase()}`);
+}
+
+// Give every other player in the jam a voice on their instrument, dropping the voices
+// of players who left, and list them all
+function updateJamPlayers(players) {
+    const playerIds = new Set(players.map(player => player.id));
+    for (const [id, voice] of jamVoices) {
+        if (!playerIds.has(id)) {
+            voice.dispose();
+            jamVoices.delete(id);
+        }
+    }
+    
+    for (const player of players) {
+        if (!jamVoices.has(player.id)) {
+            jamVoices.set(player.id, createJamPlayerVoice(audioEngine.getMasterInput(), uiRenderer.showStatus));
+        }
+        jamVoices.get(player.id).setInstrument(player.instrument);
+    }
+    
+    buildJamPlayerRows(players);
+}
+
+// Build the players table: this player first, then everyone else with their own
+// volume and mute, which only change what this player hears
+function buildJamPlayerRows(players) {
+    const tableBody = jamPlayersTable.querySelector('tbody');
+    tableBody.innerHTML = '';
+    jamLatencyCells = new Map();
+    if (!jamSession) return;
+    
+    const instrumentNames = {};
+    for (const option of instrumentSelect.options) {
+        instrumentNames[option.value] = option.textContent;
+    }
+    
+    const appendRow = contents => {
+        const row = document.createElement('tr');
+        const cells = contents.map(content => {
+            const cell = document.createElement('td');
+            cell.append(content);
+            row.appendChild(cell);
+            return cell;
+        });
+        tableBody.appendChild(row);
+        return cells;
+    };
+    
+    appendRow([`${jamSettings.name || `Player ${jamSession.id}`} (you)`, instrumentNames[instrumentSelect.value] || instrumentSelect.value, '', '', '']);
+    
+    for (const player of players) {
+        const voice = jamVoices.get(player.id);
+        
+        // Instruments this browser doesn't have, like other players' own, play the fallback
+        const instrumentName = instrumentNames[player.instrument] || player.instrument;
+        const instrumentLabel = voice.instrument === player.instrument ? instrumentName : `${instrumentName} (heard as ${instrumentNames[voice.instrument]})`;
+        
+        const volumeInput = document.createElement('input');
+        volumeInput.type = 'range';
+        volumeInput.min = -40;
+        volumeInput.max = 6;
+        volumeInput.step = 1;
+        volumeInput.value = voice.volume;
+        volumeInput.title = 'Volume (dB)';
+        volumeInput.addEventListener('input', () => voice.setVolume(parseFloat(volumeInput.value)));
+        
+        const muteButton = document.createElement('button');
+        muteButton.textContent = voice.muted ? 'Unmute' : 'Mute';
+        muteButton.addEventListener('click', () => {
+            voice.setMuted(!voice.muted);
+            muteButton.textContent = voice.muted ? 'Unmute' : 'Mute';
+        });
+        
+        const cells = appendRow([player.name, instrumentLabel, '', volumeInput, muteButton]);
+        jamLatencyCells.set(player.id, cells[2]);
+    }
+    updateJamInfo();
+}
+
+// Show how well the jam is keeping time: the round trip to the relay, the playout
+// delay and how far behind each player's events arrive
+function updateJamInfo() {
+    if (!jamSession || !jamSession.isConnected()) return;
+    
+    const roundTrip = jamSession.clock.roundTrip === null ? '?' : Math.round(jamSession.clock.roundTrip * 1000);
+    const late = jamSession.lateEvents > 0 ? `, ${jamSession.lateEvents} notes arrived late` : '';
+    jamInfo.textContent = `In room ${jamSession.room}: ${roundTrip} ms to the relay, ` +
+        `others played ${Math.round(jamSession.getPlayoutDelay() * 1000)} ms behind${late}`;
+    
+    for (const [id, cell] of jamLatencyCells) {
+        const player = jamSession.players.get(id);
+        cell.textContent = player && player.latency !== null ? `${Math.round(player.latency * 1000)} ms` : '';
+    }
+}
+
+// Save data to a file through the browser's download
+function downloadFile(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    // Give the download a moment to start before freeing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Start or stop recording raw landmark frames from the camera
+function toggleFrameRecording() {
+    if (landmarkRecorder.isRecording) {
+        landmarkRecording = landmarkRecorder.stop();
+        recordFramesButton.textContent = 'Record Frames';
+        recordFramesButton.classList.remove('recording');
+        
+        const hasFrames = landmarkRecording.frames.length > 0;
+        saveFramesButton.disabled = !hasFrames;
+        replayFramesButton.disabled = !hasFrames;
+        console.log(`Recorded ${landmarkRecording.frames.length} landmark frames, ${landmarkRecording.duration.toFixed(2)}s`);
+    } else {
+        landmarkRecorder.start();
+        recordFramesButton.textContent = 'Stop Frames';
+        recordFramesButton.classList.add('recording');
+        console.log('Landmark frame recording started');
+    }
+}
+
+// Download the landmark recording as JSON
+function saveFrameRecording() {
+    if (!landmarkRecording) return;
+    
+    downloadFile(landmarkRecordingToJSON(landmarkRecording), 'hand-landmarks.json', 'application/json');
+}
+
+// Load a landmark recording from a JSON file
+function loadFrameRecording() {
+    const file = loadFramesInput.files[0];
+    if (!file) return;
+    
+    file.text()
+        .then(text => {
+            landmarkRecording = parseLandmarkRecordingJSON(text);
+            saveFramesButton.disabled = false;
+            replayFramesButton.disabled = false;
+            console.log(`Loaded ${landmarkRecording.frames.length} landmark frames from ${file.name}`);
+        })
+        .catch(error => {
+            console.error('Error loading landmark recording:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+            // Allow the same file to be picked again
+            loadFramesInput.value = '';
+        });
+}
+
+// Replay the landmark recording through the music pipeline, or stop the replay
+function toggleFrameReplay() {
+    if (stopFrameReplay) {
+        stopFrameReplay();
+        finishFrameReplay();
+        return;
+    }
+    
+    if (!landmarkRecording) return;
+    
+    // Replay works without the camera, but still needs audio
+    Tone.start().then(() => {
+        if (!audioEngine.synth) {
+            changeInstrument();
+        }
+        startTransport();
+        
+        // Start from a clean slate so the replay matches the recording
+        releaseAllHands();
+        handDetector.reset();
+        
+        const replayClock = createManualClock();
+        appClock = replayClock;
+        
+        stopFrameReplay = playLandmarkRecording(landmarkRecording, onHandResults, {
+            speed: parseFloat(replaySpeedSelect.value),
+            clock: replayClock,
+            onFinished: finishFrameReplay
+        });
+        replayFramesButton.textContent = 'Stop Replay';
+        console.log(`Replaying ${landmarkRecording.frames.length} landmark frames`);
+    }).catch(error => {
+        console.error('Could not start audio context:', error);
+        alert('Error starting audio. Please try again by clicking the button.');
+    });
+}
+
+// Go back to live input once a replay has finished or been stopped
+function finishFrameReplay() {
+    stopFrameReplay = null;
+    appClock = toneClock;
+    releaseAllHands();
+    handDetector.reset();
+    replayFramesButton.textContent = 'Replay Frames';
+    uiRenderer.clear();
+    console.log('Landmark replay finished');
+}
+
+// Move a select to a neighbouring option and run its change handler.
+// With wrap the selection cycles round, otherwise it stops at the ends.
+function stepSelectOption(select, step, wrap, onChange) {
+    const count = select.options.length;
+    let index = select.selectedIndex + step;
+    
+    if (wrap) {
+        index = (index + count) % count;
+    } else if (index < 0 || index >= count) {
+        return;
+    }
+    
+    select.selectedIndex = index;
+    onChange();
+}
+
+// Run the command bound to a gesture
+function runGestureCommand(command, gesture, hand) {
+    const gestureCommand = gestureCommands[command];
+    if (!gestureCommand) {
+        console.warn(`No command called ${command} for gesture ${gesture}`);
+        return;
+    }
+    
+    console.log(`${hand} hand ${gestureNames[gesture]} gesture: ${gestureCommand.name}`);
+    gestureCommand.run();
+}
+
+// Build the table of expression mappings
+function buildExpressionControls() {
+    const tableBody = expressionTable.querySelector('tbody');
+    
+    for (const [source, mapping] of Object.entries(audioEngine.expressionMappings)) {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = expressionSources[source].name;
+        row.appendChild(nameCell);
+        
+        const handSelect = createSelect({ Right: 'Right', Left: 'Left' }, mapping.hand);
+        const targetSelect = createSelect(
+            Object.fromEntries(Object.entries(expressionTargets).map(([id, target]) => [id, target.name])),
+            mapping.target
+        );
+        const minInput = createNumberInput();
+        const maxInput = createNumberInput();
+        const smoothingInput = document.createElement('input');
+        smoothingInput.type = 'range';
+        smoothingInput.min = 0;
+        smoothingInput.max = 0.95;
+        smoothingInput.step = 0.05;
+        smoothingInput.value = mapping.smoothing;
+        
+        // Show the range of the selected target
+        const showTargetRange = () => {
+            const target = expressionTargets[mapping.target];
+            const hasRange = mapping.target !== 'none';
+            minInput.value = hasRange ? mapping.min : '';
+            maxInput.value = hasRange ? mapping.max : '';
+            minInput.disabled = !hasRange;
+            maxInput.disabled = !hasRange;
+            minInput.step = hasRange && target.max > 100 ? 10 : 0.05;
+            maxInput.step = minInput.step;
+        };
+        
+        const setTargetRange = () => {
+            const target = expressionTargets[mapping.target];
+            mapping.min = target.min;
+            mapping.max = target.max;
+        };
+        
+        if (mapping.target !== 'none') setTargetRange();
+        showTargetRange();
+        
+        handSelect.addEventListener('change', () => {
+            audioEngine.resetExpressionMapping(mapping);
+            mapping.hand = handSelect.value;
+        });
+        targetSelect.addEventListener('change', () => {
+            audioEngine.resetExpressionMapping(mapping);
+            mapping.target = targetSelect.value;
+            if (mapping.target !== 'none') setTargetRange();
+            showTargetRange();
+        });
+        minInput.addEventListener('change', () => { mapping.min = parseFloat(minInput.value); });
+        maxInput.addEventListener('change', () => { mapping.max = parseFloat(maxInput.value); });
+        smoothingInput.addEventListener('input', () => { mapping.smoothing = parseFloat(smoothingInput.value); });
+        
+        for (const control of [handSelect, targetSelect, minInput, maxInput, smoothingInput]) {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        }
+        
+        tableBody.appendChild(row);
+    }
+}
+
+// Create a select element from an object of value: label pairs
+function createSelect(options, value) {
+    const select = document.createElement('select');
+    for (const [optionValue, label] of Object.entries(options)) {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+    select.value = value;
+    return select;
+}
+
+// Build the table that maps drum kit pieces to fingers and pads
+function buildDrumControls() {
+    const tableBody = drumTable.querySelector('tbody');
+    const padOptions = { 0: 'None' };
+    for (let pad = 1; pad <= drumPadCount; pad++) {
+        padOptions[pad] = `Pad ${pad}`;
+    }
+    
+    for (const [piece, mapping] of Object.entries(drumMappings)) {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = drumKitPieces[piece].name;
+        row.appendChild(nameCell);
+        
+        const handSelect = createSelect({ none: 'None', Right: 'Right', Left: 'Left' }, mapping.hand || 'none');
+        const fingerSelect = createSelect(Object.assign({}, calibrationFingerNames), mapping.finger);
+        const padSelect = createSelect(padOptions, mapping.pad);
+        fingerSelect.disabled = !mapping.hand;
+        
+        // Remapping mid-hit could leave a piece hanging on a MIDI output, so let go first
+        const updateMapping = () => {
+            releaseAllHands();
+            mapping.hand = handSelect.value === 'none' ? null : handSelect.value;
+            mapping.finger = parseInt(fingerSelect.value, 10);
+            mapping.pad = parseInt(padSelect.value, 10);
+            fingerSelect.disabled = !mapping.hand;
+            rebuildZoneLayout();
+        };
+        
+        for (const control of [handSelect, fingerSelect, padSelect]) {
+            control.addEventListener('change', updateMapping);
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        }
+        
+        tableBody.appendChild(row);
+    }
+}
+
+// Build the loop station's table with a row of controls for each track
+function buildLooperControls() {
+    const tableBody = looperTable.querySelector('tbody');
+    tableBody.innerHTML = '';
+    
+    const instrumentOptions = {};
+    for (const option of instrumentSelect.options) {
+        instrumentOptions[option.value] = option.textContent;
+    }
+    
+    const createButton = (text, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+    
+    looperRows = looper.tracks.map((track, index) => {
+        const row = document.createElement('tr');
+        
+        // The selected track is the one the loop gesture records
+        const nameLabel = document.createElement('label');
+        const selectRadio = document.createElement('input');
+        selectRadio.type = 'radio';
+        selectRadio.name = 'loop-track';
+        selectRadio.checked = index === looper.selectedTrack;
+        selectRadio.addEventListener('change', () => {
+            looper.selectedTrack = index;
+        });
+        nameLabel.append(selectRadio, ` ${track.name}`);
+        
+        const controls = {
+            instrumentSelect: createSelect(instrumentOptions, track.instrument || instrumentSelect.value),
+            layersCell: document.createElement('td'),
+            recordButton: createButton('Record', () => toggleLoopRecording(index)),
+            muteButton: createButton('Mute', () => toggleLoopMute(index)),
+            undoButton: createButton('Undo', () => undoLoopLayer(index)),
+            clearButton: createButton('Clear', () => clearLoopTrack(index))
+        };
+        controls.instrumentSelect.addEventListener('change', () => changeLoopTrackInstrument(index, controls.instrumentSelect.value));
+        
+        const appendCell = control => {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        };
+        appendCell(nameLabel);
+        appendCell(controls.instrumentSelect);
+        row.appendChild(controls.layersCell);
+        [controls.recordButton, controls.muteButton, controls.undoButton, controls.clearButton].forEach(appendCell);
+        
+        tableBody.appendChild(row);
+        return controls;
+    });
+    
+    updateLooperControls();
+}
+
+// Show each track's state in the loop station's table
+function updateLooperControls() {
+    looperRows.forEach((controls, index) => {
+        const track = looper.tracks[index];
+        const recording = looper.recordingTrack === index;
+        const armed = looper.armedTrack === index;
+        const hasLayers = track.layers.length > 0;
+        
+        if (recording) {
+            controls.recordButton.textContent = 'Recording';
+        } else if (armed) {
+            controls.recordButton.textContent = 'Armed';
+        } else {
+            controls.recordButton.textContent = hasLayers ? 'Overdub' : 'Record';
+        }
+        controls.recordButton.classList.toggle('recording', recording);
+        controls.recordButton.classList.toggle('armed', armed);
+        controls.layersCell.textContent = track.layers.length;
+        controls.instrumentSelect.value = track.instrument || instrumentSelect.value;
+        controls.muteButton.textContent = track.muted ? 'Unmute' : 'Mute';
+        controls.undoButton.disabled = !hasLayers;
+        controls.clearButton.disabled = !hasLayers;
+    });
+    
+    loopBarsSelect.disabled = !looper.isEmpty();
+    saveLoopsButton.disabled = looper.isEmpty();
+}
+
+// Build the effects rack and master bus tables
+function buildAllEffectControls() {
+    rackControls = buildEffectControls(effectsTable, effectTypes, () => effectSettings, () => {
+        audioEngine.applyEffectSettings(effectSettings);
+        saveEffectPreset(instrumentSelect.value, effectSettings);
+    });
+    masterControls = buildEffectControls(masterEffectsTable, masterEffectTypes, () => masterEffectSettings, () => {
+        audioEngine.applyMasterEffectSettings(masterEffectSettings);
+        saveMasterEffectSettings(masterEffectSettings);
+    });
+    
+    loadInstrumentEffects(instrumentSelect.value);
+    updateEffectControls(masterControls, masterEffectSettings);
+}
+
+// Build a table with a row for each effect: a bypass switch and its parameters.
+// getSettings returns the settings being edited, onChange runs after every edit.
+function buildEffectControls(table, types, getSettings, onChange) {
+    const tableBody = table.querySelector('tbody');
+    const controls = {};
+    
+    for (const [id, type] of Object.entries(types)) {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = type.name;
+        row.appendChild(nameCell);
+        
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.setAttribute('aria-label', `${type.name} on`);
+        enabledCheckbox.addEventListener('change', () => {
+            getSettings()[id].enabled = enabledCheckbox.checked;
+            onChange();
+        });
+        const enabledCell = document.createElement('td');
+        enabledCell.appendChild(enabledCheckbox);
+        row.appendChild(enabledCell);
+        
+        const paramsCell = document.createElement('td');
+        const inputs = {};
+        for (const [param, definition] of Object.entries(type.params)) {
+            let input;
+            if (definition.options) {
+                input = createSelect(definition.options, definition.value);
+            } else {
+                input = createNumberInput();
+                input.min = definition.min;
+                input.max = definition.max;
+                input.step = definition.step;
+            }
+            
+            // Out of range values are clamped, and the input shows what was kept
+            input.addEventListener('change', () => {
+                const settings = getSettings();
+                const value = definition.options ? input.value : parseFloat(input.value);
+                settings[id] = mergeEffectSettings(settings, { [id]: { params: { [param]: value } } }, types)[id];
+                input.value = settings[id].params[param];
+                onChange();
+            });
+            
+            const label = document.createElement('label');
+            label.append(`${definition.name} `, input);
+            paramsCell.appendChild(label);
+            inputs[param] = input;
+        }
+        row.appendChild(paramsCell);
+        
+        tableBody.appendChild(row);
+        controls[id] = { enabledCheckbox, inputs };
+    }
+    
+    return controls;
+}
+
+// Show effect settings in a table built by buildEffectControls
+function updateEffectControls(controls, settings) {
+    for (const [id, { enabledCheckbox, inputs }] of Object.entries(controls)) {
+        enabledCheckbox.checked = settings[id].enabled;
+        for (const [param, input] of Object.entries(inputs)) {
+            input.value = settings[id].params[param];
+        }
+    }
+}
+
+// Switch the effects rack to an instrument's settings
+function loadInstrumentEffects(instrument) {
+    effectSettings = getInstrumentEffectSettings(instrument, loadEffectPresets());
+    audioEngine.applyEffectSettings(effectSettings);
+    updateEffectControls(rackControls, effectSettings);
+    effectsInstrumentLabel.textContent = instrumentSelect.options[instrumentSelect.selectedIndex].textContent;
+}
+
+// Drop the selected instrument's saved effect changes and go back to its preset
+function resetInstrumentEffects() {
+    deleteEffectPreset(instrumentSelect.value);
+    loadInstrumentEffects(instrumentSelect.value);
+    console.log(`Reset effects for ${instrumentSelect.value} to its preset`);
+}
+
+// Create a number input for expression ranges and effect parameters
+function createNumberInput() {
+    const input = document.createElement('input');
+    input.type = 'number';
+    return input;
+}
+
+// Change the role of one hand
+function changeHandRole(hand, role) {
+    // Let go of anything the hand was doing in its old role
+    audioEngine.releaseHand(hand);
+    handDetector.resetHand(hand);
+    if (handRoles[hand] === 'controls') {
+        audioEngine.resetHandControls();
+    }
+    thereminReadings[hand] = null;
+    
+    handRoles[hand] = role;
+    console.log(`${hand} hand role changed to ${handRoleNames[role]}`);
+}
+
+// Release every note from both hands. Fingers that are still bent have to
+// lift and press again before they play.
+function releaseAllHands() {
+    audioEngine.releaseAll();
+    handDetector.resetPresses();
+}
+
+// Handle results from the camera: record them if asked, and ignore them while
+// a landmark recording is being replayed
+function onLiveHandResults(results) {
+    if (!handTrackingReady) {
+        handTrackingReady = true;
+        uiRenderer.showStatus('Hand tracking ready', 'ready');
+    }
+    if (stopFrameReplay) return;
+    
+    landmarkRecorder.addFrame(results);
+    onHandResults(results);
+}
+
+// Process hand tracking results
+function onHandResults(results) {
+    const multiHandLandmarks = results.multiHandLandmarks || [];
+    
+    if (calibrationSession) {
+        // While calibrating, the first hand is measured instead of played
+        if (multiHandLandmarks.length > 0) {
+            updateCalibration(calculateFingerPositions(multiHandLandmarks[0], calibration));
+        } else {
+            calibrationSession.skipFrame();
+        }
+    }
+    
+    // Play music based on the position of each hand (see hand-detector.js). While
+    // calibrating no hand is played, so any notes still sounding stop.
+    if (calibrationSession) {
+        handDetector.update([], []);
+    } else {
+        handDetector.update(multiHandLandmarks, results.multiHandedness);
+    }
+    
+    // Keep debug info for each hand, and preview a new calibration while it is being tried out
+    for (const [hand, tracking] of Object.entries(handDetector.hands)) {
+        handDebugTexts[hand] = handDetector.isTracking(hand)
+            ? getHandDebugText(hand, tracking.lastFingerPositions, tracking.previousFingerPositions)
+            : '';
+    }
+    if (pendingCalibration) {
+        updateCalibrationPreview(multiHandLandmarks[0] ? calculateFingerPositions(multiHandLandmarks[0], calibration) : null);
+    }
+    
+    // Move the lesson on, scoring notes that have gone by unplayed
+    if (lessonSession) {
+        lessonSession.update(appClock.now());
+        if (lessonSession.finished) {
+            finishLesson();
+        }
+    }
+    
+    // Draw the note zones under the hands, lit up by the notes just played, the
+    // theremin's tuning guide while a hand plays it and the lesson's upcoming notes
+    const showZones = zoneLayout && !calibrationSession;
+    uiRenderer.drawFrame(results, {
+        zoneLayout: showZones ? zoneLayout : null,
+        highlights: showZones ? getZoneHighlights() : undefined,
+        heightRange: pendingCalibration ? calibration.heightRange : null,
+        theremin: calibrationSession ? null : getThereminOverlay(),
+        lesson: lessonSession && !calibrationSession
+            ? { session: lessonSession, scale: currentScale, heightRange: calibration.heightRange }
+            : null
+    });
+    uiRenderer.showDebug(Object.values(handDebugTexts));
+}
+
+// The theremin's tuning guide and what each theremin hand plays, or null when no hand has the role
+function getThereminOverlay() {
+    const thereminHands = Object.keys(handRoles).filter(hand => handRoles[hand] === 'theremin');
+    if (thereminHands.length === 0) {
+        return null;
+    }
+    
+    const useFlats = scaleUsesFlats(scaleSettings.root, scaleSettings.mode);
+    return {
+        guide: getThereminGuide(thereminSettings, currentScale, calibration, useFlats),
+        readings: thereminHands.map(hand => thereminReadings[hand]).filter(reading => reading),
+        useFlats
+    };
+}
+
+// Zones to light up: the ones fingers are sounding and the ones fingertips are over
+function getZoneHighlights() {
+    const active = new Set();
+    const hover = new Set();
+    
+    for (const [hand, tracking] of Object.entries(handDetector.hands)) {
+        tracking.zoneTracker.heldZones.forEach((zone, finger) => {
+            if (zone && audioEngine.voiceManager.getVoiceNotes(getVoiceId(hand, finger)).length > 0) {
+                active.add(zone.id);
+            }
+        });
+        tracking.zoneTracker.hoverZones.forEach(zone => {
+            if (zone) hover.add(zone.id);
+        });
+    }
+    
+    return { active, hover };
+}
+
+// Build the debug text for one hand
+function getHandDebugText(hand, fingerPositions, lastPositions) {
+    const fingerNames = ['Thumb', 'Index', 'Middle', 'Ring', 'Pinky'];
+    const tracking = handDetector.hands[hand];
+    const handVoices = audioEngine.hands[hand];
+    let debugText = `<strong>${hand} Hand (${handRoleNames[handRoles[hand]]}) Finger Positions:</strong><br>`;
+    debugText += `Scale: ${describeScale(scaleSettings.root, scaleSettings.mode, currentScale)}<br>`;
+    debugText += `Gesture: ${gestureNames[tracking.gestureDetector.currentGesture]}<br>`;
+    
+    for (const [source, mapping] of Object.entries(audioEngine.expressionMappings)) {
+        if (mapping.hand === hand && mapping.value !== null) {
+            debugText += `${expressionSources[source].name} → ${expressionTargets[mapping.target].name}: ${mapping.value.toFixed(2)}<br>`;
+        }
+    }
+    
+    fingerPositions.forEach((pos, index) => {
+        debugText += `${fingerNames[index]}: Extension: ${pos.extension.toFixed(2)}, Height: ${pos.height.toFixed(2)}<br>`;
+    });
+    
+    const playing = [];
+    fingerNames.forEach((name, finger) => {
+        const notes = audioEngine.voiceManager.getVoiceNotes(getVoiceId(hand, finger));
+        const details = handVoices.pressDetails[finger];
+        if (notes.length > 0 && details) {
+            playing.push(`${name} ${details.label ? `${details.label} ` : ''}${notes.join('/')} (velocity ${details.velocity.toFixed(2)}, ${details.articulation.name})`);
+        }
+    });
+    if (playing.length > 0) {
+        debugText += `<br><strong>Playing:</strong> ${playing.join(', ')}`;
+    }
+    const thereminReading = thereminReadings[hand];
+    if (handRoles[hand] === 'theremin' && thereminReading) {
+        const { note, cents } = describePitch(thereminReading.midi, scaleUsesFlats(scaleSettings.root, scaleSettings.mode));
+        debugText += `<br><strong>Theremin:</strong> ${note} ${cents >= 0 ? '+' : ''}${cents} cents, ` +
+            `${thereminReading.frequency.toFixed(1)} Hz, volume ${Math.round(thereminReading.amplitude * 100)}%`;
+    }
+    if (handVoices.arpNotes.size > 0) {
+        const chord = sortNotesByPitch([...handVoices.arpNotes.values()].flatMap(({ notes }) => notes));
+        debugText += `<br><strong>Arpeggio (${arpeggiatorPatterns[tempoSettings.arpeggiator].name}):</strong> ${chord.join(' ')}`;
+    }
+    
+    // Add press detection info
+    if (lastPositions) {
+        debugText += `<br><br><strong>Press Detection:</strong><br>`;
+        debugText += `Press below ${fingerPressSettings.pressThreshold}, release above ${fingerPressSettings.releaseThreshold} (profile ${calibration.name})<br>`;
+        
+        for (let i = 0; i < 5; i++) {
+            const { tipMovement } = measureFingerMovement(fingerPositions[i], lastPositions[i]);
+            const isDown = tracking.pressTracker.isDown && tracking.pressTracker.isDown[i];
+            
+            const zone = tracking.zoneTracker.hoverZones[i];
+            const state = zoneLayout ? `Zone: ${zone ? zone.note : 'none'}` : (isDown ? 'Down' : 'Up');
+            
+            debugText += `${fingerNames[i]}: ${state}, Extension: ${(fingerPositions[i].extensionRatio * 100).toFixed(0)}%, Movement: ${tipMovement.toFixed(3)}<br>`;
+        }
+    }
+    
+    return debugText;
+}
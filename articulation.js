@@ -0,0 +1,55 @@
+// Velocity and articulation: turns how fast a finger moved into how loud a note is
+// and how long it lasts. The same policy applies to every instrument.
+
+// Speeds are in normalised image units per second (1 = the full frame height in one second)
+const articulationSettings = {
+    // Slowest and fastest finger speeds that still change the velocity
+    minSpeed: 0.4,
+    maxSpeed: 3,
+    // Velocity range notes are played at
+    minVelocity: 0.25,
+    maxVelocity: 1,
+    // Shapes the velocity curve; below 1 makes moderate speeds louder
+    velocityCurve: 0.7,
+    // Movements at least this fast are flicks and play short notes
+    staccatoSpeed: 2,
+    // Length of a staccato note in seconds
+    staccatoDuration: 0.15,
+    // Longest a sustained note holds before it is released, in seconds (null holds until the finger lifts)
+    sustainMaxDuration: 4
+};
+
+// Fallback frame time when there is no previous frame (30 frames per second)
+const defaultFrameTime = 1 / 30;
+
+// Speed of a finger from the movement measured between two frames.
+// Extension changes count a little more than tip movement.
+function getFingerSpeed(tipMovement, extensionChange, frameTime) {
+    const seconds = frameTime > 0 ? frameTime : defaultFrameTime;
+    return Math.max(tipMovement, extensionChange / 0.8) / seconds;
+}
+
+// Note velocity (0..1) for a finger speed
+function velocityFromSpeed(speed, settings = articulationSettings) {
+    const range = settings.maxSpeed - settings.minSpeed;
+    const amount = Math.max(0, Math.min(1, (speed - settings.minSpeed) / range));
+    const shaped = Math.pow(amount, settings.velocityCurve);
+    return settings.minVelocity + (settings.maxVelocity - settings.minVelocity) * shaped;
+}
+
+// Articulation for a finger speed: a fast flick is staccato, a slower press sustains.
+// duration is how long the note sounds in seconds, or null to hold it until released.
+function chooseArticulation(speed, settings = articulationSettings) {
+    if (speed >= settings.staccatoSpeed) {
+        return { name: 'staccato', duration: settings.staccatoDuration };
+    }
+    return { name: 'sustain', duration: settings.sustainMaxDuration };
+}
+
+export {
+    articulationSettings,
+    defaultFrameTime,
+    getFingerSpeed,
+    velocityFromSpeed,
+    chooseArticulation
+};
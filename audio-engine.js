@@ -0,0 +1,499 @@
+// Audio engine: owns everything that makes sound. The selected instrument and where
+// its notes go (see note-output.js), the voices each finger holds, the quantizer,
+// arpeggiator and metronome (see tempo.js), and the audio graph: expression chain,
+// the filter and volume a "controls" hand shapes, the effects rack and master bus.
+//
+// Listens on the bus (see event-bus.js) for noteStart, fingerRelease, handFrame,
+// thereminFrame and handMissing, and emits noteOn and noteOff for every note that
+// sounds or stops, and expression whenever a hand moves an expression target.
+
+import { instruments } from './instruments.js';
+import { drumKitPieces } from './drum-kit.js';
+import { articulationSettings } from './articulation.js';
+import { calibrationFingerNames } from './calibration.js';
+import { createToneOutput } from './note-output.js';
+import { createVoiceManager } from './voice-manager.js';
+import { defaultArpeggiatorRate, arpeggiatorGate, getQuantizeDelay, sortNotesByPitch, getArpeggioNote, createNoteQuantizer, applyTransportSettings, createMetronome } from './tempo.js';
+import { expressionTargets, defaultExpressionMappings, getExpressionSources, mapExpressionValue, normalizeExpressionValue, smoothExpressionValue, createExpressionChain } from './expression.js';
+import { effectTypes, masterEffectTypes, createEffectChain } from './effects.js';
+import { createThereminVoice } from './theremin.js';
+
+// Voice name for one finger of one hand
+function getVoiceId(hand, finger) {
+    return `${hand}:${finger}`;
+}
+
+// Hand a voice belongs to
+function getVoiceHand(voiceId) {
+    return voiceId.split(':')[0];
+}
+
+// Run a function just ahead of an audio context time, early enough for what it
+// plays to be scheduled at that time (like a note-off passed the same time)
+function runAtAudioTime(time, callback) {
+    setTimeout(callback, Math.max(0, (time - Tone.now()) * 1000));
+}
+
+// Create a fresh playing state for one hand
+function createHandVoices(hand) {
+    return {
+        hand,
+        pressDetails: [], // finger -> { velocity, articulation, label } of its latest press
+        arpNotes: new Map(), // finger -> { notes, velocity } held for the arpeggiator
+        arpStep: 0,
+        thereminVoice: null // gliding voice of a theremin hand, made when it first plays
+    };
+}
+
+// Create the engine. options:
+//   getTempoSettings()         transport tempo, quantize grid and arpeggiator (see tempo.js)
+//   getEffectSettings()        rack settings of the selected instrument (see effects.js)
+//   getMasterEffectSettings()  master bus settings
+//   getThereminSettings()      waveform, glide and volume range of theremin hands (see theremin.js)
+function createAudioEngine(bus, options) {
+    // The audio graph, created once the audio context is running
+    let controlFilter = null;
+    let controlVolume = null;
+    let expressionChain = null;
+    let effectsRack = null;
+    let masterBus = null;
+
+    let metronome = null;
+    let arpeggiatorEventId = null;
+
+    const reportStatus = (message, type) => bus.emit('status', { message, type });
+
+    const engine = {
+        synth: null,
+        instrument: null,
+        toneOutput: null,
+        noteOutput: null,
+        voiceManager: null,
+
+        // Per-hand playing state, so one hand never releases the other's notes
+        hands: {
+            Left: createHandVoices('Left'),
+            Right: createHandVoices('Right')
+        },
+
+        // How hand movements map onto sound parameters (see expression.js).
+        // value holds the smoothed target value while a hand is driving it.
+        expressionMappings: {},
+
+        // Get the node instruments play into: the expression chain, followed by a filter
+        // and volume stage that a "controls" hand can shape, the effects rack and the master bus.
+        // Created once the audio context is running.
+        getInstrumentOutput() {
+            if (!controlFilter) {
+                masterBus = createEffectChain(masterEffectTypes);
+                masterBus.apply(options.getMasterEffectSettings());
+                masterBus.output.toDestination();
+
+                effectsRack = createEffectChain(effectTypes);
+                effectsRack.apply(options.getEffectSettings());
+                effectsRack.output.connect(masterBus.input);
+
+                controlFilter = new Tone.Filter(20000, 'lowpass');
+                controlVolume = new Tone.Volume(0);
+                controlFilter.chain(controlVolume, effectsRack.input);
+
+                expressionChain = createExpressionChain();
+                expressionChain.output.connect(controlFilter);
+            }
+            return expressionChain.input;
+        },
+
+        // The master bus output: everything the instruments play, after every effect,
+        // for recording the sound itself. Creates the audio graph if needed.
+        getMasterOutput() {
+            engine.getInstrumentOutput();
+            return masterBus.output;
+        },
+
+        // The master bus input, for sounds that skip the instrument's expression and
+        // effects, like other players in a jam (see jam.js). Creates the audio graph if needed.
+        getMasterInput() {
+            engine.getInstrumentOutput();
+            return masterBus.input;
+        },
+
+        // Switch the effects rack or the master bus to new settings, once they exist
+        applyEffectSettings(settings) {
+            if (effectsRack) {
+                effectsRack.apply(settings);
+            }
+        },
+
+        applyMasterEffectSettings(settings) {
+            if (masterBus) {
+                masterBus.apply(settings);
+            }
+        },
+
+        // Replace the instrument with a new one of the named kind, and play a test note
+        setInstrument(name) {
+            if (engine.synth) {
+                engine.releaseAll();
+
+                // Dispose the old synth to free resources and prevent conflicts
+                if (engine.synth.dispose) {
+                    engine.synth.dispose();
+                    console.log('Disposed old synth');
+                }
+            }
+
+            console.log(`Creating ${name} instrument...`);
+            engine.instrument = name;
+
+            try {
+                // Create the new instrument
+                const synth = instruments[name].create(reportStatus).connect(engine.getInstrumentOutput());
+                engine.synth = synth;
+                console.log(`Changed instrument to ${name}`, synth);
+
+                // Test the instrument with a simple note after a short delay
+                // to allow samples to load if needed
+                setTimeout(() => {
+                    if (Tone.context.state === 'running') {
+                        try {
+                            // Use different approach based on synth type
+                            if (name === 'bass') {
+                                synth.triggerAttackRelease("C3", "8n");
+                            } else if (name === 'drums') {
+                                synth.triggerAttackRelease([drumKitPieces.kick.note, drumKitPieces.closedHat.note], "8n");
+                            } else {
+                                synth.triggerAttackRelease(["C4", "E4", "G4"], "8n");
+                            }
+                            console.log(`Played test note(s) with ${name}`);
+                        } catch (e) {
+                            console.error("Error playing test note:", e);
+                            // Try with a fallback synth if the instrument fails
+                            const fallbackSynth = new Tone.Synth().connect(engine.getInstrumentOutput());
+                            fallbackSynth.triggerAttackRelease("C4", "8n");
+                            console.log("Played test note with fallback synth");
+                        }
+                    }
+                }, 500);
+            } catch (error) {
+                console.error(`Error creating instrument ${name}:`, error);
+                // Create a fallback synth
+                engine.synth = new Tone.Synth().connect(engine.getInstrumentOutput());
+                console.log("Created fallback synth due to error");
+                reportStatus(`Could not create the ${name} instrument, playing a simple synth instead`, 'error');
+            }
+        },
+
+        // Whether the instrument is a percussion kit rather than pitched
+        isPercussion() {
+            const instrument = instruments[engine.instrument];
+            return Boolean(instrument && instrument.percussion);
+        },
+
+        // Send notes somewhere else: the instrument (toneOutput) or a MIDI port
+        setNoteOutput(output) {
+            engine.releaseAll();
+            engine.noteOutput = output;
+        },
+
+        // Whether any finger of this hand is holding a note
+        isHandPlaying(hand) {
+            return engine.voiceManager.getVoiceIds().some(voiceId => getVoiceHand(voiceId) === hand);
+        },
+
+        // Release the notes one hand is holding, leaving the other hand's notes alone
+        releaseHand(hand) {
+            const handVoices = engine.hands[hand];
+            noteQuantizer.cancelMatching(`${hand}:`);
+            handVoices.arpNotes.clear();
+            handVoices.arpStep = 0;
+            engine.voiceManager.releaseMatching(`${hand}:`);
+            engine.silenceTheremin(hand);
+        },
+
+        // Let go of one finger's notes (or its place in the arpeggio)
+        releaseFinger(hand, finger) {
+            const handVoices = engine.hands[hand];
+            const voiceId = getVoiceId(hand, finger);
+            noteQuantizer.release(voiceId);
+            engine.voiceManager.noteOff(voiceId);
+
+            handVoices.arpNotes.delete(finger);
+            if (handVoices.arpNotes.size === 0) {
+                handVoices.arpStep = 0;
+            }
+        },
+
+        // Release every note from both hands, and any waiting for the quantize grid
+        releaseAll() {
+            noteQuantizer.cancelMatching('');
+            engine.voiceManager.releaseAll();
+
+            for (const handVoices of Object.values(engine.hands)) {
+                handVoices.arpNotes.clear();
+                handVoices.arpStep = 0;
+                engine.silenceTheremin(handVoices.hand);
+            }
+        },
+
+        // Glide a theremin hand's voice to a new pitch and volume. The voice is an
+        // oscillator into the instrument output, so it is heard through the effects
+        // but not sent to MIDI outputs, which only take whole notes.
+        playTheremin(hand, frequency, amplitude) {
+            const handVoices = engine.hands[hand];
+            const settings = options.getThereminSettings();
+            if (!handVoices.thereminVoice) {
+                handVoices.thereminVoice = createThereminVoice(engine.getInstrumentOutput(), settings);
+            }
+            handVoices.thereminVoice.update(frequency, amplitude, settings);
+        },
+
+        // Fade out a theremin hand's voice, like when the hand is lost or changes role
+        silenceTheremin(hand) {
+            const { thereminVoice } = engine.hands[hand];
+            if (thereminVoice) {
+                thereminVoice.silence();
+            }
+        },
+
+        // Start notes on a finger's voice, ending them when the articulation's time is up.
+        // With the arpeggiator on the notes join the hand's arpeggio instead, and when
+        // quantizing they wait for the next grid line. label names what is played, like a chord.
+        startVoice(hand, finger, notes, velocity, articulation, label) {
+            const tempoSettings = options.getTempoSettings();
+
+            if (tempoSettings.arpeggiator !== 'off' && !engine.isPercussion()) {
+                engine.hands[hand].arpNotes.set(finger, { notes, velocity });
+                return;
+            }
+
+            if (tempoSettings.quantize !== 'off') {
+                noteQuantizer.schedule(getVoiceId(hand, finger), (released, time) => {
+                    // A finger that let go before the grid line still plays, but short
+                    const duration = released ? Math.min(articulation.duration || Infinity, articulationSettings.staccatoDuration) : articulation.duration;
+                    playVoice(hand, finger, notes, velocity, { ...articulation, duration }, label, time);
+                });
+                return;
+            }
+
+            playVoice(hand, finger, notes, velocity, articulation, label);
+        },
+
+        // Set the transport up from the tempo settings and (re)start the metronome and arpeggiator
+        applyTempoSettings() {
+            const tempoSettings = options.getTempoSettings();
+            applyTransportSettings(tempoSettings);
+
+            if (tempoSettings.metronome) {
+                if (!metronome) {
+                    metronome = createMetronome();
+                }
+                metronome.start(tempoSettings.timeSignature);
+            } else if (metronome) {
+                metronome.stop();
+            }
+
+            if (arpeggiatorEventId !== null) {
+                Tone.Transport.clear(arpeggiatorEventId);
+                arpeggiatorEventId = null;
+            }
+            if (tempoSettings.arpeggiator !== 'off') {
+                arpeggiatorEventId = Tone.Transport.scheduleRepeat(playArpeggioStep, getArpeggiatorRate(), 0);
+            }
+        },
+
+        // Update every expression target driven by this hand
+        applyExpression(hand, landmarks) {
+            if (!expressionChain) return;
+
+            const sources = getExpressionSources(landmarks);
+
+            for (const [source, mapping] of Object.entries(engine.expressionMappings)) {
+                if (mapping.hand !== hand || mapping.target === 'none') continue;
+
+                const targetValue = mapExpressionValue(sources[source], mapping);
+                mapping.value = smoothExpressionValue(mapping.value, targetValue, mapping.smoothing);
+                setExpressionTarget(mapping, mapping.value);
+            }
+        },
+
+        // Return a mapping's target to its resting value
+        resetExpressionMapping(mapping) {
+            mapping.value = null;
+            if (expressionChain && mapping.target !== 'none') {
+                setExpressionTarget(mapping, expressionTargets[mapping.target].neutral);
+            }
+        },
+
+        // Return every target driven by this hand to its resting value
+        resetHandExpression(hand) {
+            for (const mapping of Object.values(engine.expressionMappings)) {
+                if (mapping.hand === hand && mapping.value !== null) {
+                    engine.resetExpressionMapping(mapping);
+                }
+            }
+        },
+
+        // Shape the sound with a "controls" hand: palm height opens the filter,
+        // spreading the fingers turns the volume up
+        applyHandControls(fingerPositions) {
+            if (!controlFilter) return;
+
+            const count = fingerPositions.length;
+            const palmHeight = fingerPositions.reduce((sum, pos) => sum + pos.height, 0) / count;
+
+            // How open the hand is, from the calibrated finger extension ranges
+            const openness = fingerPositions.reduce((sum, pos) => sum + pos.extensionRatio, 0) / count;
+
+            // Sweep the cutoff exponentially from 200Hz to 20kHz, which sounds even to the ear
+            const cutoff = 200 * Math.pow(100, Math.max(0, Math.min(1, palmHeight)));
+            const volume = -30 + openness * 30;
+
+            controlFilter.frequency.rampTo(cutoff, 0.05);
+            controlVolume.volume.rampTo(volume, 0.05);
+        },
+
+        // Open the filter and restore full volume when no hand is controlling them
+        resetHandControls() {
+            if (!controlFilter) return;
+
+            controlFilter.frequency.rampTo(20000, 0.1);
+            controlVolume.volume.rampTo(0, 0.1);
+        }
+    };
+
+    for (const [source, mapping] of Object.entries(defaultExpressionMappings)) {
+        engine.expressionMappings[source] = { ...mapping, value: null };
+    }
+
+    // Where notes are sent (see note-output.js): the Tone.js instrument or a MIDI port
+    engine.toneOutput = createToneOutput(() => engine.synth);
+    engine.noteOutput = engine.toneOutput;
+
+    // Which notes each finger is holding (see voice-manager.js). Voices are named
+    // "<hand>:<finger>", and every note that starts or stops is announced on the bus.
+    engine.voiceManager = createVoiceManager(() => engine.noteOutput, {
+        onNoteOn: (note, velocity, voiceId) => bus.emit('noteOn', { note, velocity, voiceId, hand: getVoiceHand(voiceId) }),
+        onNoteOff: (note, voiceId) => bus.emit('noteOff', { note, voiceId, hand: getVoiceHand(voiceId) })
+    });
+
+    // Note triggers waiting for the next grid line when quantizing
+    const noteQuantizer = createNoteQuantizer(() => getQuantizeTimeNow());
+
+    // How each expression target is applied to the sound
+    const expressionSetters = {
+        pitchBend: value => engine.noteOutput.pitchBend(value),
+        gain: value => expressionChain.gain.gain.rampTo(value, 0.05),
+        filterCutoff: value => expressionChain.filter.frequency.rampTo(value, 0.05),
+        vibratoDepth: value => expressionChain.vibrato.depth.rampTo(value, 0.05),
+        reverbSend: value => expressionChain.reverbSend.gain.rampTo(value, 0.05)
+    };
+
+    // Apply an expression value: MIDI outputs get the target's controller (CC),
+    // Tone.js instruments get the expression chain
+    function setExpressionTarget(mapping, value) {
+        const target = expressionTargets[mapping.target];
+        bus.emit('expression', { hand: mapping.hand, target: mapping.target, value });
+
+        if (engine.noteOutput.type === 'midi' && target.midiController !== undefined) {
+            engine.noteOutput.controlChange(target.midiController, normalizeExpressionValue(value, mapping));
+        } else {
+            expressionSetters[mapping.target](value);
+        }
+    }
+
+    // Grid the arpeggiator steps on: the quantize grid, or 1/16 notes
+    function getArpeggiatorRate() {
+        const { quantize } = options.getTempoSettings();
+        return quantize === 'off' ? defaultArpeggiatorRate : quantize;
+    }
+
+    // Audio time of the grid line a trigger made now should sound on, or null to play it now
+    function getQuantizeTimeNow() {
+        const { quantize } = options.getTempoSettings();
+        if (quantize === 'off' || Tone.Transport.state !== 'started') {
+            return null;
+        }
+        const now = Tone.now();
+        const delay = getQuantizeDelay(now, Tone.Transport.nextSubdivision(quantize), Tone.Time(quantize).toSeconds());
+        return delay > 0 ? now + delay : null;
+    }
+
+    // Play the next note of each hand's arpeggio, called by the transport on every step
+    function playArpeggioStep(time) {
+        const stepLength = Tone.Time(getArpeggiatorRate()).toSeconds();
+        const pattern = options.getTempoSettings().arpeggiator;
+
+        for (const handVoices of Object.values(engine.hands)) {
+            if (handVoices.arpNotes.size === 0) continue;
+
+            // The chord is every note the hand's fingers are holding
+            const held = [...handVoices.arpNotes.values()];
+            const chord = sortNotesByPitch(held.flatMap(({ notes }) => notes));
+            const velocity = Math.max(...held.map(({ velocity }) => velocity));
+            const note = getArpeggioNote(chord, handVoices.arpStep++, pattern);
+            const voiceId = getVoiceId(handVoices.hand, 'arp');
+
+            const token = engine.voiceManager.noteOn(voiceId, [note], velocity, time);
+            const endTime = time + stepLength * arpeggiatorGate;
+            runAtAudioTime(endTime, () => engine.voiceManager.noteOff(voiceId, token, endTime));
+        }
+    }
+
+    // Sound a finger's notes at an audio time, or now
+    function playVoice(hand, finger, notes, velocity, articulation, label, time) {
+        try {
+            const voiceId = getVoiceId(hand, finger);
+            const token = engine.voiceManager.noteOn(voiceId, notes, velocity, time);
+            engine.hands[hand].pressDetails[finger] = { velocity, articulation, label };
+
+            // Short or long notes end on their own, unless the finger has pressed again since
+            if (articulation.duration !== null) {
+                if (time === undefined) {
+                    setTimeout(() => engine.voiceManager.noteOff(voiceId, token), articulation.duration * 1000);
+                } else {
+                    const endTime = time + articulation.duration;
+                    runAtAudioTime(endTime, () => engine.voiceManager.noteOff(voiceId, token, endTime));
+                }
+            }
+
+            console.log(`Playing ${hand.toLowerCase()} hand ${calibrationFingerNames[finger].toLowerCase()}: ` +
+                `${label ? `${label} ` : ''}${notes.join(', ')} (${velocity.toFixed(2)} ${articulation.name})`);
+        } catch (error) {
+            console.error('Error playing notes:', error);
+        }
+    }
+
+    bus.on('noteStart', ({ hand, finger, notes, velocity, articulation, label }) => {
+        engine.startVoice(hand, finger, notes, velocity, articulation, label);
+    });
+    bus.on('fingerRelease', ({ hand, finger }) => engine.releaseFinger(hand, finger));
+    bus.on('thereminFrame', ({ hand, frequency, amplitude }) => engine.playTheremin(hand, frequency, amplitude));
+
+    // Update continuous controls every frame
+    bus.on('handFrame', ({ hand, role, landmarks, fingerPositions }) => {
+        engine.applyExpression(hand, landmarks);
+        if (role === 'controls') {
+            // This hand shapes the sound instead of playing notes
+            engine.applyHandControls(fingerPositions);
+        }
+    });
+
+    // Stop playing for any hand that is no longer detected
+    bus.on('handMissing', ({ hand }) => {
+        engine.resetHandExpression(hand);
+        engine.silenceTheremin(hand);
+        if (engine.isHandPlaying(hand)) {
+            engine.releaseHand(hand);
+            console.log(`No ${hand.toLowerCase()} hand detected, stopped its notes`);
+        }
+    });
+
+    return engine;
+}
+
+export {
+    getVoiceId,
+    getVoiceHand,
+    runAtAudioTime,
+    createAudioEngine
+};
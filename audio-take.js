@@ -0,0 +1,206 @@
+// Audio takes: the sound itself rather than note events. A take is captured from the
+// master bus output, after the instruments, effects rack and master processing, or
+// rendered offline from a recorded take's event log (see recorder.js) with
+// Tone.Offline, which can't glitch when the page is busy. Either way it ends up as
+// plain audio, { sampleRate, channels: [Float32Array, ...] }, that can be trimmed and
+// encoded as a WAV file (see wav-file.js).
+
+import { instruments } from './instruments.js';
+import { effectTypes, masterEffectTypes, createEffectChain } from './effects.js';
+
+const audioTakeSettings = {
+    channelCount: 2,
+    renderTail: 2, // seconds rendered after the last note, for releases and reverb to die away
+    silenceThreshold: 0.001 // about -60 dB, quieter samples count as silence when trimming
+};
+
+// The worklet that captures the master output (see take-capture-worklet.js)
+const captureProcessorName = 'take-capture';
+const captureWorkletUrl = new URL('./take-capture-worklet.js', import.meta.url).href;
+
+// Length of some audio in seconds
+function getAudioDuration(audio) {
+    return audio.channels.length > 0 ? audio.channels[0].length / audio.sampleRate : 0;
+}
+
+// Copy audio out of a Web Audio (or Tone.js) buffer
+function audioBufferToTakeAudio(buffer) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        channels.push(Float32Array.from(buffer.getChannelData(channel)));
+    }
+    return { sampleRate: buffer.sampleRate, channels };
+}
+
+// Join the blocks of samples a capture sent into one array per channel
+function joinAudioBlocks(blocks, channelCount) {
+    const frameCount = blocks.reduce((total, block) => total + block[0].length, 0);
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+
+    let offset = 0;
+    for (const block of blocks) {
+        block.forEach((samples, channel) => channels[channel].set(samples, offset));
+        offset += block[0].length;
+    }
+    return channels;
+}
+
+// The part of some audio between two times in seconds, clamped to its length
+function trimAudio(audio, start, end) {
+    const frameCount = audio.channels.length > 0 ? audio.channels[0].length : 0;
+    const startFrame = Math.max(0, Math.min(frameCount, Math.round(start * audio.sampleRate)));
+    const endFrame = Math.max(startFrame, Math.min(frameCount, Math.round(end * audio.sampleRate)));
+
+    return {
+        sampleRate: audio.sampleRate,
+        channels: audio.channels.map(channel => channel.slice(startFrame, endFrame))
+    };
+}
+
+// Where the sound starts and ends, in seconds, leaving out silence at either end.
+// Returns { start, end }, both 0 if the audio is silent throughout.
+function findAudibleRange(audio, threshold = audioTakeSettings.silenceThreshold) {
+    const frameCount = audio.channels.length > 0 ? audio.channels[0].length : 0;
+    const isAudible = frame => audio.channels.some(channel => Math.abs(channel[frame]) > threshold);
+
+    let first = 0;
+    while (first < frameCount && !isAudible(first)) first++;
+    if (first === frameCount) {
+        return { start: 0, end: 0 };
+    }
+
+    let last = frameCount - 1;
+    while (last > first && !isAudible(last)) last--;
+
+    return { start: first / audio.sampleRate, end: (last + 1) / audio.sampleRate };
+}
+
+// Create a capture of everything a Tone.js node plays. getSource returns the node when
+// a capture starts, so it can be created on demand.
+function createAudioCapture(getSource, settings = audioTakeSettings) {
+    let loadedContext = null; // the audio context the worklet was added to
+    let source = null;
+    let node = null;
+    let blocks = [];
+
+    const capture = {
+        isRecording: false,
+
+        // Start capturing. Resolves once the worklet is running.
+        async start() {
+            if (capture.isRecording) return;
+
+            const context = Tone.getContext();
+            if (loadedContext !== context) {
+                await context.rawContext.audioWorklet.addModule(captureWorkletUrl);
+                loadedContext = context;
+            }
+
+            blocks = [];
+            node = context.createAudioWorkletNode(captureProcessorName, {
+                numberOfInputs: 1,
+                numberOfOutputs: 0, // a sink, so it runs without being connected onwards
+                channelCount: settings.channelCount,
+                channelCountMode: 'explicit', // mono sources are captured on every channel
+                processorOptions: { channelCount: settings.channelCount }
+            });
+            node.port.onmessage = ({ data }) => {
+                if (data.channels) {
+                    blocks.push(data.channels);
+                }
+            };
+
+            source = getSource();
+            source.connect(node);
+            capture.isRecording = true;
+        },
+
+        // Stop capturing. Resolves to the audio, once the last samples have arrived.
+        stop() {
+            if (!capture.isRecording) {
+                return Promise.resolve(null);
+            }
+            capture.isRecording = false;
+
+            return new Promise(resolve => {
+                const stoppedNode = node;
+                stoppedNode.port.onmessage = ({ data }) => {
+                    if (data.channels) {
+                        blocks.push(data.channels);
+                    } else if (data.done) {
+                        source.disconnect(stoppedNode);
+                        stoppedNode.port.close();
+                        resolve({ sampleRate: Tone.getContext().sampleRate, channels: joinAudioBlocks(blocks, settings.channelCount) });
+                    }
+                };
+                stoppedNode.port.postMessage('stop');
+                node = null;
+            });
+        }
+    };
+
+    return capture;
+}
+
+// Schedule a take's notes on an instrument, the way a Tone.js note output plays them
+// (see note-output.js): percussion is never released, monophonic synths only release
+// the note they are still holding
+function scheduleTakeNotes(take, synth) {
+    let monoNote = null;
+
+    for (const event of take.events) {
+        if (event.type === 'noteOn') {
+            synth.triggerAttack(event.note, event.time, event.velocity);
+            monoNote = event.note;
+        } else if (synth.isPercussion) {
+            // One-shots ring out on their own
+        } else if (synth.releaseAll) {
+            synth.triggerRelease(event.note, event.time);
+        } else if (event.note === monoNote) {
+            synth.triggerRelease(event.time);
+            monoNote = null;
+        }
+    }
+}
+
+// Render a take's event log to audio with Tone.Offline, through an instrument, the
+// effects rack and the master bus set up as given. Hand expression and the controls
+// hand aren't in the event log, so they are left out. Resolves to the audio.
+// sound: { instrument (a key of instruments), effectSettings, masterEffectSettings }
+async function renderTakeOffline(take, sound, settings = audioTakeSettings) {
+    const duration = take.duration + settings.renderTail;
+
+    const buffer = await Tone.Offline(async () => {
+        const masterBus = createEffectChain(masterEffectTypes);
+        masterBus.apply(sound.masterEffectSettings);
+        masterBus.output.toDestination();
+
+        const effectsRack = createEffectChain(effectTypes);
+        effectsRack.apply(sound.effectSettings);
+        effectsRack.output.connect(masterBus.input);
+
+        const synth = instruments[sound.instrument].create().connect(effectsRack.input);
+
+        // Wait for samples to load and reverbs to build their impulse responses
+        await Tone.loaded();
+        await Promise.all([...Object.values(effectsRack.nodes), ...Object.values(masterBus.nodes)]
+            .map(node => node.ready)
+            .filter(ready => ready));
+
+        scheduleTakeNotes(take, synth);
+    }, duration, settings.channelCount);
+
+    return audioBufferToTakeAudio(buffer);
+}
+
+export {
+    audioTakeSettings,
+    getAudioDuration,
+    audioBufferToTakeAudio,
+    joinAudioBlocks,
+    trimAudio,
+    findAudibleRange,
+    createAudioCapture,
+    scheduleTakeNotes,
+    renderTakeOffline
+};
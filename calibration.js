@@ -0,0 +1,274 @@
+// Calibration: a guided set of poses that measures the player's hand, then stores
+// movement thresholds, finger extension ranges and the vertical playing range as
+// named profiles in localStorage
+
+// localStorage keys
+const calibrationStorageKey = 'handGestureMusic.calibrationProfiles';
+const activeCalibrationStorageKey = 'handGestureMusic.activeCalibration';
+
+// Version of the exported profile format
+const calibrationFormatVersion = 1;
+
+// Values used before the player calibrates (the original hand-tuned constants)
+const defaultCalibration = {
+    name: 'Default',
+    movementThreshold: 0.015,
+    palmMovementThreshold: 0.02,
+    heightRange: { bottom: 0, top: 1 },
+    extensionRanges: [0, 1, 2, 3, 4].map(() => ({ min: 0.05, max: 0.2 }))
+};
+
+const calibrationFingerNames = ['Thumb', 'Index', 'Middle', 'Ring', 'Pinky'];
+
+// The poses the wizard walks through. Each lasts duration seconds, the first
+// settleTime seconds are ignored while the player gets into position.
+const calibrationSteps = [
+    { id: 'openPalm', instruction: 'Hold your hand still with the palm open and fingers spread', duration: 3, settleTime: 1 },
+    { id: 'fist', instruction: 'Make a fist and hold it still', duration: 3, settleTime: 1 },
+    { id: 'reachTop', instruction: 'Raise your open hand to the top of where you want to play', duration: 3, settleTime: 1 },
+    { id: 'reachBottom', instruction: 'Lower your open hand to the bottom of where you want to play', duration: 3, settleTime: 1 },
+    ...calibrationFingerNames.map((finger, index) => ({
+        id: `flex${index}`,
+        finger: index,
+        instruction: `Keep your hand still and flex your ${finger.toLowerCase()} up and down a few times`,
+        duration: 3,
+        settleTime: 0.5
+    }))
+];
+
+// Value at a given fraction (0..1) through the sorted values
+function percentile(values, fraction) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+    return sorted[index];
+}
+
+// Distance a finger tip moved between two frames
+function tipDistance(current, last) {
+    return Math.sqrt(
+        Math.pow(current.x - last.x, 2) +
+        Math.pow(current.y - last.y, 2) +
+        Math.pow(current.z - last.z, 2)
+    );
+}
+
+// Create a calibration session. Feed it finger positions (from calculateFingerPositions)
+// with the time in seconds; it moves through the steps and collects samples.
+function createCalibrationSession() {
+    const session = {
+        stepIndex: 0,
+        stepStartTime: null,
+        lastPositions: null,
+        samples: {},
+        isComplete: false,
+
+        // The step being performed, or null when finished
+        get currentStep() {
+            return calibrationSteps[session.stepIndex] || null;
+        },
+
+        // Fraction of the current step done (0..1)
+        stepProgress(time) {
+            const step = session.currentStep;
+            if (!step || session.stepStartTime === null) return 0;
+            return Math.min(1, (time - session.stepStartTime) / step.duration);
+        },
+
+        // Add a frame of finger positions
+        addFrame(fingerPositions, time) {
+            const step = session.currentStep;
+            if (!step) return;
+
+            if (session.stepStartTime === null) {
+                session.stepStartTime = time;
+            }
+
+            const elapsed = time - session.stepStartTime;
+            if (elapsed >= step.settleTime) {
+                const stepSamples = session.samples[step.id] || (session.samples[step.id] = []);
+                stepSamples.push({
+                    positions: fingerPositions,
+                    movements: session.lastPositions
+                        ? fingerPositions.map((position, i) => tipDistance(position, session.lastPositions[i]))
+                        : null
+                });
+            }
+            session.lastPositions = fingerPositions;
+
+            if (elapsed >= step.duration) {
+                session.stepIndex++;
+                session.stepStartTime = null;
+                session.lastPositions = null;
+                session.isComplete = session.stepIndex >= calibrationSteps.length;
+            }
+        },
+
+        // Forget the frame before a gap (like the hand leaving the picture)
+        skipFrame() {
+            session.lastPositions = null;
+        }
+    };
+
+    return session;
+}
+
+// Turn the samples from a finished session into a profile
+function computeCalibrationProfile(samples, name) {
+    const stepSamples = id => samples[id] || [];
+    const profile = JSON.parse(JSON.stringify(defaultCalibration));
+    profile.name = name;
+
+    // Extension ranges: fist gives the curled length, open palm the straight length
+    profile.extensionRanges = calibrationFingerNames.map((finger, i) => {
+        const open = stepSamples('openPalm').map(sample => sample.positions[i].extension);
+        const closed = stepSamples('fist').map(sample => sample.positions[i].extension);
+        const min = closed.length ? percentile(closed, 0.5) : defaultCalibration.extensionRanges[i].min;
+        const max = open.length ? percentile(open, 0.5) : defaultCalibration.extensionRanges[i].max;
+        // Keep a usable range even if the two poses looked alike
+        return max - min > 0.01 ? { min, max } : { ...defaultCalibration.extensionRanges[i] };
+    });
+
+    // Jitter while holding still sets the floor for the movement threshold
+    const stillMovements = [...stepSamples('openPalm'), ...stepSamples('fist')]
+        .filter(sample => sample.movements)
+        .flatMap(sample => sample.movements);
+    const jitter = percentile(stillMovements, 0.95);
+
+    // Flexing sets the ceiling: the threshold has to sit well below a deliberate movement
+    const flexPeaks = calibrationFingerNames.map((finger, i) => {
+        const movements = stepSamples(`flex${i}`)
+            .filter(sample => sample.movements)
+            .map(sample => sample.movements[i]);
+        return percentile(movements, 0.9);
+    }).filter(peak => peak > 0);
+    const flexPeak = flexPeaks.length ? percentile(flexPeaks, 0.5) : defaultCalibration.movementThreshold * 4;
+
+    if (stillMovements.length > 0) {
+        const threshold = Math.min(Math.max(jitter * 3, 0.005), Math.max(flexPeak * 0.5, 0.005));
+        profile.movementThreshold = threshold;
+        // Keep the original ratio between palm and finger thresholds
+        profile.palmMovementThreshold = threshold * (defaultCalibration.palmMovementThreshold / defaultCalibration.movementThreshold);
+    }
+
+    // Vertical range: where the fingertips sit at the top and bottom reach
+    const tipHeights = id => stepSamples(id).flatMap(sample => sample.positions.map(position => position.height));
+    const topHeights = tipHeights('reachTop');
+    const bottomHeights = tipHeights('reachBottom');
+    if (topHeights.length && bottomHeights.length) {
+        const top = Math.min(1, percentile(topHeights, 0.5));
+        const bottom = Math.max(0, percentile(bottomHeights, 0.5));
+        if (top - bottom > 0.1) {
+            profile.heightRange = { bottom, top };
+        }
+    }
+
+    return profile;
+}
+
+// Map a fingertip height into 0..1 across the calibrated playing range
+function normalizeHeight(height, profile) {
+    const { bottom, top } = profile.heightRange;
+    return Math.max(0, Math.min(1, (height - bottom) / (top - bottom)));
+}
+
+// How far a finger is extended, 0 = curled as in a fist, 1 = straight as in an open palm
+function normalizeExtension(extension, finger, profile) {
+    const { min, max } = profile.extensionRanges[finger];
+    return Math.max(0, Math.min(1, (extension - min) / (max - min)));
+}
+
+// Check a profile has everything the app needs
+function validateCalibrationProfile(profile) {
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+
+    if (!profile || typeof profile.name !== 'string' || !profile.name) {
+        throw new Error('Calibration profile needs a name');
+    }
+    if (!isNumber(profile.movementThreshold) || !isNumber(profile.palmMovementThreshold)) {
+        throw new Error(`Calibration profile ${profile.name} has invalid movement thresholds`);
+    }
+    if (!profile.heightRange || !isNumber(profile.heightRange.bottom) || !isNumber(profile.heightRange.top) ||
+        profile.heightRange.top <= profile.heightRange.bottom) {
+        throw new Error(`Calibration profile ${profile.name} has an invalid height range`);
+    }
+    if (!Array.isArray(profile.extensionRanges) || profile.extensionRanges.length !== 5 ||
+        profile.extensionRanges.some(range => !isNumber(range.min) || !isNumber(range.max) || range.max <= range.min)) {
+        throw new Error(`Calibration profile ${profile.name} has invalid finger extension ranges`);
+    }
+    return profile;
+}
+
+// Read the saved profiles, keyed by name
+function loadCalibrationProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(calibrationStorageKey)) || {};
+    } catch (error) {
+        console.error('Could not read calibration profiles:', error);
+        return {};
+    }
+}
+
+// Write all profiles back to storage
+function storeCalibrationProfiles(profiles) {
+    localStorage.setItem(calibrationStorageKey, JSON.stringify(profiles));
+}
+
+// Save (or replace) one profile
+function saveCalibrationProfile(profile) {
+    const profiles = loadCalibrationProfiles();
+    profiles[profile.name] = validateCalibrationProfile(profile);
+    storeCalibrationProfiles(profiles);
+}
+
+// Remove one profile
+function deleteCalibrationProfile(name) {
+    const profiles = loadCalibrationProfiles();
+    delete profiles[name];
+    storeCalibrationProfiles(profiles);
+}
+
+// Name of the profile in use, remembered between visits
+function getActiveCalibrationName() {
+    return localStorage.getItem(activeCalibrationStorageKey) || defaultCalibration.name;
+}
+
+function setActiveCalibrationName(name) {
+    localStorage.setItem(activeCalibrationStorageKey, name);
+}
+
+// Export profiles as JSON for sharing or backup
+function calibrationProfilesToJSON(profiles) {
+    return JSON.stringify({ version: calibrationFormatVersion, profiles: Object.values(profiles) }, null, 2);
+}
+
+// Read profiles from exported JSON, returns an array of profiles
+function parseCalibrationProfilesJSON(text) {
+    const data = JSON.parse(text);
+
+    if (!data || !Array.isArray(data.profiles)) {
+        throw new Error('Not a calibration profile file: missing profiles');
+    }
+    if (data.version !== calibrationFormatVersion) {
+        throw new Error(`Unsupported calibration profile version: ${data.version}`);
+    }
+
+    return data.profiles.map(validateCalibrationProfile);
+}
+
+export {
+    defaultCalibration,
+    calibrationFingerNames,
+    calibrationSteps,
+    createCalibrationSession,
+    computeCalibrationProfile,
+    normalizeHeight,
+    normalizeExtension,
+    loadCalibrationProfiles,
+    saveCalibrationProfile,
+    deleteCalibrationProfile,
+    getActiveCalibrationName,
+    setActiveCalibrationName,
+    calibrationProfilesToJSON,
+    parseCalibrationProfilesJSON
+};
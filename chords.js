@@ -0,0 +1,119 @@
+// Diatonic chords: builds the triad or seventh chord on a degree of the current
+// scale, names it, and picks the inversion that moves least from the last chord
+
+import { noteToMidi, midiToNote } from './scales.js';
+
+// Chord sizes the chords role can play
+const chordQualities = {
+    triad: { name: 'Triads', size: 3 },
+    seventh: { name: 'Seventh Chords', size: 4 }
+};
+
+// Chord symbols by the intervals of the third, fifth (and seventh) above the root
+const chordSymbols = {
+    '4,7': '',
+    '3,7': 'm',
+    '3,6': 'dim',
+    '4,8': 'aug',
+    '2,7': 'sus2',
+    '5,7': 'sus4',
+    '4,7,11': 'maj7',
+    '4,7,10': '7',
+    '3,7,10': 'm7',
+    '3,6,10': 'm7b5',
+    '3,6,9': 'dim7',
+    '3,7,11': 'mMaj7',
+    '4,8,11': 'maj7#5',
+    '4,8,10': 'aug7'
+};
+
+// MIDI notes of the chord on a scale degree in root position, built by stacking every
+// other note of the scale. scaleNotes starts on the root (see buildScale); degree 0 is
+// the root and degrees past the octave continue upwards.
+function getDiatonicChord(scaleNotes, stepsPerOctave, degree, size = 3) {
+    const scaleMidis = scaleNotes.slice(0, stepsPerOctave).map(noteToMidi);
+    const scaleTone = index => scaleMidis[index % stepsPerOctave] + 12 * Math.floor(index / stepsPerOctave);
+
+    return Array.from({ length: size }, (_, i) => scaleTone(degree + i * 2));
+}
+
+// Name a root position chord like "Dm7", with the bass note after a slash if it isn't the root
+function nameChord(chordMidis, bassMidi, useFlats = false) {
+    const root = chordMidis[0];
+    const intervals = chordMidis.slice(1).map(midi => (midi - root + 120) % 12);
+    const symbol = chordSymbols[intervals.join(',')];
+    const rootName = midiToNote(root, useFlats).replace(/-?\d+$/, '');
+    let name = rootName + (symbol === undefined ? ` (${intervals.join(',')})` : symbol);
+
+    if (bassMidi !== undefined && (bassMidi - root) % 12 !== 0) {
+        name += `/${midiToNote(bassMidi, useFlats).replace(/-?\d+$/, '')}`;
+    }
+    return name;
+}
+
+// Every close-position voicing of a chord (each inversion, in each octave) that fits in range
+function getChordVoicings(chordMidis, range) {
+    const pitchClasses = chordMidis.map(midi => ((midi % 12) + 12) % 12);
+    const voicings = [];
+
+    pitchClasses.forEach((bass, inversion) => {
+        const order = [...pitchClasses.slice(inversion), ...pitchClasses.slice(0, inversion)];
+
+        for (let start = range.low; start <= range.high; start++) {
+            if (start % 12 !== bass) continue;
+
+            // Stack each chord tone just above the one below it
+            const voicing = [start];
+            for (const pitchClass of order.slice(1)) {
+                let next = voicing[voicing.length - 1] + 1;
+                while (next % 12 !== pitchClass) next++;
+                voicing.push(next);
+            }
+
+            if (voicing[voicing.length - 1] <= range.high) {
+                voicings.push({ notes: voicing, inversion });
+            }
+        }
+    });
+
+    return voicings;
+}
+
+// How far the voices move from one chord to the next
+function voiceLeadingDistance(voicing, previous) {
+    if (voicing.length === previous.length) {
+        return voicing.reduce((sum, midi, i) => sum + Math.abs(midi - previous[i]), 0);
+    }
+    // Different sizes (like a triad after a seventh): compare where they sit on average
+    const average = notes => notes.reduce((sum, midi) => sum + midi, 0) / notes.length;
+    return Math.abs(average(voicing) - average(previous)) * voicing.length;
+}
+
+// Choose how to voice a chord within range (low and high MIDI notes). With a previous
+// voicing the chord moves as little as possible from it; without one it is played in
+// root position near the middle of the range.
+function voiceChord(chordMidis, previous, range) {
+    const voicings = getChordVoicings(chordMidis, range);
+    if (voicings.length === 0) {
+        return chordMidis;
+    }
+
+    const centre = (range.low + range.high) / 2;
+    const cost = ({ notes, inversion }) => {
+        if (previous && previous.length > 0) {
+            // Small preference for the middle of the range so chords don't drift to an edge
+            return voiceLeadingDistance(notes, previous) + Math.abs(notes[0] - centre) * 0.01;
+        }
+        return (inversion === 0 ? 0 : 100) + Math.abs(notes[0] - centre);
+    };
+
+    return voicings.reduce((best, voicing) => (cost(voicing) < cost(best) ? voicing : best)).notes;
+}
+
+export {
+    chordQualities,
+    getDiatonicChord,
+    nameChord,
+    getChordVoicings,
+    voiceChord
+};
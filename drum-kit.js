@@ -0,0 +1,212 @@
+// Drum kit: unpitched percussion built from Tone.js MembraneSynth, NoiseSynth and
+// MetalSynth voices. Fingers or on-screen pads hit kit pieces instead of playing
+// scale degrees, and how fast the finger strikes down sets how hard.
+
+import { noteToMidi } from './scales.js';
+import { articulationSettings, defaultFrameTime } from './articulation.js';
+import { getPadRects } from './zone-layout.js';
+
+// General MIDI channel for drums (1-based, as the MIDI output's channel selector)
+const drumMidiChannel = 10;
+
+// Kit pieces. note is the General MIDI drum note, sent on drumMidiChannel, so takes and
+// MIDI outputs line up with any GM drum machine. voice is the Tone.js synth that sounds it.
+const drumKitPieces = {
+    kick: {
+        name: 'Kick', shortName: 'Kick', note: 'C2',
+        voice: 'membrane', pitch: 'C1',
+        options: { pitchDecay: 0.05, octaves: 6, envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.4 } }
+    },
+    snare: {
+        name: 'Snare', shortName: 'Snare', note: 'D2',
+        voice: 'noise',
+        options: { noise: { type: 'white' }, envelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.05 } }
+    },
+    closedHat: {
+        name: 'Closed Hi-Hat', shortName: 'Hat', note: 'F#2',
+        voice: 'metal', pitch: 400, volume: -12, chokes: 'openHat',
+        options: { envelope: { attack: 0.001, decay: 0.05, release: 0.01 }, harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5 }
+    },
+    openHat: {
+        name: 'Open Hi-Hat', shortName: 'Open Hat', note: 'A#2',
+        voice: 'metal', pitch: 400, volume: -12,
+        options: { envelope: { attack: 0.001, decay: 0.5, release: 0.2 }, harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5 }
+    },
+    lowTom: {
+        name: 'Low Tom', shortName: 'Low Tom', note: 'A2',
+        voice: 'membrane', pitch: 'G2',
+        options: { pitchDecay: 0.08, octaves: 2, envelope: { attack: 0.001, decay: 0.5, sustain: 0, release: 0.3 } }
+    },
+    highTom: {
+        name: 'High Tom', shortName: 'High Tom', note: 'D3',
+        voice: 'membrane', pitch: 'D3',
+        options: { pitchDecay: 0.06, octaves: 2, envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.3 } }
+    },
+    crash: {
+        name: 'Crash Cymbal', shortName: 'Crash', note: 'C#3',
+        voice: 'metal', pitch: 300, volume: -10,
+        options: { envelope: { attack: 0.001, decay: 1.5, release: 1 }, harmonicity: 5.1, modulationIndex: 40, resonance: 5000, octaves: 1.5 }
+    },
+    ride: {
+        name: 'Ride Cymbal', shortName: 'Ride', note: 'D#3',
+        voice: 'metal', pitch: 500, volume: -14,
+        options: { envelope: { attack: 0.001, decay: 0.8, release: 0.6 }, harmonicity: 8, modulationIndex: 20, resonance: 6000, octaves: 1 }
+    }
+};
+
+// Which finger of which hand hits each piece in the 'height' layout (hand null = no finger),
+// and which pad it sits on in the zone layouts (1-8 from the bottom left, 0 = no pad)
+const defaultDrumMappings = {
+    kick: { hand: 'Left', finger: 1, pad: 1 },
+    snare: { hand: 'Right', finger: 1, pad: 2 },
+    closedHat: { hand: 'Right', finger: 2, pad: 5 },
+    openHat: { hand: 'Right', finger: 3, pad: 6 },
+    lowTom: { hand: 'Left', finger: 2, pad: 3 },
+    highTom: { hand: 'Left', finger: 3, pad: 4 },
+    crash: { hand: 'Right', finger: 4, pad: 7 },
+    ride: { hand: 'Left', finger: 4, pad: 8 }
+};
+
+// Number of pad slots in the drum pad layout
+const drumPadCount = 8;
+
+// Strike speeds are downward fingertip speeds in image heights per second
+const drumStrikeSettings = {
+    ...articulationSettings,
+    minSpeed: 0.2,
+    maxSpeed: 2.5,
+    velocityCurve: 0.8
+};
+
+// Drum hits are one-shots: the note-off only matters to MIDI outputs and recordings
+const drumHitArticulation = { name: 'hit', duration: 0.1 };
+
+// How fast a fingertip moved down the image between two frames (0 when moving up,
+// or when there is no previous frame)
+function getStrikeSpeed(position, lastPosition, frameTime) {
+    if (!lastPosition) return 0;
+    const seconds = frameTime > 0 ? frameTime : defaultFrameTime;
+    return Math.max(0, position.y - lastPosition.y) / seconds;
+}
+
+// Pieces hit by one finger of one hand
+function getDrumPiecesForFinger(mappings, hand, finger) {
+    return Object.keys(mappings).filter(piece => mappings[piece].hand === hand && mappings[piece].finger === finger);
+}
+
+// The kit piece a note belongs to, or null
+function getDrumPieceForNote(note, pieces = drumKitPieces) {
+    const midi = noteToMidi(note);
+    return Object.keys(pieces).find(piece => noteToMidi(pieces[piece].note) === midi) || null;
+}
+
+// Zone layout (see zone-layout.js) with a pad for each piece that has one.
+// Pieces sharing a pad are hit together.
+function buildDrumPadLayout(mappings, aspect = 4 / 3) {
+    const rects = getPadRects(drumPadCount);
+    const zones = [];
+
+    for (let pad = 1; pad <= drumPadCount; pad++) {
+        const pieces = Object.keys(mappings).filter(piece => mappings[piece].pad === pad);
+        if (pieces.length === 0) continue;
+
+        zones.push({
+            id: `drum-pad-${pad}`,
+            note: drumKitPieces[pieces[0]].note,
+            notes: pieces.map(piece => drumKitPieces[piece].note),
+            label: pieces.map(piece => drumKitPieces[piece].shortName).join(' + '),
+            degree: null,
+            inScale: true,
+            isRoot: pieces.includes('kick'),
+            ...rects[pad - 1]
+        });
+    }
+
+    return { type: 'pads', aspect, zones };
+}
+
+// Create the kit as a Tone.js instrument. It takes notes like the other instruments
+// (the GM drum notes above), but every hit is a one-shot that rings out by itself,
+// so it has no releaseAll and ignores note releases.
+function createDrumKit(pieces = drumKitPieces) {
+    const output = new Tone.Gain(1);
+    const voiceTypes = { membrane: Tone.MembraneSynth, noise: Tone.NoiseSynth, metal: Tone.MetalSynth };
+    const voices = {};
+
+    for (const [id, piece] of Object.entries(pieces)) {
+        const voice = new voiceTypes[piece.voice](piece.options).connect(output);
+        if (piece.volume !== undefined) {
+            voice.volume.value = piece.volume;
+        }
+        voices[id] = voice;
+    }
+
+    const hit = (id, time, velocity) => {
+        const piece = pieces[id];
+        const voice = voices[id];
+
+        // A closed hi-hat cuts off the open one, like a real pedal
+        if (piece.chokes && voices[piece.chokes]) {
+            voices[piece.chokes].triggerRelease(time);
+        }
+
+        if (piece.voice === 'noise') {
+            voice.triggerAttack(time, velocity);
+        } else {
+            voice.triggerAttack(piece.pitch, time, velocity);
+        }
+    };
+
+    const kit = {
+        isPercussion: true,
+        pieces,
+
+        // Hit the pieces for one note or an array of notes
+        triggerAttack(notes, time, velocity = 1) {
+            const startTime = time === undefined ? Tone.now() : time;
+            for (const note of [].concat(notes)) {
+                // Notes with no kit piece are silent
+                const id = getDrumPieceForNote(note, pieces);
+                if (id) {
+                    hit(id, startTime, velocity);
+                }
+            }
+            return kit;
+        },
+
+        triggerAttackRelease(notes, duration, time, velocity = 1) {
+            return kit.triggerAttack(notes, time, velocity);
+        },
+
+        // Drums ring out by themselves
+        triggerRelease() {
+            return kit;
+        },
+
+        connect(destination) {
+            output.connect(destination);
+            return kit;
+        },
+
+        dispose() {
+            Object.values(voices).forEach(voice => voice.dispose());
+            output.dispose();
+        }
+    };
+
+    return kit;
+}
+
+export {
+    drumMidiChannel,
+    drumKitPieces,
+    defaultDrumMappings,
+    drumPadCount,
+    drumStrikeSettings,
+    drumHitArticulation,
+    getStrikeSpeed,
+    getDrumPiecesForFinger,
+    getDrumPieceForNote,
+    buildDrumPadLayout,
+    createDrumKit
+};
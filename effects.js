@@ -0,0 +1,271 @@
+// Effects rack: a chain of effects that can each be bypassed, between the instruments
+// and the speakers, then a master bus compressor and limiter so loud chords don't clip.
+// Rack settings are kept for each instrument, starting from a preset for it.
+
+// localStorage keys
+const effectPresetsStorageKey = 'handGestureMusic.effectPresets';
+const masterEffectsStorageKey = 'handGestureMusic.masterEffects';
+
+// Effects in the order they are chained. Each parameter is a range of numbers, or a
+// choice between options, and value is its default. Parameters are Tone.js option names.
+const effectTypes = {
+    distortion: {
+        name: 'Distortion',
+        params: {
+            distortion: { name: 'Drive', min: 0, max: 1, step: 0.01, value: 0.4 },
+            wet: { name: 'Mix', min: 0, max: 1, step: 0.01, value: 1 }
+        },
+        create: () => new Tone.Distortion()
+    },
+    filter: {
+        name: 'Filter',
+        params: {
+            type: { name: 'Type', options: { lowpass: 'Lowpass', highpass: 'Highpass', bandpass: 'Bandpass' }, value: 'lowpass' },
+            frequency: { name: 'Cutoff (Hz)', min: 50, max: 20000, step: 10, value: 2000 },
+            Q: { name: 'Resonance', min: 0.1, max: 20, step: 0.1, value: 1 }
+        },
+        create: () => new Tone.Filter()
+    },
+    chorus: {
+        name: 'Chorus',
+        params: {
+            frequency: { name: 'Rate (Hz)', min: 0.1, max: 10, step: 0.1, value: 1.5 },
+            depth: { name: 'Depth', min: 0, max: 1, step: 0.01, value: 0.7 },
+            wet: { name: 'Mix', min: 0, max: 1, step: 0.01, value: 0.5 }
+        },
+        create: () => new Tone.Chorus().start()
+    },
+    delay: {
+        name: 'Delay',
+        params: {
+            delayTime: { name: 'Time (s)', min: 0.01, max: 1, step: 0.01, value: 0.25 },
+            feedback: { name: 'Feedback', min: 0, max: 0.9, step: 0.01, value: 0.35 },
+            wet: { name: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+        },
+        create: () => new Tone.FeedbackDelay()
+    },
+    reverb: {
+        name: 'Reverb',
+        params: {
+            decay: { name: 'Decay (s)', min: 0.5, max: 10, step: 0.1, value: 2.5 },
+            preDelay: { name: 'Pre-delay (s)', min: 0, max: 0.2, step: 0.005, value: 0.01 },
+            wet: { name: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+        },
+        create: () => new Tone.Reverb()
+    }
+};
+
+// Master bus effects, shared by every instrument
+const masterEffectTypes = {
+    compressor: {
+        name: 'Compressor',
+        params: {
+            threshold: { name: 'Threshold (dB)', min: -60, max: 0, step: 1, value: -18 },
+            ratio: { name: 'Ratio', min: 1, max: 20, step: 0.5, value: 4 },
+            attack: { name: 'Attack (s)', min: 0.001, max: 0.5, step: 0.001, value: 0.01 },
+            release: { name: 'Release (s)', min: 0.01, max: 1, step: 0.01, value: 0.2 }
+        },
+        create: () => new Tone.Compressor()
+    },
+    limiter: {
+        name: 'Limiter',
+        params: {
+            threshold: { name: 'Ceiling (dB)', min: -20, max: 0, step: 0.5, value: -1 }
+        },
+        create: () => new Tone.Limiter()
+    }
+};
+
+// Master effects start switched on, rack effects off
+const defaultMasterEffectsEnabled = true;
+
+// Built-in rack settings for each instrument, on top of the defaults
+const instrumentEffectPresets = {
+    piano: {
+        reverb: { enabled: true, params: { decay: 3, wet: 0.25 } }
+    },
+    synth: {
+        chorus: { enabled: true },
+        delay: { enabled: true, params: { wet: 0.2 } }
+    },
+    marimba: {
+        reverb: { enabled: true, params: { decay: 1.8, wet: 0.2 } }
+    },
+    guitar: {
+        distortion: { enabled: true, params: { distortion: 0.3, wet: 0.6 } },
+        chorus: { enabled: true, params: { wet: 0.3 } },
+        reverb: { enabled: true, params: { wet: 0.15 } }
+    },
+    bass: {
+        filter: { enabled: true, params: { frequency: 1200 } }
+    },
+    drums: {
+        reverb: { enabled: true, params: { decay: 1.2, wet: 0.15 } }
+    }
+};
+
+// Settings for every effect of a set of types, with each parameter at its default
+function getDefaultEffectSettings(types, enabled = false) {
+    const settings = {};
+    for (const [id, type] of Object.entries(types)) {
+        const params = {};
+        for (const [param, definition] of Object.entries(type.params)) {
+            params[param] = definition.value;
+        }
+        settings[id] = { enabled, params };
+    }
+    return settings;
+}
+
+// Apply overrides (like a preset or saved settings) on top of settings. Unknown effects
+// and parameters are ignored, numbers are kept in range and choices must be an option.
+function mergeEffectSettings(settings, overrides, types) {
+    const merged = {};
+
+    for (const [id, type] of Object.entries(types)) {
+        const base = settings[id];
+        const override = (overrides && overrides[id]) || {};
+        const params = { ...base.params };
+
+        for (const [param, value] of Object.entries(override.params || {})) {
+            const definition = type.params[param];
+            if (!definition) continue;
+
+            if (definition.options) {
+                if (definition.options[value] !== undefined) {
+                    params[param] = value;
+                }
+            } else if (typeof value === 'number' && !isNaN(value)) {
+                params[param] = Math.max(definition.min, Math.min(definition.max, value));
+            }
+        }
+
+        merged[id] = {
+            enabled: typeof override.enabled === 'boolean' ? override.enabled : base.enabled,
+            params
+        };
+    }
+
+    return merged;
+}
+
+// Rack settings for an instrument: its preset, then any changes the player saved
+function getInstrumentEffectSettings(instrument, savedPresets = {}) {
+    const preset = mergeEffectSettings(getDefaultEffectSettings(effectTypes), instrumentEffectPresets[instrument], effectTypes);
+    return mergeEffectSettings(preset, savedPresets[instrument], effectTypes);
+}
+
+// Read the player's saved rack settings, keyed by instrument
+function loadEffectPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(effectPresetsStorageKey)) || {};
+    } catch (error) {
+        console.error('Could not read effect presets:', error);
+        return {};
+    }
+}
+
+// Save (or replace) the rack settings for one instrument
+function saveEffectPreset(instrument, settings) {
+    const presets = loadEffectPresets();
+    presets[instrument] = settings;
+    localStorage.setItem(effectPresetsStorageKey, JSON.stringify(presets));
+}
+
+// Forget the saved settings for one instrument, going back to its preset
+function deleteEffectPreset(instrument) {
+    const presets = loadEffectPresets();
+    delete presets[instrument];
+    localStorage.setItem(effectPresetsStorageKey, JSON.stringify(presets));
+}
+
+// Master bus settings, saved or default
+function loadMasterEffectSettings() {
+    const defaults = getDefaultEffectSettings(masterEffectTypes, defaultMasterEffectsEnabled);
+    try {
+        return mergeEffectSettings(defaults, JSON.parse(localStorage.getItem(masterEffectsStorageKey)), masterEffectTypes);
+    } catch (error) {
+        console.error('Could not read master effect settings:', error);
+        return defaults;
+    }
+}
+
+function saveMasterEffectSettings(settings) {
+    localStorage.setItem(masterEffectsStorageKey, JSON.stringify(settings));
+}
+
+// Create a chain of effects of a set of types, in order. A bypassed effect is
+// disconnected, so its input goes straight on to the next effect.
+function createEffectChain(types) {
+    const output = new Tone.Gain(1);
+    const slots = Object.entries(types).map(([id, type]) => ({
+        id,
+        input: new Tone.Gain(1),
+        node: type.create(),
+        enabled: true,
+        params: {}
+    }));
+
+    slots.forEach((slot, i) => {
+        slot.next = i + 1 < slots.length ? slots[i + 1].input : output;
+        slot.input.connect(slot.node);
+        slot.node.connect(slot.next);
+    });
+
+    const chain = {
+        input: slots[0].input,
+        output,
+        nodes: Object.fromEntries(slots.map(slot => [slot.id, slot.node])),
+
+        // Switch effects on or off and set their parameters. Only changed parameters
+        // are set, since some (like reverb decay) rebuild the effect.
+        apply(settings) {
+            for (const slot of slots) {
+                const setting = settings[slot.id];
+                if (!setting) continue;
+
+                if (setting.enabled !== slot.enabled) {
+                    slot.input.disconnect();
+                    slot.input.connect(setting.enabled ? slot.node : slot.next);
+                    slot.enabled = setting.enabled;
+                }
+
+                const changed = {};
+                for (const [param, value] of Object.entries(setting.params)) {
+                    if (slot.params[param] !== value) {
+                        changed[param] = value;
+                    }
+                }
+                if (Object.keys(changed).length > 0) {
+                    slot.node.set(changed);
+                    Object.assign(slot.params, changed);
+                }
+            }
+        },
+
+        dispose() {
+            for (const slot of slots) {
+                slot.input.dispose();
+                slot.node.dispose();
+            }
+            output.dispose();
+        }
+    };
+
+    return chain;
+}
+
+export {
+    effectTypes,
+    masterEffectTypes,
+    instrumentEffectPresets,
+    getDefaultEffectSettings,
+    mergeEffectSettings,
+    getInstrumentEffectSettings,
+    loadEffectPresets,
+    saveEffectPreset,
+    deleteEffectPreset,
+    loadMasterEffectSettings,
+    saveMasterEffectSettings,
+    createEffectChain
+};
@@ -0,0 +1,61 @@
+// Event bus: the parts of the app talk through named events instead of reaching into
+// each other's state, so each part can be run (and tested) on its own.
+//
+// Events and their payloads:
+//   handFrame     { hand, role, landmarks, fingerPositions, lastFingerPositions, frameTime }
+//                 every frame a hand is seen, before its fingers are checked (landmarks are smoothed)
+//   handMissing   { hand }  every frame a hand has been lost for longer than it is held
+//   fingerPress   { hand, finger, fingerPositions, lastFingerPositions, frameTime, palmMoving }
+//   zonePress     { hand, finger, zone, speed, fingerPositions, lastFingerPositions, frameTime }
+//   fingerRelease { hand, finger }
+//   gesture       { hand, gesture, command }  a held gesture fired its command
+//   noteStart     { hand, finger, notes, velocity, articulation, label }  what a press plays
+//   thereminFrame { hand, midi, rawMidi, targetMidi, frequency, amplitude, position }
+//                 every frame of a theremin hand, what its gliding voice plays (see theremin.js)
+//   noteOn        { note, velocity, voiceId, hand }  a note started sounding
+//   noteOff       { note, voiceId, hand }
+//   expression    { hand, target, value }  a hand moved an expression target (see expression.js)
+//   status        { message, type }  loading progress and failures to show the player
+
+function createEventBus() {
+    const handlers = new Map(); // event name -> Set of handlers
+
+    const bus = {
+        // Call handler(payload) whenever the event is emitted. Returns a function that stops it.
+        on(event, handler) {
+            if (!handlers.has(event)) {
+                handlers.set(event, new Set());
+            }
+            handlers.get(event).add(handler);
+            return () => bus.off(event, handler);
+        },
+
+        off(event, handler) {
+            const eventHandlers = handlers.get(event);
+            if (eventHandlers) {
+                eventHandlers.delete(handler);
+            }
+        },
+
+        // Run every handler of an event in the order they were added. A handler that
+        // throws is logged, and the others still run.
+        emit(event, payload) {
+            const eventHandlers = handlers.get(event);
+            if (!eventHandlers) return;
+
+            for (const handler of [...eventHandlers]) {
+                try {
+                    handler(payload);
+                } catch (error) {
+                    console.error(`Error handling ${event}:`, error);
+                }
+            }
+        }
+    };
+
+    return bus;
+}
+
+export {
+    createEventBus
+};
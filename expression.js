@@ -0,0 +1,149 @@
+// Continuous expression: turns hand pose measurements into smoothly changing
+// sound parameters (pitch bend, gain, filter cutoff, vibrato and reverb)
+
+// Hand measurements that can drive a control, each normalised to 0..1
+const expressionSources = {
+    palmHeight: { name: 'Palm Height' },
+    handDepth: { name: 'Hand Depth' },
+    wristRoll: { name: 'Wrist Roll' },
+    pinch: { name: 'Thumb-Index Pinch' }
+};
+
+// Sound parameters a source can be assigned to.
+// min/max is the default range, neutral is where the parameter rests when no hand drives it.
+// midiController is the CC sent instead when notes go to a MIDI output.
+const expressionTargets = {
+    none: { name: 'Nothing' },
+    pitchBend: { name: 'Pitch Bend (cents)', min: -200, max: 200, neutral: 0, curve: 'linear' },
+    gain: { name: 'Output Gain', min: 0, max: 1, neutral: 1, curve: 'linear', midiController: 7 },
+    filterCutoff: { name: 'Lowpass Cutoff (Hz)', min: 200, max: 20000, neutral: 20000, curve: 'exponential', midiController: 74 },
+    vibratoDepth: { name: 'Vibrato Depth', min: 0, max: 1, neutral: 0, curve: 'linear', midiController: 1 },
+    reverbSend: { name: 'Reverb Send', min: 0, max: 1, neutral: 0, curve: 'linear', midiController: 91 }
+};
+
+// Which hand and parameter each source controls by default. Nothing is mapped out of the
+// box: the right hand plays the melody, and a natural tilt of it would detune every note.
+const defaultExpressionMappings = {
+    palmHeight: { hand: 'Left', target: 'none', smoothing: 0.8 },
+    handDepth: { hand: 'Right', target: 'none', smoothing: 0.85 },
+    wristRoll: { hand: 'Right', target: 'none', smoothing: 0.7 },
+    pinch: { hand: 'Left', target: 'none', smoothing: 0.7 }
+};
+
+// Clamp a value to 0..1
+function clampUnit(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// Measure every expression source from one hand's landmarks
+function getExpressionSources(landmarks) {
+    const wrist = landmarks[0];
+    const indexMcp = landmarks[5];
+    const middleMcp = landmarks[9];
+    const pinkyMcp = landmarks[17];
+
+    // Palm length in the image, used as the unit for distances
+    const handSize = Math.sqrt(
+        Math.pow(middleMcp.x - wrist.x, 2) +
+        Math.pow(middleMcp.y - wrist.y, 2)
+    );
+
+    // Height of the palm centre (wrist and knuckles), higher = larger value
+    const palmPoints = [0, 5, 9, 13, 17].map(index => landmarks[index]);
+    const palmY = palmPoints.reduce((sum, point) => sum + point.y, 0) / palmPoints.length;
+
+    // MediaPipe z values are relative to the wrist, so the wrist has no depth of its own.
+    // The apparent size of the palm stands in for it: a bigger palm is closer to the camera.
+    const depth = clampUnit((handSize - 0.1) / 0.25);
+
+    // Angle of the knuckle line, measured so left and right hands read the same way
+    let dx = pinkyMcp.x - indexMcp.x;
+    let dy = pinkyMcp.y - indexMcp.y;
+    if (dx < 0) {
+        dx = -dx;
+        dy = -dy;
+    }
+    const roll = clampUnit(0.5 + Math.atan2(dy, dx) / Math.PI);
+
+    // Thumb to index tip distance, 0 when touching, 1 when spread wide
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+    const pinchDistance = Math.sqrt(
+        Math.pow(thumbTip.x - indexTip.x, 2) +
+        Math.pow(thumbTip.y - indexTip.y, 2)
+    );
+    const pinch = handSize > 0 ? clampUnit((pinchDistance / handSize - 0.1) / 1.1) : 0;
+
+    return {
+        palmHeight: clampUnit(1 - palmY),
+        handDepth: depth,
+        wristRoll: roll,
+        pinch
+    };
+}
+
+// Map a 0..1 source value into a target's range
+function mapExpressionValue(sourceValue, mapping) {
+    const target = expressionTargets[mapping.target];
+    const min = mapping.min !== undefined ? mapping.min : target.min;
+    const max = mapping.max !== undefined ? mapping.max : target.max;
+
+    // Frequencies sound even when swept exponentially
+    if (target.curve === 'exponential' && min > 0 && max > 0) {
+        return min * Math.pow(max / min, sourceValue);
+    }
+    return min + (max - min) * sourceValue;
+}
+
+// Turn a target value back into 0..1 across its full range (the inverse of mapping)
+function normalizeExpressionValue(value, mapping) {
+    const target = expressionTargets[mapping.target];
+
+    if (target.curve === 'exponential') {
+        return clampUnit(Math.log(value / target.min) / Math.log(target.max / target.min));
+    }
+    return clampUnit((value - target.min) / (target.max - target.min));
+}
+
+// Move a smoothed value towards a new reading; smoothing 0 follows instantly, near 1 is very slow
+function smoothExpressionValue(previous, next, smoothing) {
+    if (previous === undefined || previous === null) {
+        return next;
+    }
+    return previous + (next - previous) * (1 - smoothing);
+}
+
+// Build the audio nodes the expression targets act on.
+// Signal flow: vibrato -> filter -> gain -> output, with a reverb send taken after the gain.
+function createExpressionChain() {
+    const vibrato = new Tone.Vibrato({ frequency: 5.5, depth: 0 });
+    const filter = new Tone.Filter(expressionTargets.filterCutoff.neutral, 'lowpass');
+    const gain = new Tone.Gain(expressionTargets.gain.neutral);
+    const reverbSend = new Tone.Gain(expressionTargets.reverbSend.neutral);
+    const reverb = new Tone.Reverb({ decay: 3, wet: 1 });
+    const output = new Tone.Gain(1);
+
+    vibrato.chain(filter, gain, output);
+    gain.chain(reverbSend, reverb, output);
+
+    return {
+        input: vibrato,
+        output,
+        vibrato,
+        filter,
+        gain,
+        reverbSend,
+        reverb
+    };
+}
+
+export {
+    expressionSources,
+    expressionTargets,
+    defaultExpressionMappings,
+    getExpressionSources,
+    mapExpressionValue,
+    normalizeExpressionValue,
+    smoothExpressionValue,
+    createExpressionChain
+};
@@ -0,0 +1,179 @@
+// Static hand gesture recognition: classifies the 21 MediaPipe hand landmarks
+// into named poses and fires commands once a pose has been held long enough
+
+// MediaPipe hand landmark indices used for classification
+const handLandmarks = {
+    wrist: 0,
+    thumbMcp: 2,
+    thumbIp: 3,
+    thumbTip: 4,
+    indexMcp: 5,
+    middleMcp: 9,
+    pinkyMcp: 17
+};
+const fingerTipIndices = [8, 12, 16, 20]; // index, middle, ring, pinky
+const fingerPipIndices = [6, 10, 14, 18]; // middle joints of the same fingers
+
+// Display names for every gesture the classifier can return
+const gestureNames = {
+    none: 'None',
+    fist: 'Fist',
+    openPalm: 'Open Palm',
+    pinch: 'Pinch',
+    point: 'Point',
+    peace: 'Peace Sign',
+    thumbsUp: 'Thumbs Up',
+    thumbsDown: 'Thumbs Down',
+    count1: 'One Finger',
+    count2: 'Two Fingers',
+    count3: 'Three Fingers',
+    count4: 'Four Fingers',
+    count5: 'Five Fingers'
+};
+
+// Default gesture to command bindings, unbound gestures do nothing
+const defaultGestureBindings = {
+    fist: 'panic',
+    thumbsUp: 'nextInstrument',
+    thumbsDown: 'previousInstrument',
+    peace: 'octaveUp',
+    count3: 'octaveDown',
+    count4: 'nextScaleMode',
+    pinch: 'loopRecord'
+};
+
+// Distance between two landmarks
+function landmarkDistance(a, b) {
+    return Math.sqrt(
+        Math.pow(a.x - b.x, 2) +
+        Math.pow(a.y - b.y, 2) +
+        Math.pow(a.z - b.z, 2)
+    );
+}
+
+// Work out which fingers are extended: [thumb, index, middle, ring, pinky]
+function getExtendedFingers(landmarks) {
+    const wrist = landmarks[handLandmarks.wrist];
+
+    // Palm length, so the thresholds work at any distance from the camera
+    const handSize = landmarkDistance(wrist, landmarks[handLandmarks.middleMcp]);
+
+    // The thumb is out when its tip is away from the palm and further from the pinky than its last joint
+    const thumbTip = landmarks[handLandmarks.thumbTip];
+    const pinkyMcp = landmarks[handLandmarks.pinkyMcp];
+    const thumbExtended =
+        landmarkDistance(thumbTip, landmarks[handLandmarks.middleMcp]) > handSize * 0.6 &&
+        landmarkDistance(thumbTip, pinkyMcp) > landmarkDistance(landmarks[handLandmarks.thumbIp], pinkyMcp);
+
+    // Other fingers are out when the tip is further from the wrist than the middle joint
+    const fingersExtended = fingerTipIndices.map((tipIndex, i) => {
+        const pip = landmarks[fingerPipIndices[i]];
+        return landmarkDistance(landmarks[tipIndex], wrist) > landmarkDistance(pip, wrist) * 1.1;
+    });
+
+    return [thumbExtended, ...fingersExtended];
+}
+
+// Classify a hand pose from its landmarks.
+// Returns the gesture id (a key of gestureNames) and the number of raised fingers.
+function classifyHandGesture(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
+        return { gesture: 'none', fingerCount: 0 };
+    }
+
+    const extended = getExtendedFingers(landmarks);
+    const [thumb, index, middle, ring, pinky] = extended;
+    const fingerCount = extended.filter(Boolean).length;
+    const handSize = landmarkDistance(landmarks[handLandmarks.wrist], landmarks[handLandmarks.middleMcp]);
+
+    // Pinch: thumb and index tips touching with the other fingers relaxed (an "OK" sign)
+    const pinchDistance = landmarkDistance(landmarks[handLandmarks.thumbTip], landmarks[fingerTipIndices[0]]);
+    if (pinchDistance < handSize * 0.25 && (middle || ring || pinky)) {
+        return { gesture: 'pinch', fingerCount };
+    }
+
+    if (fingerCount === 0) {
+        return { gesture: 'fist', fingerCount };
+    }
+
+    // Thumbs up/down: only the thumb out, pointing mostly up or down
+    if (thumb && fingerCount === 1) {
+        const thumbMcp = landmarks[handLandmarks.thumbMcp];
+        const thumbTip = landmarks[handLandmarks.thumbTip];
+        const dx = thumbTip.x - thumbMcp.x;
+        const dy = thumbTip.y - thumbMcp.y; // y grows downwards in image coordinates
+
+        if (-dy > Math.abs(dx)) {
+            return { gesture: 'thumbsUp', fingerCount };
+        }
+        if (dy > Math.abs(dx)) {
+            return { gesture: 'thumbsDown', fingerCount };
+        }
+    }
+
+    if (!thumb && index && !middle && !ring && !pinky) {
+        return { gesture: 'point', fingerCount };
+    }
+
+    if (!thumb && index && middle && !ring && !pinky) {
+        return { gesture: 'peace', fingerCount };
+    }
+
+    if (fingerCount === 5) {
+        return { gesture: 'openPalm', fingerCount };
+    }
+
+    return { gesture: `count${fingerCount}`, fingerCount };
+}
+
+// Create a debounced gesture detector for one hand.
+// A gesture has to be seen for holdFrames frames in a row before its command fires,
+// and it only fires once until the hand changes to another gesture.
+function createGestureDetector(options = {}) {
+    const detector = {
+        holdFrames: options.holdFrames || 8,
+        bindings: options.bindings || defaultGestureBindings,
+        onCommand: options.onCommand || (() => {}),
+        currentGesture: 'none',
+        heldFrames: 0,
+        fired: false,
+
+        // Feed one frame of landmarks, returns the fired command or null
+        update(landmarks) {
+            const { gesture } = classifyHandGesture(landmarks);
+
+            if (gesture === detector.currentGesture) {
+                detector.heldFrames++;
+            } else {
+                detector.currentGesture = gesture;
+                detector.heldFrames = 1;
+                detector.fired = false;
+            }
+
+            if (!detector.fired && detector.heldFrames >= detector.holdFrames) {
+                detector.fired = true;
+                const command = detector.bindings[gesture];
+                if (command) {
+                    detector.onCommand(command, gesture);
+                    return command;
+                }
+            }
+
+            return null;
+        },
+
+        // Forget the held gesture, e.g. when the hand leaves the frame
+        reset() {
+            detector.currentGesture = 'none';
+            detector.heldFrames = 0;
+            detector.fired = false;
+        }
+    };
+
+    return detector;
+}
+
+export {
+    gestureNames,
+    createGestureDetector
+};
@@ -0,0 +1,196 @@
+// Hand detector: follows each hand from frame to frame and turns its movement into
+// events on the bus (see event-bus.js). Fingers bending and straightening become
+// presses and releases, fingertips entering or tapping on-screen zones become zone
+// presses, and held gestures fire their commands. Landmarks are smoothed first (see
+// landmark-filter.js), and a hand MediaPipe loses for a frame or two is held as it was.
+
+import { createGestureDetector } from './gestures.js';
+import { createFingerPressTracker } from './voice-manager.js';
+import { createZoneTracker } from './zone-layout.js';
+import { defaultFrameTime } from './articulation.js';
+import { getHandLabel, calculateFingerPositions, isPalmMovingSignificantly } from './hand-features.js';
+import { landmarkFilterSettings, createLandmarkFilter } from './landmark-filter.js';
+
+// Roles whose hand plays nothing, so its poses can be read as gestures. Playing hands
+// bend fingers to hold notes, which would look like fists and finger counts.
+const gestureRoles = ['controls', 'off'];
+
+// Create a fresh tracking state for one hand
+function createHandTracking(hand, bus) {
+    return {
+        hand,
+        gestureDetector: createGestureDetector({
+            onCommand: (command, gesture) => bus.emit('gesture', { hand, gesture, command })
+        }),
+        pressTracker: createFingerPressTracker(),
+        zoneTracker: createZoneTracker(),
+        landmarkFilter: createLandmarkFilter(),
+        missingFrames: 0, // frames in a row the hand hasn't been seen
+        lastFrameTime: null,
+        lastFingerPositions: null, // positions in the latest frame
+        previousFingerPositions: null // positions in the frame before it
+    };
+}
+
+// Create a detector. Settings are read through options every frame, so they can change
+// while it runs:
+//   now()                     clock for frame times, in seconds
+//   getCalibration()          the player's calibration profile (see calibration.js)
+//   getRole(hand)             'melody', 'chords', 'theremin', 'controls' or 'off'
+//   getZoneLayout()           the on-screen zones, or null to play by fingertip height
+//   getZoneTrigger()          how zones are triggered (see zone-layout.js)
+//   gestureCommandsEnabled()  whether held gestures fire commands (on 'controls' and 'off' hands)
+//   getSmoothing()            how strongly landmarks are smoothed (see landmark-filter.js)
+//   isHandPlaying(hand)       whether the hand still holds notes, which pauses its gestures (optional)
+//   holdFrames                frames a lost hand is held for, landmarkFilterSettings.holdFrames by default
+function createHandDetector(bus, options) {
+    const holdFrames = options.holdFrames !== undefined ? options.holdFrames : landmarkFilterSettings.holdFrames;
+    const hands = {
+        Left: createHandTracking('Left', bus),
+        Right: createHandTracking('Right', bus)
+    };
+
+    // Forget where a hand's fingers were, so its next frame doesn't count as movement
+    const forgetHand = tracking => {
+        tracking.lastFingerPositions = null;
+        tracking.previousFingerPositions = null;
+        tracking.pressTracker.reset();
+        tracking.zoneTracker.reset();
+        tracking.landmarkFilter.reset();
+    };
+
+    // Process one frame of one hand
+    const updateHand = (tracking, rawLandmarks) => {
+        const { hand } = tracking;
+        const role = options.getRole(hand);
+        const calibration = options.getCalibration();
+        const now = options.now();
+        const landmarks = tracking.landmarkFilter.filter(rawLandmarks, now, options.getSmoothing());
+        const fingerPositions = calculateFingerPositions(landmarks, calibration);
+        const lastFingerPositions = tracking.lastFingerPositions;
+        const frameTime = tracking.lastFrameTime !== null ? now - tracking.lastFrameTime : defaultFrameTime;
+
+        // Continuous controls follow the hand every frame
+        bus.emit('handFrame', { hand, role, landmarks, fingerPositions, lastFingerPositions, frameTime });
+
+        // Look for held gestures that trigger commands, on a hand that isn't playing.
+        // Never while it holds notes, so fingers bent over sounding notes aren't read as a command.
+        const holdingNotes = options.isHandPlaying ? options.isHandPlaying(hand) : false;
+        if (options.gestureCommandsEnabled() && gestureRoles.includes(role) && !holdingNotes) {
+            tracking.gestureDetector.update(landmarks);
+        } else {
+            tracking.gestureDetector.reset();
+        }
+
+        const zoneLayout = options.getZoneLayout();
+        if (role === 'controls' || role === 'theremin' || role === 'off') {
+            // This hand doesn't play notes by pressing
+        } else if (zoneLayout) {
+            // Fingertips play the on-screen zones they enter or tap
+            const { pressed, released } = tracking.zoneTracker.update(fingerPositions, zoneLayout, options.getZoneTrigger(), frameTime);
+
+            released.forEach(finger => bus.emit('fingerRelease', { hand, finger }));
+            pressed.forEach(({ finger, zone, speed }) => {
+                bus.emit('zonePress', { hand, finger, zone, speed, fingerPositions, lastFingerPositions, frameTime });
+            });
+        } else {
+            // Fingers that bend past the press threshold start notes, fingers that
+            // straighten past the release threshold stop only their own notes
+            const { pressed, released } = tracking.pressTracker.update(fingerPositions);
+
+            released.forEach(finger => bus.emit('fingerRelease', { hand, finger }));
+
+            // A press's speed needs the frame before it. The fingers bend as the whole
+            // hand moves, so presses say whether it was, for the note mapper to decide.
+            if (pressed.length > 0 && lastFingerPositions) {
+                const palmMoving = isPalmMovingSignificantly(fingerPositions, lastFingerPositions, calibration.palmMovementThreshold);
+                pressed.forEach(finger => {
+                    bus.emit('fingerPress', { hand, finger, fingerPositions, lastFingerPositions, frameTime, palmMoving });
+                });
+            }
+        }
+
+        tracking.missingFrames = 0;
+        tracking.lastFrameTime = now;
+        tracking.previousFingerPositions = lastFingerPositions;
+        tracking.lastFingerPositions = fingerPositions;
+    };
+
+    const detector = {
+        hands,
+
+        // Process one frame of MediaPipe results. Hands missing for longer than
+        // holdFrames have their tracking reset and handMissing emitted. Returns the
+        // set of hands seen.
+        update(multiHandLandmarks = [], multiHandedness = []) {
+            const detectedHands = new Set();
+
+            multiHandLandmarks.forEach((landmarks, index) => {
+                const hand = getHandLabel(multiHandedness, index);
+
+                // MediaPipe occasionally gives both hands the same label, only use the first
+                if (detectedHands.has(hand)) return;
+                detectedHands.add(hand);
+
+                updateHand(hands[hand], landmarks);
+            });
+
+            for (const [hand, tracking] of Object.entries(hands)) {
+                if (detectedHands.has(hand)) continue;
+
+                // MediaPipe drops the odd frame, so a hand keeps its notes and state
+                // for a few frames before it counts as gone
+                tracking.missingFrames++;
+                if (tracking.lastFingerPositions && tracking.missingFrames <= holdFrames) continue;
+
+                forgetHand(tracking);
+                tracking.gestureDetector.reset();
+                bus.emit('handMissing', { hand });
+            }
+
+            return detectedHands;
+        },
+
+        // Whether a hand is being followed: seen this frame, or held while briefly lost
+        isTracking(hand) {
+            return hands[hand].lastFingerPositions !== null;
+        },
+
+        // Start one hand afresh, like after its role changes
+        resetHand(hand) {
+            forgetHand(hands[hand]);
+        },
+
+        // Fingers that are still bent have to lift and press again before they play
+        resetPresses() {
+            for (const tracking of Object.values(hands)) {
+                tracking.pressTracker.reset();
+                tracking.zoneTracker.reset();
+            }
+        },
+
+        // Forget every hand's movement, like when the calibration changes
+        forgetPositions() {
+            for (const tracking of Object.values(hands)) {
+                tracking.lastFingerPositions = null;
+                tracking.previousFingerPositions = null;
+            }
+        },
+
+        // Start from a clean slate, like before replaying a landmark recording
+        reset() {
+            for (const tracking of Object.values(hands)) {
+                forgetHand(tracking);
+                tracking.gestureDetector.reset();
+                tracking.missingFrames = 0;
+                tracking.lastFrameTime = null;
+            }
+        }
+    };
+
+    return detector;
+}
+
+export {
+    createHandDetector
+};
@@ -0,0 +1,130 @@
+// Hand features: measurements taken from one frame of MediaPipe hand landmarks, like
+// how far each finger is extended and how high its tip is, and from two frames, like
+// how far the fingers and palm moved
+
+import { normalizeExtension } from './calibration.js';
+
+// MediaPipe labels handedness assuming a mirrored (selfie) image. Our video
+// feed is not mirrored, so its labels are the opposite of the player's hands.
+const mirrorHandedness = true;
+
+// Work out which of the player's hands a detection belongs to
+function getHandLabel(multiHandedness, index, mirror = mirrorHandedness) {
+    const handedness = multiHandedness && multiHandedness[index];
+    if (!handedness) {
+        // No label from MediaPipe, treat it as the first free hand
+        return index === 0 ? 'Right' : 'Left';
+    }
+
+    if (mirror) {
+        return handedness.label === 'Left' ? 'Right' : 'Left';
+    }
+    return handedness.label;
+}
+
+// Calculate positions of each finger. calibration is the player's profile (see
+// calibration.js), which sets how bent a fist and how straight an open palm are.
+function calculateFingerPositions(landmarks, calibration) {
+    // Finger indices in MediaPipe hand landmarks
+    const fingerTips = [4, 8, 12, 16, 20]; // thumb, index, middle, ring, pinky
+    const fingerBases = [2, 5, 9, 13, 17]; // bases of each finger
+    const wristIndex = 0; // Wrist landmark
+
+    // Get wrist position as reference point
+    const wrist = landmarks[wristIndex];
+
+    // Calculate positions and extensions
+    const positions = [];
+    for (let i = 0; i < 5; i++) {
+        const tip = landmarks[fingerTips[i]];
+        const base = landmarks[fingerBases[i]];
+
+        // Calculate distance between tip and base (extension)
+        const extension = Math.sqrt(
+            Math.pow(tip.x - base.x, 2) +
+            Math.pow(tip.y - base.y, 2) +
+            Math.pow(tip.z - base.z, 2)
+        );
+
+        // How far the finger is extended between a fist (0) and an open palm (1)
+        const extensionRatio = normalizeExtension(extension, i, calibration);
+
+        // Calculate height (y-position) relative to the frame
+        const height = 1 - tip.y; // Invert so higher = larger value
+
+        // Calculate position relative to wrist (to help filter out whole hand movement)
+        const relativeX = tip.x - wrist.x;
+        const relativeY = tip.y - wrist.y;
+        const relativeZ = tip.z - wrist.z;
+
+        positions.push({
+            x: tip.x,
+            y: tip.y,
+            z: tip.z,
+            relativeX,
+            relativeY,
+            relativeZ,
+            extension,
+            extensionRatio,
+            height
+        });
+    }
+
+    return positions;
+}
+
+// How far a finger moved between two frames
+function measureFingerMovement(current, last) {
+    // Calculate finger extension change (how much the finger has bent)
+    const extensionChange = Math.abs(current.extension - last.extension);
+
+    // Calculate finger tip movement
+    const tipMovement = Math.sqrt(
+        Math.pow(current.x - last.x, 2) +
+        Math.pow(current.y - last.y, 2) +
+        Math.pow(current.z - last.z, 2)
+    );
+
+    return { tipMovement, extensionChange };
+}
+
+// Check if the whole palm is moving (to filter out whole hand movements).
+// threshold is the calibrated palm movement threshold.
+function isPalmMovingSignificantly(currentPositions, lastPositions, threshold) {
+    // Calculate average movement of all finger bases (palm movement)
+    let totalMovement = 0;
+
+    // Use the first knuckle of each finger as reference points for palm movement
+    const fingerBases = [0, 1, 2, 3, 4]; // Using all fingers
+
+    for (const i of fingerBases) {
+        const current = currentPositions[i];
+        const last = lastPositions[i];
+
+        // Calculate base movement
+        const movement = Math.sqrt(
+            Math.pow(current.x - last.x, 2) +
+            Math.pow(current.y - last.y, 2) +
+            Math.pow(current.z - last.z, 2)
+        );
+
+        totalMovement += movement;
+    }
+
+    const avgPalmMovement = totalMovement / fingerBases.length;
+    const isPalmMoving = avgPalmMovement > threshold;
+
+    if (isPalmMoving) {
+        console.log(`Palm moving: ${avgPalmMovement.toFixed(4)} > ${threshold}`);
+    }
+
+    return isPalmMoving;
+}
+
+export {
+    mirrorHandedness,
+    getHandLabel,
+    calculateFingerPositions,
+    measureFingerMovement,
+    isPalmMovingSignificantly
+};
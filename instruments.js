@@ -0,0 +1,120 @@
+// Instruments the hands can play, as Tone.js instruments. create(onStatus) builds one,
+// and instruments that load samples report their progress through
+// onStatus(message, type), with type 'info', 'ready' or 'error'.
+
+import { pianoSamplesUrl, pianoSampleFiles } from './offline-assets.js';
+import { createDrumKit } from './drum-kit.js';
+
+// Instrument configurations
+const instruments = {
+    piano: {
+        create: onStatus => createSampler('Piano', pianoSampleFiles, pianoSamplesUrl, onStatus),
+    },
+    synth: {
+        create: () => new Tone.PolySynth(Tone.Synth),
+    },
+    marimba: {
+        // Use a synthesizer with marimba-like settings instead of samples
+        create: () => new Tone.PolySynth(Tone.FMSynth, {
+            harmonicity: 3.01,
+            modulationIndex: 14,
+            oscillator: {
+                type: "triangle"
+            },
+            envelope: {
+                attack: 0.002,
+                decay: 0.5,
+                sustain: 0.1,
+                release: 1.2
+            },
+            modulation: {
+                type: "square"
+            },
+            modulationEnvelope: {
+                attack: 0.01,
+                decay: 0.1,
+                sustain: 0.4,
+                release: 0.5
+            }
+        })
+    },
+    guitar: {
+        // Use a synthesizer with guitar-like settings instead of samples
+        create: () => new Tone.PolySynth(Tone.AMSynth, {
+            harmonicity: 2.5,
+            oscillator: {
+                type: "fatsawtooth"
+            },
+            envelope: {
+                attack: 0.01,
+                decay: 0.1,
+                sustain: 0.3,
+                release: 1.2
+            },
+            modulation: {
+                type: "square"
+            },
+            modulationEnvelope: {
+                attack: 0.5,
+                decay: 0,
+                sustain: 1,
+                release: 0.5
+            }
+        })
+    },
+    bass: {
+        // Use a synthesizer with bass-like settings instead of samples
+        create: () => new Tone.MonoSynth({
+            oscillator: {
+                type: "fmsquare5",
+                modulationType: "triangle",
+                modulationIndex: 2,
+                harmonicity: 0.501
+            },
+            filter: {
+                Q: 1,
+                type: "lowpass",
+                rolloff: -24
+            },
+            envelope: {
+                attack: 0.01,
+                decay: 0.1,
+                sustain: 0.4,
+                release: 0.5
+            },
+            filterEnvelope: {
+                attack: 0.01,
+                decay: 0.1,
+                sustain: 0.8,
+                release: 0.5,
+                baseFrequency: 50,
+                octaves: 4.4
+            }
+        })
+    },
+    drums: {
+        // Unpitched kit pieces (see drum-kit.js), hit by fingers or pads instead of scale degrees
+        percussion: true,
+        create: () => createDrumKit()
+    }
+};
+
+// Create a Sampler, reporting its loading and any failure through onStatus
+function createSampler(name, urls, baseUrl, onStatus = () => {}) {
+    onStatus(`Loading ${name} samples...`, 'info');
+    return new Tone.Sampler({
+        urls,
+        baseUrl,
+        onload: () => onStatus(`${name} samples loaded`, 'ready'),
+        onerror: error => {
+            console.error(`Error loading ${name} samples:`, error);
+            onStatus(`Could not load the ${name} samples, so it will be silent. ` +
+                'Pick another instrument, or connect to the internet so they can be saved for offline use.', 'error');
+        }
+    });
+}
+
+export {
+    instruments,
+    createSampler
+};
@@ -0,0 +1,397 @@
+// Jam relay: a small WebSocket server that passes note and controller events between
+// the players in a room (see jam.js for the page's side). It only relays, so every
+// player's browser makes its own sound. Plain Node with no packages, so it runs on any
+// machine on the LAN with no outside services:
+//
+//   node jam-server.mjs [port]
+//
+// Messages are JSON text frames. From a player:
+//   { type: 'join', room, name, instrument }
+//   { type: 'update', name?, instrument? }
+//   { type: 'event', event }  a note or controller event, relayed to the rest of the room
+//   { type: 'ping', sent }    clock check, answered straight away
+// To a player:
+//   { type: 'welcome', id, room, players }  players are the others already in the room
+//   { type: 'joined', player }  { type: 'updated', player }  { type: 'left', id }
+//   { type: 'event', from, event }
+//   { type: 'pong', sent, serverTime }  serverTime is the relay's clock in seconds
+//   { type: 'error', message }
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { networkInterfaces } from 'node:os';
+import { pathToFileURL } from 'node:url';
+
+const jamServerSettings = {
+    port: 8765,
+    maxMessageBytes: 16 * 1024,
+    idleTimeout: 15, // seconds without a message before a player is dropped (clients ping every few seconds)
+    maxNameLength: 24,
+    maxRoomLength: 40,
+    maxInstrumentLength: 40,
+    defaultRoom: 'jam'
+};
+
+// Added to a client's key to prove the server speaks WebSocket (RFC 6455)
+const webSocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+const opcodes = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// The relay's clock in seconds, which players sync their event times to
+function getServerTime() {
+    return performance.now() / 1000;
+}
+
+// Tidy a name or room sent by a player, falling back when it is empty
+function cleanText(value, maxLength, fallback) {
+    const text = typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+    return text || fallback;
+}
+
+// Build one unfragmented frame. Servers never mask what they send.
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Read the next whole frame from the start of a buffer. Returns
+// { fin, opcode, payload, length (bytes used) }, or null if more bytes are needed.
+// Throws if the frame breaks the protocol or is too big, with the close code to send.
+function decodeFrame(buffer, maxBytes) {
+    if (buffer.length < 2) return null;
+
+    const fin = Boolean(buffer[0] & 0x80);
+    const opcode = buffer[0] & 0x0F;
+    const masked = Boolean(buffer[1] & 0x80);
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (!masked) {
+        throw new Error('Client frames must be masked');
+    }
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        payloadLength = longLength > BigInt(maxBytes) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+    if (payloadLength > maxBytes) {
+        const error = new Error('Message too big');
+        error.closeCode = 1009;
+        throw error;
+    }
+
+    if (buffer.length < offset + 4 + payloadLength) return null;
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + payloadLength));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return { fin, opcode, payload, length: offset + 4 + payloadLength };
+}
+
+// Wrap an upgraded socket as a connection that sends and receives JSON messages.
+// head is whatever the client sent straight after its handshake, which may already
+// hold frames. onMessage(message) gets each parsed message, onClose() runs once when it ends.
+function createConnection(socket, head, settings, onMessage, onClose) {
+    let buffered = Buffer.from(head);
+    let fragments = []; // payloads of a text message split over several frames
+    let fragmentBytes = 0;
+    let closed = false;
+
+    const connection = {
+        lastSeen: getServerTime(),
+
+        send(message) {
+            if (closed) return;
+            socket.write(encodeFrame(opcodes.text, Buffer.from(JSON.stringify(message))));
+        },
+
+        // Say goodbye with a close frame (code 1000 is a normal close), then hang up
+        close(code = 1000) {
+            if (closed) return;
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code, 0);
+            socket.end(encodeFrame(opcodes.close, payload));
+            finish();
+        }
+    };
+
+    function finish() {
+        if (closed) return;
+        closed = true;
+        onClose();
+    }
+
+    function handleFrame({ fin, opcode, payload }) {
+        connection.lastSeen = getServerTime();
+
+        if (opcode === opcodes.ping) {
+            socket.write(encodeFrame(opcodes.pong, payload));
+        } else if (opcode === opcodes.close) {
+            connection.close();
+        } else if (opcode === opcodes.binary) {
+            connection.close(1003); // only text messages are spoken here
+        } else if (opcode === opcodes.text || opcode === opcodes.continuation) {
+            // Each frame is checked against the limit, so must the whole message
+            fragmentBytes += payload.length;
+            if (fragmentBytes > settings.maxMessageBytes) {
+                console.warn('Closing a jam connection: message too big');
+                connection.close(1009);
+                return;
+            }
+            fragments.push(payload);
+            if (!fin) return;
+
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            fragmentBytes = 0;
+
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                connection.send({ type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            if (!message || typeof message !== 'object') {
+                connection.send({ type: 'error', message: 'Messages must be JSON objects' });
+                return;
+            }
+            onMessage(message);
+        }
+    }
+
+    // Handle every whole frame received so far
+    function readFrames() {
+        try {
+            let frame;
+            while (!closed && (frame = decodeFrame(buffered, settings.maxMessageBytes))) {
+                buffered = buffered.subarray(frame.length);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            console.warn('Closing a jam connection:', error.message);
+            connection.close(error.closeCode || 1002);
+        }
+    }
+
+    socket.on('data', data => {
+        buffered = Buffer.concat([buffered, data]);
+        readFrames();
+    });
+    // A player that hangs up without a close frame, like a crashed tab, leaves straight away
+    // (HTTP servers keep half-closed sockets open otherwise)
+    socket.on('end', () => {
+        socket.end();
+        finish();
+    });
+    socket.on('close', finish);
+    socket.on('error', error => {
+        console.warn('Jam connection error:', error.message);
+        socket.destroy();
+        finish();
+    });
+
+    // Frames sent along with the handshake are read once the caller has the connection
+    if (buffered.length > 0) {
+        process.nextTick(readFrames);
+    }
+
+    return connection;
+}
+
+// Create the relay and start listening. options override jamServerSettings, plus host
+// (every network interface by default). Port 0 picks a free port, which is handy for
+// tests. Resolves to { port, rooms, close() }, where rooms maps a room name to its
+// connected players.
+function createJamServer(options = {}) {
+    const settings = { ...jamServerSettings, ...options };
+    const rooms = new Map(); // room name -> Map of player id -> { player, connection }
+    const connections = new Set();
+    let nextPlayerId = 1;
+
+    // Send a message to everyone in a room, except one player
+    function broadcast(room, message, exceptId) {
+        for (const [id, member] of rooms.get(room) || []) {
+            if (id !== exceptId) {
+                member.connection.send(message);
+            }
+        }
+    }
+
+    function handleUpgrade(request, socket, head) {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + webSocketGuid).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true); // note events are tiny and late ones are no use
+
+        // The player this connection joined as, and its room
+        let player = null;
+        let room = null;
+
+        const connection = createConnection(socket, head, settings, message => {
+            if (message.type === 'ping') {
+                connection.send({ type: 'pong', sent: message.sent, serverTime: getServerTime() });
+            } else if (message.type === 'join') {
+                if (player) {
+                    connection.send({ type: 'error', message: 'Already in a room' });
+                    return;
+                }
+                const id = nextPlayerId++;
+                room = cleanText(message.room, settings.maxRoomLength, settings.defaultRoom);
+                player = {
+                    id,
+                    name: cleanText(message.name, settings.maxNameLength, `Player ${id}`),
+                    instrument: cleanText(message.instrument, settings.maxInstrumentLength, '')
+                };
+
+                if (!rooms.has(room)) {
+                    rooms.set(room, new Map());
+                }
+                const members = rooms.get(room);
+                connection.send({ type: 'welcome', id, room, players: [...members.values()].map(member => member.player) });
+                members.set(id, { player, connection });
+                broadcast(room, { type: 'joined', player }, id);
+                console.log(`${player.name} joined ${room} (${members.size} playing)`);
+            } else if (!player) {
+                connection.send({ type: 'error', message: 'Join a room first' });
+            } else if (message.type === 'event') {
+                if (message.event && typeof message.event === 'object') {
+                    broadcast(room, { type: 'event', from: player.id, event: message.event }, player.id);
+                }
+            } else if (message.type === 'update') {
+                if (message.name !== undefined) {
+                    player.name = cleanText(message.name, settings.maxNameLength, player.name);
+                }
+                if (message.instrument !== undefined) {
+                    player.instrument = cleanText(message.instrument, settings.maxInstrumentLength, player.instrument);
+                }
+                broadcast(room, { type: 'updated', player }, player.id);
+            } else {
+                connection.send({ type: 'error', message: `Unknown message type ${message.type}` });
+            }
+        }, () => {
+            connections.delete(connection);
+            if (!player) return;
+
+            const members = rooms.get(room);
+            members.delete(player.id);
+            if (members.size === 0) {
+                rooms.delete(room);
+            }
+            broadcast(room, { type: 'left', id: player.id });
+            console.log(`${player.name} left ${room}`);
+        });
+        connections.add(connection);
+    }
+
+    const server = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('Hand Gesture Music jam relay: connect to it from the app\'s Jam Session panel.\n');
+    });
+    server.on('upgrade', handleUpgrade);
+
+    // Drop players whose connection has gone quiet, like a laptop that went to sleep
+    const idleTimer = setInterval(() => {
+        const now = getServerTime();
+        for (const connection of connections) {
+            if (now - connection.lastSeen > settings.idleTimeout) {
+                connection.close(1001);
+            }
+        }
+    }, settings.idleTimeout * 1000 / 3);
+    idleTimer.unref();
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port, settings.host, () => {
+            resolve({
+                port: server.address().port,
+                rooms,
+
+                // Stop listening and hang up on everyone. Resolves once the server has closed.
+                close() {
+                    clearInterval(idleTimer);
+                    for (const connection of connections) {
+                        connection.close(1001);
+                    }
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+// The addresses other machines on the network can reach the relay at
+function getJamServerUrls(port) {
+    const urls = [`ws://localhost:${port}`];
+    for (const addresses of Object.values(networkInterfaces())) {
+        for (const address of addresses) {
+            if (address.family === 'IPv4' && !address.internal) {
+                urls.push(`ws://${address.address}:${port}`);
+            }
+        }
+    }
+    return urls;
+}
+
+// Run the relay when this file is started with node, rather than imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.argv[2] || process.env.JAM_PORT || jamServerSettings.port, 10);
+    createJamServer({ port })
+        .then(jamServer => {
+            console.log('Jam relay running. Players join it at:');
+            getJamServerUrls(jamServer.port).forEach(url => console.log(`  ${url}`));
+        })
+        .catch(error => {
+            console.error(`Could not start the jam relay: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+export {
+    jamServerSettings,
+    encodeFrame,
+    decodeFrame,
+    createJamServer,
+    getJamServerUrls
+};
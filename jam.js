@@ -0,0 +1,441 @@
+// Jam sessions: several players join a room on a relay (see jam-server.mjs) and hear
+// each other. Each player's notes and controller moves are sent as events stamped with
+// the relay's clock, and every browser plays everyone else on the instrument they chose.
+//
+// Latency compensation: each client keeps its clock in step with the relay's from ping
+// round trips, and plays incoming events a fixed playout delay after they were sent
+// rather than when they happen to arrive, so network jitter doesn't smear the timing
+// and players stay in time with each other. In 'auto' the delay follows the slowest player.
+
+import { instruments } from './instruments.js';
+import { createToneOutput } from './note-output.js';
+import { expressionTargets, createExpressionChain } from './expression.js';
+
+// localStorage key
+const jamSettingsStorageKey = 'handGestureMusic.jam';
+
+const jamSessionSettings = {
+    port: 8765, // the relay's default port
+    pingInterval: 2, // seconds between clock checks
+    clockSamples: 8, // recent round trips kept, the quickest gives the clock offset
+    controlInterval: 0.05, // seconds between updates of one controller, at most
+    latencySmoothing: 0.9, // how slowly each player's measured latency follows new events
+    autoDelayMargin: 0.02, // seconds added to the slowest player's latency in 'auto'
+    maxDelay: 0.5,
+    fallbackInstrument: 'synth' // played for instruments this browser doesn't have, like user ones
+};
+
+// Playout delays to choose from, in seconds, as [value, label] pairs in the order
+// they are listed (an object would put the integer-like '0' first)
+const jamDelays = [
+    ['auto', 'Auto'],
+    ['0', 'Off (play on arrival)'],
+    ['0.05', '50 ms'],
+    ['0.1', '100 ms'],
+    ['0.2', '200 ms']
+];
+
+// Event types players send, and what they carry
+const jamEventTypes = {
+    noteOn: ['note', 'velocity'],
+    noteOff: ['note'],
+    control: ['target', 'value'] // an expression target (see expression.js) and its value
+};
+
+// Where to connect, the room and the player's name, remembered between visits
+function getDefaultJamSettings(hostname) {
+    return { url: `ws://${hostname || 'localhost'}:${jamSessionSettings.port}`, room: 'jam', name: '', delay: 'auto' };
+}
+
+function loadJamSettings(hostname) {
+    const defaults = getDefaultJamSettings(hostname);
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(jamSettingsStorageKey)) };
+    } catch (error) {
+        console.error('Could not read jam settings:', error);
+        return defaults;
+    }
+}
+
+function saveJamSettings(settings) {
+    localStorage.setItem(jamSettingsStorageKey, JSON.stringify(settings));
+}
+
+// Keep a local clock in step with the relay's. Each ping gives a sample: the relay's
+// time is taken to be halfway through the round trip, and the quickest recent round
+// trip, the one least held up on the way, gives the offset.
+function createJamClock(settings = jamSessionSettings) {
+    const samples = [];
+
+    const clock = {
+        offset: null, // relay time minus local time, in seconds, once known
+        roundTrip: null, // of the latest ping
+
+        addSample(sent, serverTime, received) {
+            const roundTrip = received - sent;
+            samples.push({ roundTrip, offset: serverTime + roundTrip / 2 - received });
+            if (samples.length > settings.clockSamples) {
+                samples.shift();
+            }
+
+            const quickest = samples.reduce((best, sample) => sample.roundTrip < best.roundTrip ? sample : best);
+            clock.offset = quickest.offset;
+            clock.roundTrip = roundTrip;
+        },
+
+        toServerTime(localTime) {
+            return localTime + (clock.offset || 0);
+        },
+
+        toLocalTime(serverTime) {
+            return serverTime - (clock.offset || 0);
+        }
+    };
+
+    return clock;
+}
+
+// The playout delay in seconds for a setting (a value in jamDelays): fixed, or in 'auto'
+// just long enough for the slowest player's events to arrive
+function getJamPlayoutDelay(delay, players, settings = jamSessionSettings) {
+    if (delay !== 'auto') {
+        return Math.max(0, Math.min(settings.maxDelay, parseFloat(delay) || 0));
+    }
+
+    const latencies = players.map(player => player.latency).filter(latency => latency !== null);
+    if (latencies.length === 0) return 0;
+    return Math.min(settings.maxDelay, Math.max(...latencies) + settings.autoDelayMargin);
+}
+
+// Check an event from another player has what its type needs. Everything in it comes
+// from another machine, so only the tables' own keys count, never inherited ones.
+function isValidJamEvent(event) {
+    if (!event || !Object.hasOwn(jamEventTypes, event.type) || !Number.isFinite(event.time)) return false;
+    if (event.type === 'control') {
+        return Object.hasOwn(expressionTargets, event.target) && Object.hasOwn(jamControlSetters, event.target) &&
+            Number.isFinite(event.value);
+    }
+    return typeof event.note === 'string';
+}
+
+// Join a room on a relay. options:
+//   url, room, name, instrument
+//   now()        local time in seconds (performance.now by default)
+//   getDelay()   the playout delay setting, a value in jamDelays
+//   WebSocket    the WebSocket class, for running outside a browser
+// handlers:
+//   onPlayersChanged(players)  someone joined, left or changed instrument
+//   onEvent(player, event)     an event from another player, when it's time to play it
+//   onDisconnect(error)        the connection ended, error is set if it failed
+// Returns the session. session.ready resolves once the relay has welcomed the player.
+function createJamSession(options, handlers, settings = jamSessionSettings) {
+    const now = options.now || (() => performance.now() / 1000);
+    const getDelay = options.getDelay || (() => 'auto');
+    const WebSocketClass = options.WebSocket || WebSocket;
+
+    const clock = createJamClock(settings);
+    const lastControlTimes = new Map(); // target -> local time it was last sent
+    const pendingControls = new Map(); // target -> { value, timer } waiting to be sent
+    let pingTimer = null;
+    let opened = false;
+    let welcomed = false;
+    let finished = false;
+    let resolveReady;
+    let rejectReady;
+
+    const socket = new WebSocketClass(options.url);
+
+    const session = {
+        id: null,
+        room: options.room,
+        clock,
+        players: new Map(), // player id -> { id, name, instrument, latency (seconds, or null), timers, lastPlayTime }
+        lateEvents: 0, // events that arrived after their playout time
+        ready: new Promise((resolve, reject) => {
+            resolveReady = resolve;
+            rejectReady = reject;
+        }),
+
+        isConnected() {
+            return welcomed && socket.readyState === WebSocketClass.OPEN;
+        },
+
+        getPlayoutDelay() {
+            return getJamPlayoutDelay(getDelay(), [...session.players.values()], settings);
+        },
+
+        // Share a note starting or stopping
+        sendNote(type, note, velocity = 0) {
+            sendEvent(type === 'noteOn' ? { type, note, velocity } : { type, note });
+        },
+
+        // Share an expression target's value, at most once per controlInterval. The
+        // latest value always gets sent, so the other players end where this one did.
+        sendControl(target, value) {
+            const pending = pendingControls.get(target);
+            if (pending) {
+                pending.value = value;
+                return;
+            }
+
+            const wait = (lastControlTimes.get(target) ?? -Infinity) + settings.controlInterval - now();
+            if (wait <= 0) {
+                lastControlTimes.set(target, now());
+                sendEvent({ type: 'control', target, value });
+                return;
+            }
+
+            const waiting = { value };
+            waiting.timer = setTimeout(() => {
+                pendingControls.delete(target);
+                lastControlTimes.set(target, now());
+                sendEvent({ type: 'control', target, value: waiting.value });
+            }, wait * 1000);
+            pendingControls.set(target, waiting);
+        },
+
+        setInstrument(instrument) {
+            send({ type: 'update', instrument });
+        },
+
+        leave() {
+            socket.close(1000);
+        }
+    };
+
+    function send(message) {
+        if (socket.readyState === WebSocketClass.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    function sendEvent(event) {
+        if (!welcomed) return;
+        send({ type: 'event', event: { ...event, time: clock.toServerTime(now()) } });
+    }
+
+    function ping() {
+        send({ type: 'ping', sent: now() });
+    }
+
+    function addPlayer(player) {
+        session.players.set(player.id, { ...player, latency: null, timers: new Set(), lastPlayTime: -Infinity });
+    }
+
+    // Forget a player, dropping the events still waiting to be played
+    function removePlayer(id) {
+        const player = session.players.get(id);
+        if (!player) return;
+        player.timers.forEach(timer => clearTimeout(timer));
+        session.players.delete(id);
+    }
+
+    // Play an event from another player its playout delay after it was sent. Events
+    // from one player keep their order, so a note never stops before it starts.
+    function scheduleEvent(player, event) {
+        const arrived = now();
+        const latency = Math.max(0, clock.toServerTime(arrived) - event.time);
+        player.latency = player.latency === null
+            ? latency
+            : player.latency * settings.latencySmoothing + latency * (1 - settings.latencySmoothing);
+
+        let playTime = clock.toLocalTime(event.time + session.getPlayoutDelay());
+        if (playTime < arrived) {
+            session.lateEvents++;
+            playTime = arrived;
+        }
+        playTime = Math.max(playTime, player.lastPlayTime);
+        player.lastPlayTime = playTime;
+
+        const timer = setTimeout(() => {
+            player.timers.delete(timer);
+            handlers.onEvent(player, event);
+        }, (playTime - arrived) * 1000);
+        player.timers.add(timer);
+    }
+
+    function handleMessage(message) {
+        if (message.type === 'pong') {
+            clock.addSample(message.sent, message.serverTime, now());
+        } else if (message.type === 'welcome') {
+            welcomed = true;
+            session.id = message.id;
+            session.room = message.room;
+            message.players.forEach(addPlayer);
+            resolveReady(session);
+            handlers.onPlayersChanged([...session.players.values()]);
+        } else if (message.type === 'joined') {
+            addPlayer(message.player);
+            handlers.onPlayersChanged([...session.players.values()]);
+        } else if (message.type === 'updated') {
+            const player = session.players.get(message.player.id);
+            if (player) {
+                Object.assign(player, message.player);
+                handlers.onPlayersChanged([...session.players.values()]);
+            }
+        } else if (message.type === 'left') {
+            removePlayer(message.id);
+            handlers.onPlayersChanged([...session.players.values()]);
+        } else if (message.type === 'event') {
+            const player = session.players.get(message.from);
+            if (player && isValidJamEvent(message.event)) {
+                scheduleEvent(player, message.event);
+            }
+        } else if (message.type === 'error') {
+            console.warn('Jam relay:', message.message);
+        }
+    }
+
+    socket.onopen = () => {
+        opened = true;
+
+        // Start the clock checks before joining, so the first events are already in step
+        ping();
+        send({ type: 'join', room: options.room, name: options.name, instrument: options.instrument });
+        pingTimer = setInterval(ping, settings.pingInterval * 1000);
+    };
+
+    socket.onmessage = ({ data }) => {
+        try {
+            handleMessage(JSON.parse(data));
+        } catch (error) {
+            console.error('Error handling a jam message:', error);
+        }
+    };
+
+    // End the session once, however the connection ended
+    function finish(error) {
+        if (finished) return;
+        finished = true;
+
+        clearInterval(pingTimer);
+        pendingControls.forEach(pending => clearTimeout(pending.timer));
+        pendingControls.clear();
+        [...session.players.keys()].forEach(removePlayer);
+
+        welcomed = false;
+        rejectReady(error || new Error('Left before joining'));
+        handlers.onDisconnect(error);
+    }
+
+    // Closes other than a normal one (1000) or going away (1001) are failures
+    socket.onclose = ({ code }) => {
+        finish(code === 1000 || code === 1001 ? null : new Error(`Connection to ${options.url} closed (code ${code})`));
+    };
+
+    // Browsers follow a failed connection with a close, but not every WebSocket does
+    socket.onerror = () => {
+        if (!opened) {
+            finish(new Error(`Could not connect to ${options.url}`));
+        }
+    };
+
+    return session;
+}
+
+// How each expression target of another player is applied to their voice
+const jamControlSetters = {
+    pitchBend: (voice, value) => voice.toneOutput.pitchBend(value),
+    gain: (voice, value) => voice.expressionChain.gain.gain.rampTo(value, 0.05),
+    filterCutoff: (voice, value) => voice.expressionChain.filter.frequency.rampTo(value, 0.05),
+    vibratoDepth: (voice, value) => voice.expressionChain.vibrato.depth.rampTo(value, 0.05),
+    reverbSend: (voice, value) => voice.expressionChain.reverbSend.gain.rampTo(value, 0.05)
+};
+
+// Create the sound of another player: their instrument through an expression chain of
+// its own, which their controller events shape, and a volume this player sets.
+// output is the node it plays into.
+function createJamPlayerVoice(output, reportStatus) {
+    const expressionChain = createExpressionChain();
+    const volume = new Tone.Volume(0);
+    expressionChain.output.chain(volume, output);
+
+    const heldNotes = new Set();
+
+    const voice = {
+        instrument: null,
+        synth: null,
+        toneOutput: null,
+        expressionChain,
+        volume: 0, // dB
+        muted: false,
+
+        // Play through an instrument (a key of instruments), or the fallback if this
+        // browser doesn't have it
+        setInstrument(name) {
+            const instrument = instruments[name] ? name : jamSessionSettings.fallbackInstrument;
+            if (voice.instrument === instrument) return;
+
+            voice.releaseAll();
+            if (voice.synth) {
+                voice.synth.dispose();
+            }
+            voice.synth = instruments[instrument].create(reportStatus).connect(expressionChain.input);
+            voice.instrument = instrument;
+        },
+
+        // Play an event the player sent. Muted players' notes are dropped, but their
+        // controllers still apply so they come back in the same shape.
+        play(event) {
+            if (event.type === 'noteOn') {
+                if (voice.muted) return;
+                voice.toneOutput.noteOn(event.note, event.velocity);
+                heldNotes.add(event.note);
+            } else if (event.type === 'noteOff') {
+                if (heldNotes.delete(event.note)) {
+                    voice.toneOutput.noteOff(event.note);
+                }
+            } else if (event.type === 'control') {
+                const target = expressionTargets[event.target];
+                jamControlSetters[event.target](voice, Math.max(target.min, Math.min(target.max, event.value)));
+            }
+        },
+
+        setVolume(decibels) {
+            voice.volume = decibels;
+            volume.volume.rampTo(decibels, 0.05);
+        },
+
+        setMuted(muted) {
+            voice.muted = muted;
+            volume.mute = muted;
+            if (muted) {
+                voice.releaseAll();
+            }
+        },
+
+        releaseAll() {
+            for (const note of heldNotes) {
+                voice.toneOutput.noteOff(note);
+            }
+            heldNotes.clear();
+        },
+
+        dispose() {
+            voice.releaseAll();
+            if (voice.synth) {
+                voice.synth.dispose();
+            }
+            const { vibrato, filter, gain, reverbSend, reverb } = expressionChain;
+            [vibrato, filter, gain, reverbSend, reverb, expressionChain.output].forEach(node => node.dispose());
+            volume.dispose();
+        }
+    };
+
+    voice.toneOutput = createToneOutput(() => voice.synth);
+    return voice;
+}
+
+export {
+    jamSessionSettings,
+    jamDelays,
+    jamEventTypes,
+    getDefaultJamSettings,
+    loadJamSettings,
+    saveJamSettings,
+    createJamClock,
+    getJamPlayoutDelay,
+    isValidJamEvent,
+    createJamSession,
+    createJamPlayerVoice
+};
@@ -0,0 +1,103 @@
+// Landmark smoothing: a One Euro filter on every coordinate of every landmark, before
+// finger positions are measured. It smooths hard while the hand is still, where
+// tracking jitter would otherwise read as finger movement, and follows closely when
+// the hand moves fast, so real presses aren't delayed.
+// See https://gery.casiez.net/1euro/ for how the filter works.
+
+// How strongly landmarks are smoothed. minCutoff (Hz) sets the smoothing of a still
+// hand, lower is smoother; beta sets how quickly the cutoff rises with speed.
+const smoothingLevels = {
+    off: { name: 'Off' },
+    light: { name: 'Light', minCutoff: 4, beta: 20 },
+    medium: { name: 'Medium', minCutoff: 1.5, beta: 10 },
+    strong: { name: 'Strong', minCutoff: 0.6, beta: 5 }
+};
+
+const landmarkFilterSettings = {
+    smoothing: 'medium',
+    derivativeCutoff: 1, // Hz, smoothing of the speed that raises the cutoff
+    holdFrames: 5, // frames a lost hand is held for before its notes are released
+    defaultFrameTime: 1 / 30 // seconds, when two frames arrive with the same time
+};
+
+// How much of a new sample to take for a low-pass cutoff frequency and time step
+function getSmoothingFactor(cutoff, frameTime) {
+    const timeConstant = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + timeConstant / frameTime);
+}
+
+// Create a One Euro filter for one value. filter(value, time, level) returns the
+// smoothed value, with time in seconds and level one of smoothingLevels.
+function createOneEuroFilter(settings = landmarkFilterSettings) {
+    let lastValue = null;
+    let lastSpeed = 0;
+    let lastTime = null;
+
+    return {
+        filter(value, time, level) {
+            if (lastValue === null || level.minCutoff === undefined) {
+                lastValue = value;
+                lastSpeed = 0;
+                lastTime = time;
+                return value;
+            }
+
+            const frameTime = time > lastTime ? time - lastTime : settings.defaultFrameTime;
+            const speed = (value - lastValue) / frameTime;
+            const smoothedSpeed = lastSpeed + getSmoothingFactor(settings.derivativeCutoff, frameTime) * (speed - lastSpeed);
+            const cutoff = level.minCutoff + level.beta * Math.abs(smoothedSpeed);
+
+            lastValue = lastValue + getSmoothingFactor(cutoff, frameTime) * (value - lastValue);
+            lastSpeed = smoothedSpeed;
+            lastTime = time;
+            return lastValue;
+        },
+
+        reset() {
+            lastValue = null;
+            lastSpeed = 0;
+            lastTime = null;
+        }
+    };
+}
+
+// Create a filter for a hand's landmarks. filter(landmarks, time, smoothing) returns
+// smoothed copies, with smoothing a key of smoothingLevels.
+function createLandmarkFilter(settings = landmarkFilterSettings) {
+    const filters = []; // landmark index -> { x, y, z } filters
+
+    return {
+        filter(landmarks, time, smoothing = settings.smoothing) {
+            const level = smoothingLevels[smoothing] || smoothingLevels.off;
+
+            return landmarks.map((landmark, i) => {
+                if (!filters[i]) {
+                    filters[i] = {
+                        x: createOneEuroFilter(settings),
+                        y: createOneEuroFilter(settings),
+                        z: createOneEuroFilter(settings)
+                    };
+                }
+                return {
+                    ...landmark,
+                    x: filters[i].x.filter(landmark.x, time, level),
+                    y: filters[i].y.filter(landmark.y, time, level),
+                    z: filters[i].z.filter(landmark.z, time, level)
+                };
+            });
+        },
+
+        // Start again from the next frame, like when the hand comes back
+        reset() {
+            filters.length = 0;
+        }
+    };
+}
+
+export {
+    smoothingLevels,
+    landmarkFilterSettings,
+    getSmoothingFactor,
+    createOneEuroFilter,
+    createLandmarkFilter
+};
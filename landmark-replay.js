@@ -0,0 +1,167 @@
+// Landmark recording and replay: saves raw MediaPipe hand frames to JSON and feeds
+// them back through the same results handler, so the music logic can be tuned and
+// tested without a camera. Self-contained so it also runs in Node.
+
+// Version of the JSON landmark recording format
+const landmarkRecordingVersion = 1;
+
+// Decimal places kept for landmark coordinates (MediaPipe is not more precise than this)
+const landmarkPrecision = 5;
+
+// A clock that only moves when told to, for deterministic playback
+function createManualClock(startTime = 0) {
+    let time = startTime;
+    return {
+        now: () => time,
+        set(newTime) {
+            time = newTime;
+        },
+        advance(seconds) {
+            time += seconds;
+        }
+    };
+}
+
+// Round a coordinate so recordings stay small and compare exactly
+function roundCoordinate(value) {
+    const factor = Math.pow(10, landmarkPrecision);
+    return Math.round(value * factor) / factor;
+}
+
+// Copy one frame of MediaPipe results into plain data
+function serializeHandFrame(results, time) {
+    const multiHandLandmarks = (results.multiHandLandmarks || []).map(landmarks =>
+        landmarks.map(point => ({
+            x: roundCoordinate(point.x),
+            y: roundCoordinate(point.y),
+            z: roundCoordinate(point.z)
+        }))
+    );
+    const multiHandedness = (results.multiHandedness || []).map(handedness => ({
+        label: handedness.label,
+        score: roundCoordinate(handedness.score)
+    }));
+
+    return { time, multiHandLandmarks, multiHandedness };
+}
+
+// Create a recorder for raw landmark frames. now() returns the current time in seconds.
+function createLandmarkRecorder(options = {}) {
+    const recorder = {
+        now: options.now || (() => Date.now() / 1000),
+        isRecording: false,
+        startTime: 0,
+        frames: [],
+
+        // Start a new recording, dropping the previous one
+        start() {
+            recorder.frames = [];
+            recorder.startTime = recorder.now();
+            recorder.isRecording = true;
+        },
+
+        // Store one frame of hand tracking results
+        addFrame(results) {
+            if (!recorder.isRecording) return;
+            recorder.frames.push(serializeHandFrame(results, recorder.now() - recorder.startTime));
+        },
+
+        // Finish and return the recording
+        stop() {
+            recorder.isRecording = false;
+            return recorder.getRecording();
+        },
+
+        // The recording as plain data
+        getRecording() {
+            const lastFrame = recorder.frames[recorder.frames.length - 1];
+            return {
+                version: landmarkRecordingVersion,
+                duration: lastFrame ? lastFrame.time : 0,
+                frames: recorder.frames.slice()
+            };
+        }
+    };
+
+    return recorder;
+}
+
+// Serialise a landmark recording as JSON
+function landmarkRecordingToJSON(recording) {
+    return JSON.stringify(recording);
+}
+
+// Read a landmark recording back from JSON
+function parseLandmarkRecordingJSON(text) {
+    const recording = JSON.parse(text);
+
+    if (!recording || !Array.isArray(recording.frames)) {
+        throw new Error('Not a landmark recording: missing frames');
+    }
+    if (recording.version !== landmarkRecordingVersion) {
+        throw new Error(`Unsupported landmark recording version: ${recording.version}`);
+    }
+
+    for (const frame of recording.frames) {
+        if (typeof frame.time !== 'number' || !Array.isArray(frame.multiHandLandmarks)) {
+            throw new Error('Invalid landmark frame: needs a time and multiHandLandmarks');
+        }
+        for (const landmarks of frame.multiHandLandmarks) {
+            if (!Array.isArray(landmarks) || landmarks.length !== 21) {
+                throw new Error('Invalid landmark frame: each hand needs 21 landmarks');
+            }
+        }
+    }
+
+    return recording;
+}
+
+// Turn a stored frame into the shape MediaPipe passes to onResults
+function toHandResults(frame) {
+    return {
+        image: null,
+        multiHandLandmarks: frame.multiHandLandmarks,
+        multiHandedness: frame.multiHandedness || []
+    };
+}
+
+// Feed every frame to onFrame straight away, setting the clock to each frame's
+// recorded time first. Fully synchronous, which is what tests want.
+function runLandmarkRecording(recording, onFrame, clock) {
+    for (const frame of recording.frames) {
+        clock.set(frame.time);
+        onFrame(toHandResults(frame));
+    }
+}
+
+// Play frames back in real time, scaled by speed (2 = twice as fast).
+// The clock reads the recorded time of the current frame, so detection behaves
+// the same at any speed. Returns a function that stops playback.
+function playLandmarkRecording(recording, onFrame, options = {}) {
+    const speed = options.speed || 1;
+    const clock = options.clock || createManualClock();
+    const timers = [];
+
+    for (const frame of recording.frames) {
+        timers.push(setTimeout(() => {
+            clock.set(frame.time);
+            onFrame(toHandResults(frame));
+        }, frame.time * 1000 / speed));
+    }
+
+    if (options.onFinished) {
+        timers.push(setTimeout(options.onFinished, recording.duration * 1000 / speed + 50));
+    }
+
+    return () => timers.forEach(timer => clearTimeout(timer));
+}
+
+export {
+    createManualClock,
+    serializeHandFrame,
+    createLandmarkRecorder,
+    landmarkRecordingToJSON,
+    parseLandmarkRecordingJSON,
+    runLandmarkRecording,
+    playLandmarkRecording
+};
@@ -0,0 +1,392 @@
+// Lessons: a melody for the learner to play along with. Upcoming notes scroll towards
+// a line on the video, each at the height its scale degree is played at, and every
+// note the hands play is scored for timing and pitch. In practice mode the melody
+// waits at each note until it is played.
+//
+// A lesson file is JSON, timed in beats at a tempo or in seconds:
+//   { "name": "Ode to Joy", "bpm": 100,
+//     "notes": [{ "note": "E4", "beat": 0, "beats": 1 }, { "note": "E4", "beat": 1, "beats": 1 }, ...] }
+//   { "name": "Scale", "notes": [{ "note": "C4", "time": 0, "duration": 0.5 }, ...] }
+// or a simple MIDI file, whose notes on every track make the melody.
+
+import { noteToMidi, midiToNote } from './scales.js';
+import { parseMidiFile } from './midi-file.js';
+
+// localStorage key
+const lessonResultsStorageKey = 'handGestureMusic.lessonResults';
+
+const lessonSettings = {
+    countIn: 3, // seconds before the first note, to get ready
+    leadTime: 3, // seconds of upcoming notes shown
+    hitLine: 0.15, // how far across the video notes are due, 0-1
+    perfectWindow: 0.08, // seconds early or late that still count as perfect
+    goodWindow: 0.18,
+    hitWindow: 0.35, // notes played further from any due note don't count for it
+    endTime: 1 // seconds after the last note ends that the lesson finishes
+};
+
+// How a note was played: points, and whether it keeps the streak going
+const lessonRatings = {
+    perfect: { name: 'Perfect', points: 100, streak: true },
+    good: { name: 'Good', points: 70, streak: true },
+    ok: { name: 'OK', points: 40, streak: true },
+    octave: { name: 'Wrong Octave', points: 20, streak: false },
+    missed: { name: 'Missed', points: 0, streak: false }
+};
+
+// Lesson modes
+const lessonModes = {
+    play: 'Play Along',
+    practice: 'Practice (waits for each note)'
+};
+
+// Tidy a list of { midi, time, duration } into a lesson's notes, in time order
+function toLessonNotes(notes) {
+    return notes
+        .map(({ midi, time, duration }) => ({ midi, note: midiToNote(midi), time, duration: Math.max(0.05, duration) }))
+        .sort((a, b) => a.time - b.time || a.midi - b.midi);
+}
+
+// Read a JSON lesson. Returns { name, notes: [{ midi, note, time, duration }] }.
+function parseLessonJSON(text) {
+    const lesson = JSON.parse(text);
+
+    if (!lesson || !Array.isArray(lesson.notes) || lesson.notes.length === 0) {
+        throw new Error('Not a lesson: it needs a list of notes');
+    }
+    const secondsPerBeat = 60 / (lesson.bpm || 120);
+
+    const notes = lesson.notes.map(entry => {
+        const midi = typeof entry.midi === 'number' ? entry.midi : noteToMidi(entry.note);
+        if (typeof entry.beat === 'number') {
+            return { midi, time: entry.beat * secondsPerBeat, duration: (entry.beats || 1) * secondsPerBeat };
+        }
+        if (typeof entry.time === 'number') {
+            return { midi, time: entry.time, duration: entry.duration || secondsPerBeat };
+        }
+        throw new Error(`Lesson note without a beat or time: ${JSON.stringify(entry)}`);
+    });
+
+    return { name: lesson.name || 'Lesson', notes: toLessonNotes(notes) };
+}
+
+// Make a lesson from a MIDI file's notes, pairing each note-on with the next note-off
+function lessonFromMidiFile(bytes, name = 'MIDI Lesson') {
+    const midiFile = parseMidiFile(bytes);
+    const notes = [];
+
+    for (const track of midiFile.tracks) {
+        const held = new Map(); // "channel:midi" -> its note
+        for (const event of track.events) {
+            const key = `${event.channel}:${event.midi}`;
+            if (held.has(key)) {
+                const note = held.get(key);
+                note.duration = event.time - note.time;
+                held.delete(key);
+            }
+            if (event.type === 'noteOn') {
+                const note = { midi: event.midi, time: event.time, duration: 0 };
+                notes.push(note);
+                held.set(key, note);
+            }
+        }
+    }
+
+    if (notes.length === 0) {
+        throw new Error('The MIDI file has no notes');
+    }
+
+    // Start the lesson at the first note
+    const start = Math.min(...notes.map(note => note.time));
+    notes.forEach(note => { note.time -= start; });
+
+    return { name, notes: toLessonNotes(notes) };
+}
+
+// Rate how well a played note matched a due one, from how early or late it was
+// (seconds) and whether it was the right pitch or the right note in another octave
+function rateLessonNote(offset, exactPitch, settings = lessonSettings) {
+    if (!exactPitch) return 'octave';
+
+    const error = Math.abs(offset);
+    if (error <= settings.perfectWindow) return 'perfect';
+    if (error <= settings.goodWindow) return 'good';
+    return 'ok';
+}
+
+// Create a run through a lesson. mode is a key of lessonModes, and speed slows the
+// melody down (0.5 is half speed). Times passed in are the app clock's, in seconds.
+function createLessonSession(lesson, mode = 'play', speed = 1, settings = lessonSettings) {
+    // Timing windows are in real seconds: converted to lesson time they shrink when
+    // slowed down, so a note is as easy to hit in time at any speed
+    const toLessonTime = seconds => seconds * speed;
+    const lastNote = lesson.notes[lesson.notes.length - 1];
+
+    const session = {
+        lesson,
+        mode,
+        speed,
+        songTime: -settings.countIn * speed, // seconds into the lesson, negative during the count-in
+        lastTime: null,
+        results: lesson.notes.map(() => null), // note index -> { rating, offset }
+        wrongNotes: 0, // notes played that weren't due
+        streak: 0,
+        bestStreak: 0,
+        finished: false,
+
+        // The first note that hasn't been played or missed, or -1 at the end
+        getNextIndex() {
+            return session.results.findIndex(result => result === null);
+        },
+
+        // Notes due together with the next one, which practice mode waits for
+        getWaitingNotes() {
+            const next = session.getNextIndex();
+            if (next === -1) return [];
+            const due = lesson.notes[next].time;
+            return lesson.notes.filter((note, i) => session.results[i] === null && note.time - due < toLessonTime(settings.perfectWindow));
+        },
+
+        // Move the lesson on to the current time. Returns the notes that were just missed.
+        update(now) {
+            if (session.finished) return [];
+
+            const elapsed = session.lastTime === null ? 0 : (now - session.lastTime) * speed;
+            session.lastTime = now;
+
+            if (mode === 'practice') {
+                // Stop at the next note until it is played
+                const next = session.getNextIndex();
+                const waitAt = next === -1 ? Infinity : lesson.notes[next].time;
+                session.songTime = Math.min(session.songTime + elapsed, waitAt);
+            } else {
+                session.songTime += elapsed;
+            }
+
+            const missed = [];
+            lesson.notes.forEach((note, i) => {
+                if (session.results[i] === null && session.songTime - note.time > toLessonTime(settings.hitWindow)) {
+                    session.results[i] = { rating: 'missed', offset: null };
+                    session.streak = 0;
+                    missed.push(note);
+                }
+            });
+
+            if (session.getNextIndex() === -1 && session.songTime > lastNote.time + lastNote.duration + toLessonTime(settings.endTime)) {
+                session.finished = true;
+            }
+            if (mode === 'practice' && session.getNextIndex() === -1) {
+                session.finished = true;
+            }
+            return missed;
+        },
+
+        // Score a note the hands played (a MIDI number) against the notes due around now.
+        // The closest due note of the same pitch counts, then one an octave or more away.
+        // Returns { note, rating, offset (seconds early (-) or late) }, or null if no note was due.
+        notePlayed(midi, now) {
+            if (session.finished) return null;
+            session.update(now);
+
+            const candidates = lesson.notes
+                .map((note, index) => ({ note, index, offset: (session.songTime - note.time) / speed }))
+                .filter(({ index, offset }) => session.results[index] === null && Math.abs(offset) <= settings.hitWindow);
+            const byCloseness = (a, b) => Math.abs(a.offset) - Math.abs(b.offset);
+
+            const match = candidates.filter(({ note }) => note.midi === midi).sort(byCloseness)[0] ||
+                candidates.filter(({ note }) => note.midi % 12 === midi % 12).sort(byCloseness)[0];
+
+            if (!match) {
+                session.wrongNotes++;
+                session.streak = 0;
+                return null;
+            }
+
+            // Practice waits for the note, so only the pitch is judged
+            const offset = mode === 'practice' ? null : match.offset;
+            const rating = rateLessonNote(offset || 0, match.note.midi === midi, settings);
+            session.results[match.index] = { rating, offset };
+
+            if (lessonRatings[rating].streak) {
+                session.streak++;
+                session.bestStreak = Math.max(session.bestStreak, session.streak);
+            } else {
+                session.streak = 0;
+            }
+            return { note: match.note, rating, offset };
+        },
+
+        // How the run went so far: counts of each rating, the score (out of 100 per
+        // note), pitch accuracy and average timing error, in percent and milliseconds
+        getResults() {
+            return summarizeLessonResults(session);
+        }
+    };
+
+    return session;
+}
+
+// Total up a session's results
+function summarizeLessonResults(session) {
+    const counts = Object.fromEntries(Object.keys(lessonRatings).map(rating => [rating, 0]));
+    let points = 0;
+    const timingErrors = [];
+
+    for (const result of session.results) {
+        if (!result) continue;
+        counts[result.rating]++;
+        points += lessonRatings[result.rating].points;
+        if (result.offset !== null && result.rating !== 'octave') {
+            timingErrors.push(Math.abs(result.offset));
+        }
+    }
+
+    const total = session.lesson.notes.length;
+    const played = total - counts.missed - session.results.filter(result => result === null).length;
+    const rightPitch = played - counts.octave;
+    // Wrong notes count against pitch accuracy too
+    const attempts = played + session.wrongNotes;
+
+    return {
+        total,
+        counts,
+        wrongNotes: session.wrongNotes,
+        score: Math.round(points / total),
+        pitchAccuracy: attempts > 0 ? Math.round((rightPitch / attempts) * 100) : 0,
+        timingError: timingErrors.length > 0
+            ? Math.round(timingErrors.reduce((sum, error) => sum + error, 0) / timingErrors.length * 1000)
+            : null,
+        bestStreak: session.bestStreak
+    };
+}
+
+// Read the results saved for each lesson, by lesson name:
+// { plays, bestScore, bestStreak, last (the latest run's results) }
+function loadLessonResults() {
+    try {
+        return JSON.parse(localStorage.getItem(lessonResultsStorageKey)) || {};
+    } catch (error) {
+        console.error('Could not read lesson results:', error);
+        return {};
+    }
+}
+
+// Save a finished run's results, keeping the best score and streak. Returns the lesson's saved results.
+function saveLessonResult(name, results) {
+    const allResults = loadLessonResults();
+    const previous = allResults[name] || { plays: 0, bestScore: 0, bestStreak: 0 };
+    allResults[name] = {
+        plays: previous.plays + 1,
+        bestScore: Math.max(previous.bestScore, results.score),
+        bestStreak: Math.max(previous.bestStreak, results.bestStreak),
+        last: results
+    };
+    localStorage.setItem(lessonResultsStorageKey, JSON.stringify(allResults));
+    return allResults[name];
+}
+
+// Height (0-1) of the middle of the band a note is played in, or of the nearest scale
+// note if it isn't in the scale. Returns { height, inScale }.
+function getLessonNoteHeight(midi, scale, heightRange) {
+    const scaleMidi = scale.map(noteToMidi);
+    let index = scaleMidi.indexOf(midi);
+    const inScale = index !== -1;
+    if (!inScale) {
+        index = scaleMidi.reduce((best, value, i) => (Math.abs(value - midi) < Math.abs(scaleMidi[best] - midi) ? i : best), 0);
+    }
+
+    const fraction = (index + 0.5) / scale.length;
+    return { height: heightRange.bottom + fraction * (heightRange.top - heightRange.bottom), inScale };
+}
+
+// Colours of notes by how they were played
+const lessonNoteColors = {
+    due: '#3498db',
+    perfect: '#2ecc71',
+    good: '#27ae60',
+    ok: '#f1c40f',
+    octave: '#e67e22',
+    missed: '#e74c3c'
+};
+
+// Draw a lesson on the video: the hit line, upcoming notes at the height of their scale
+// degree (dashed when the scale doesn't have them), the band of the next note, and
+// the lesson's score and streak
+function drawLesson(ctx, session, scale, heightRange, settings = lessonSettings) {
+    const { width, height } = ctx.canvas;
+    const hitX = settings.hitLine * width;
+    const pixelsPerSecond = (width - hitX) / (settings.leadTime * session.speed);
+    const bandHeight = Math.abs(heightRange.top - heightRange.bottom) / scale.length * height;
+
+    // Light up the band the next notes are played in
+    for (const note of session.getWaitingNotes()) {
+        const { height: noteHeight } = getLessonNoteHeight(note.midi, scale, heightRange);
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.2)';
+        ctx.fillRect(0, (1 - noteHeight) * height - bandHeight / 2, width, bandHeight);
+    }
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(hitX, 0);
+    ctx.lineTo(hitX, height);
+    ctx.stroke();
+
+    ctx.font = 'bold 14px sans-serif';
+    ctx.textBaseline = 'middle';
+    session.lesson.notes.forEach((note, i) => {
+        const x = hitX + (note.time - session.songTime) * pixelsPerSecond;
+        const noteWidth = Math.max(12, note.duration * pixelsPerSecond);
+        if (x > width || x + noteWidth < 0) return;
+
+        const { height: noteHeight, inScale } = getLessonNoteHeight(note.midi, scale, heightRange);
+        const y = (1 - noteHeight) * height;
+        const result = session.results[i];
+
+        ctx.fillStyle = lessonNoteColors[result ? result.rating : 'due'];
+        ctx.globalAlpha = result ? 0.5 : 0.85;
+        ctx.fillRect(x, y - 10, noteWidth, 20);
+        ctx.globalAlpha = 1;
+        if (!inScale) {
+            ctx.setLineDash([4, 3]);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, y - 10, noteWidth, 20);
+            ctx.setLineDash([]);
+        }
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(note.note, x + 4, y);
+    });
+
+    // Score, streak and what practice mode is waiting for
+    const results = session.getResults();
+    const lines = [`${session.lesson.name}: score ${results.score}, streak ${session.streak} (best ${session.bestStreak})`];
+    if (session.songTime < 0) {
+        lines.push(`Get ready... ${Math.ceil(-session.songTime / session.speed)}`);
+    } else if (session.mode === 'practice' && !session.finished) {
+        lines.push(`Play ${session.getWaitingNotes().map(note => note.note).join(' + ')}`);
+    }
+
+    ctx.font = 'bold 16px sans-serif';
+    lines.forEach((line, i) => {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(8, 8 + i * 26, ctx.measureText(line).width + 12, 22);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(line, 14, 19 + i * 26);
+    });
+}
+
+export {
+    lessonSettings,
+    lessonRatings,
+    lessonModes,
+    parseLessonJSON,
+    lessonFromMidiFile,
+    rateLessonNote,
+    createLessonSession,
+    summarizeLessonResults,
+    loadLessonResults,
+    saveLessonResult,
+    getLessonNoteHeight,
+    drawLesson
+};
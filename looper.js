@@ -0,0 +1,198 @@
+// Loop station: records what the hands play into looping tracks, layer by layer.
+// Loops are kept as note events timed in beats, so they follow tempo and instrument
+// changes, and can be saved and loaded as JSON.
+
+// Version of the saved loop format
+const looperFormatVersion = 1;
+
+const looperDefaults = {
+    trackCount: 4,
+    bars: 2
+};
+
+// Loop lengths the player can pick, in bars
+const loopBarOptions = [1, 2, 4, 8];
+
+// Length of a loop in beats (quarter notes, like Tone.js ticks) for a time signature
+function getLoopBeats(bars, timeSignature) {
+    const [beatsPerBar, beatValue] = timeSignature;
+    return bars * beatsPerBar * 4 / beatValue;
+}
+
+// Create an empty track. Each layer is one recorded pass: an array of
+// { type: 'noteOn' | 'noteOff', beat, note, velocity } sorted by beat.
+function createLoopTrack(name, instrument = null) {
+    return {
+        name,
+        instrument,
+        muted: false,
+        layers: []
+    };
+}
+
+// Create a looper. Recording happens a pass at a time: arm a track, call startPass at
+// a loop boundary, add events as they are played, and finishPass at the next boundary.
+function createLooper(options = {}) {
+    const settings = { ...looperDefaults, ...options };
+    let passEvents = [];
+    let passNotes = new Map(); // note -> velocity, for notes held during the pass
+
+    const looper = {
+        bars: settings.bars,
+        tracks: Array.from({ length: settings.trackCount }, (_, i) => createLoopTrack(`Track ${i + 1}`)),
+        selectedTrack: 0,
+        armedTrack: null,
+        recordingTrack: null,
+
+        // Whether there is nothing recorded on any track
+        isEmpty() {
+            return looper.tracks.every(track => track.layers.length === 0);
+        },
+
+        // Record on a track from the next loop boundary. The first pass sets its instrument.
+        arm(index, instrument) {
+            looper.armedTrack = index;
+            const track = looper.tracks[index];
+            if (track.layers.length === 0 && instrument) {
+                track.instrument = instrument;
+            }
+        },
+
+        disarm() {
+            looper.armedTrack = null;
+        },
+
+        // Begin recording the armed track
+        startPass() {
+            looper.recordingTrack = looper.armedTrack;
+            looper.armedTrack = null;
+            passEvents = [];
+            passNotes = new Map();
+        },
+
+        // Add a played event at a beat within the loop
+        addEvent(type, note, velocity, beat) {
+            if (looper.recordingTrack === null) return;
+
+            if (type === 'noteOn') {
+                passNotes.set(note, velocity);
+                passEvents.push({ type, beat, note, velocity });
+            } else if (passNotes.has(note)) {
+                // Only keep note-offs for notes started in this pass
+                passNotes.delete(note);
+                passEvents.push({ type, beat, note, velocity: 0 });
+            }
+        },
+
+        // Stop recording and keep the pass as a new layer. Notes still held are
+        // closed at the end of the loop so they don't hang on every repeat.
+        finishPass(loopBeats) {
+            if (looper.recordingTrack === null) return null;
+
+            for (const note of passNotes.keys()) {
+                passEvents.push({ type: 'noteOff', beat: loopBeats, note, velocity: 0 });
+            }
+
+            const track = looper.tracks[looper.recordingTrack];
+            const layer = passEvents
+                .map(event => ({ ...event, beat: Math.min(Math.max(event.beat, 0), loopBeats) }))
+                .sort((a, b) => a.beat - b.beat);
+            if (layer.length > 0) {
+                track.layers.push(layer);
+            }
+
+            looper.recordingTrack = null;
+            passEvents = [];
+            passNotes = new Map();
+            return layer;
+        },
+
+        // Forget the pass being recorded without keeping it
+        cancelPass() {
+            looper.recordingTrack = null;
+            passEvents = [];
+            passNotes = new Map();
+        },
+
+        // Remove the last layer recorded on a track
+        undo(index) {
+            return looper.tracks[index].layers.pop() || null;
+        },
+
+        // Remove every layer on a track
+        clear(index) {
+            looper.tracks[index].layers = [];
+        },
+
+        toggleMute(index) {
+            const track = looper.tracks[index];
+            track.muted = !track.muted;
+            return track.muted;
+        },
+
+        // Every event of a track's layers in playing order
+        getTrackEvents(index) {
+            return looper.tracks[index].layers.flat().sort((a, b) => a.beat - b.beat);
+        }
+    };
+
+    return looper;
+}
+
+// Save a looper with the tempo it was recorded at
+function looperToJSON(looper, tempo) {
+    return JSON.stringify({
+        version: looperFormatVersion,
+        bpm: tempo.bpm,
+        timeSignature: tempo.timeSignature,
+        bars: looper.bars,
+        tracks: looper.tracks
+    });
+}
+
+// Read saved loops. Returns { bpm, timeSignature, bars, tracks }.
+function parseLooperJSON(text) {
+    const data = JSON.parse(text);
+
+    if (!data || !Array.isArray(data.tracks)) {
+        throw new Error('Not a loop file: missing tracks');
+    }
+    if (data.version !== looperFormatVersion) {
+        throw new Error(`Unsupported loop file version: ${data.version}`);
+    }
+    if (!loopBarOptions.includes(data.bars)) {
+        throw new Error(`Unsupported loop length: ${data.bars} bars`);
+    }
+
+    const tracks = data.tracks.map((track, i) => {
+        if (!track || !Array.isArray(track.layers)) {
+            throw new Error(`Loop track ${i + 1} has no layers`);
+        }
+        for (const layer of track.layers) {
+            for (const event of layer) {
+                if ((event.type !== 'noteOn' && event.type !== 'noteOff') ||
+                    typeof event.beat !== 'number' || typeof event.note !== 'string') {
+                    throw new Error(`Loop track ${i + 1} has an invalid event`);
+                }
+            }
+        }
+        return {
+            name: track.name || `Track ${i + 1}`,
+            instrument: track.instrument || null,
+            muted: Boolean(track.muted),
+            layers: track.layers
+        };
+    });
+
+    return { bpm: data.bpm, timeSignature: data.timeSignature, bars: data.bars, tracks };
+}
+
+export {
+    looperDefaults,
+    loopBarOptions,
+    getLoopBeats,
+    createLoopTrack,
+    createLooper,
+    looperToJSON,
+    parseLooperJSON
+};
@@ -0,0 +1,303 @@
+// Standard MIDI File writer and reader. Self-contained (no DOM, Tone.js or network)
+// so it also runs in Node.
+
+// Default file settings
+const midiFileDefaults = {
+    format: 1,
+    ppq: 480, // ticks per quarter note
+    bpm: 120,
+    timeSignature: [4, 4]
+};
+
+// Encode a number as a MIDI variable-length quantity
+function encodeVariableLength(value) {
+    if (value < 0 || value > 0x0FFFFFFF) {
+        throw new Error(`Value out of range for a variable-length quantity: ${value}`);
+    }
+
+    const bytes = [value & 0x7F];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+// Convert seconds to ticks at a fixed tempo
+function secondsToTicks(seconds, bpm, ppq) {
+    return Math.max(0, Math.round(seconds * (bpm / 60) * ppq));
+}
+
+// Convert a 0..1 velocity to a MIDI note-on velocity (1..127, as 0 means note-off)
+function toMidiVelocity(velocity) {
+    const value = velocity === undefined ? 1 : velocity;
+    return Math.max(1, Math.min(127, Math.round(value * 127)));
+}
+
+// Bytes of a text meta event (0x03 is track name)
+function encodeTextMeta(type, text) {
+    const textBytes = Array.from(text, char => char.charCodeAt(0) & 0x7F);
+    return [0xFF, type, ...encodeVariableLength(textBytes.length), ...textBytes];
+}
+
+// Bytes of the tempo meta event
+function encodeTempoMeta(bpm) {
+    const microsecondsPerQuarter = Math.round(60000000 / bpm);
+    return [
+        0xFF, 0x51, 0x03,
+        (microsecondsPerQuarter >> 16) & 0xFF,
+        (microsecondsPerQuarter >> 8) & 0xFF,
+        microsecondsPerQuarter & 0xFF
+    ];
+}
+
+// Bytes of the time signature meta event
+function encodeTimeSignatureMeta([numerator, denominator]) {
+    return [0xFF, 0x58, 0x04, numerator, Math.round(Math.log2(denominator)), 24, 8];
+}
+
+// Turn a list of note events into timed MIDI messages, sorted so that
+// note-offs come before note-ons at the same tick. A note-off is kept at least
+// one tick after its own note-on, so very short notes don't end before they start.
+function buildTrackMessages(events, channel, bpm, ppq) {
+    const startTicks = new Map(); // "channel:midi" -> ticks its sounding notes started at, oldest first
+
+    const messages = events
+        .map((event, order) => ({ event, order, tick: secondsToTicks(event.time, bpm, ppq) }))
+        .sort((a, b) => a.tick - b.tick || a.order - b.order)
+        .map(({ event, order, tick }) => {
+            const eventChannel = (event.channel !== undefined ? event.channel : channel) & 0x0F;
+            const key = `${eventChannel}:${event.midi & 0x7F}`;
+
+            if (event.type === 'noteOn') {
+                if (!startTicks.has(key)) {
+                    startTicks.set(key, []);
+                }
+                startTicks.get(key).push(tick);
+                return { tick, order, priority: 1, bytes: [0x90 | eventChannel, event.midi & 0x7F, toMidiVelocity(event.velocity)] };
+            }
+            if (event.type === 'noteOff') {
+                const startTick = startTicks.has(key) ? startTicks.get(key).shift() : undefined;
+                const offTick = startTick === undefined ? tick : Math.max(tick, startTick + 1);
+                return { tick: offTick, order, priority: 0, bytes: [0x80 | eventChannel, event.midi & 0x7F, 0x40] };
+            }
+            throw new Error(`Unknown MIDI event type: ${event.type}`);
+        });
+
+    return messages.sort((a, b) => a.tick - b.tick || a.priority - b.priority || a.order - b.order);
+}
+
+// Assemble a track chunk from meta events and timed messages
+function encodeTrackChunk(metaEvents, messages) {
+    const data = [];
+
+    for (const meta of metaEvents) {
+        data.push(0x00, ...meta);
+    }
+
+    let lastTick = 0;
+    for (const message of messages) {
+        data.push(...encodeVariableLength(message.tick - lastTick), ...message.bytes);
+        lastTick = message.tick;
+    }
+
+    // End of track
+    data.push(0x00, 0xFF, 0x2F, 0x00);
+
+    return [
+        0x4D, 0x54, 0x72, 0x6B, // "MTrk"
+        (data.length >>> 24) & 0xFF,
+        (data.length >> 16) & 0xFF,
+        (data.length >> 8) & 0xFF,
+        data.length & 0xFF,
+        ...data
+    ];
+}
+
+// Encode tracks of note events as a Standard MIDI File.
+// tracks: [{ name, channel, events: [{ type: 'noteOn' | 'noteOff', time (seconds), midi, velocity (0..1) }] }]
+// Format 0 merges everything into one track; format 1 writes a tempo track followed by one track each.
+function encodeMidiFile(tracks, options = {}) {
+    const settings = { ...midiFileDefaults, ...options };
+    const { format, ppq, bpm } = settings;
+
+    if (format !== 0 && format !== 1) {
+        throw new Error(`Unsupported MIDI file format: ${format}`);
+    }
+
+    const tempoMeta = [encodeTempoMeta(bpm), encodeTimeSignatureMeta(settings.timeSignature)];
+    const chunks = [];
+
+    if (format === 0) {
+        // Keep each track's channel on its events before merging
+        const events = [];
+        tracks.forEach((track, index) => {
+            const channel = track.channel !== undefined ? track.channel : index;
+            for (const event of track.events) {
+                events.push({ ...event, channel: event.channel !== undefined ? event.channel : channel });
+            }
+        });
+        events.sort((a, b) => a.time - b.time);
+
+        const name = settings.name || (tracks[0] && tracks[0].name) || 'Performance';
+        chunks.push(encodeTrackChunk([encodeTextMeta(0x03, name), ...tempoMeta], buildTrackMessages(events, 0, bpm, ppq)));
+    } else {
+        chunks.push(encodeTrackChunk([encodeTextMeta(0x03, settings.name || 'Tempo'), ...tempoMeta], []));
+        tracks.forEach((track, index) => {
+            const channel = track.channel !== undefined ? track.channel : index;
+            const meta = track.name ? [encodeTextMeta(0x03, track.name)] : [];
+            chunks.push(encodeTrackChunk(meta, buildTrackMessages(track.events, channel, bpm, ppq)));
+        });
+    }
+
+    const header = [
+        0x4D, 0x54, 0x68, 0x64, // "MThd"
+        0x00, 0x00, 0x00, 0x06,
+        0x00, format,
+        (chunks.length >> 8) & 0xFF, chunks.length & 0xFF,
+        (ppq >> 8) & 0xFF, ppq & 0xFF
+    ];
+
+    const bytes = header.concat(...chunks);
+    return Uint8Array.from(bytes);
+}
+
+// Read a variable-length quantity at an offset. Returns { value, length } (bytes read).
+function decodeVariableLength(bytes, offset) {
+    let value = 0;
+    for (let length = 1; length <= 4; length++) {
+        if (offset + length > bytes.length) break;
+        const byte = bytes[offset + length - 1];
+        value = (value << 7) | (byte & 0x7F);
+        if ((byte & 0x80) === 0) {
+            return { value, length };
+        }
+    }
+    throw new Error('Invalid MIDI file: broken variable-length quantity');
+}
+
+// Data bytes that follow each kind of channel message (by its status's high nibble)
+const channelMessageLengths = { 0x8: 2, 0x9: 2, 0xA: 2, 0xB: 2, 0xC: 1, 0xD: 1, 0xE: 2 };
+
+// Read one track chunk's notes, name and tempo changes, timed in ticks
+function parseTrackChunk(bytes, start, end) {
+    const track = { name: '', notes: [], tempos: [] };
+    let offset = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    while (offset < end) {
+        const delta = decodeVariableLength(bytes, offset);
+        offset += delta.length;
+        tick += delta.value;
+
+        let status = bytes[offset];
+        if (status < 0x80) {
+            // Running status: the data bytes follow straight on
+            if (runningStatus === null) {
+                throw new Error('Invalid MIDI file: data without a status byte');
+            }
+            status = runningStatus;
+        } else {
+            offset++;
+        }
+
+        if (status === 0xFF) {
+            const type = bytes[offset];
+            const length = decodeVariableLength(bytes, offset + 1);
+            const dataStart = offset + 1 + length.length;
+            const data = bytes.subarray(dataStart, dataStart + length.value);
+            offset = dataStart + length.value;
+
+            if (type === 0x2F) break; // end of track
+            if (type === 0x03 && !track.name) {
+                track.name = String.fromCharCode(...data);
+            } else if (type === 0x51 && data.length === 3) {
+                track.tempos.push({ tick, microsecondsPerQuarter: (data[0] << 16) | (data[1] << 8) | data[2] });
+            }
+        } else if (status === 0xF0 || status === 0xF7) {
+            const length = decodeVariableLength(bytes, offset);
+            offset += length.length + length.value;
+        } else {
+            const kind = status >> 4;
+            const channel = status & 0x0F;
+            const data = bytes.subarray(offset, offset + channelMessageLengths[kind]);
+            offset += channelMessageLengths[kind];
+            runningStatus = status;
+
+            // A note-on with velocity 0 is a note-off
+            if (kind === 0x9 && data[1] > 0) {
+                track.notes.push({ type: 'noteOn', tick, midi: data[0], velocity: data[1] / 127, channel });
+            } else if (kind === 0x8 || kind === 0x9) {
+                track.notes.push({ type: 'noteOff', tick, midi: data[0], channel });
+            }
+        }
+    }
+    return track;
+}
+
+// Read a Standard MIDI File's notes, with times in seconds worked out through its
+// tempo changes. Returns { format, ppq, bpm (the starting tempo), tracks: [{ name,
+// events: [{ type: 'noteOn' | 'noteOff', time, midi, velocity (0..1), channel }] }] }.
+function parseMidiFile(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunkId = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+    if (bytes.length < 14 || chunkId(0) !== 'MThd') {
+        throw new Error('Not a MIDI file: missing MThd header');
+    }
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const ppq = view.getUint16(12);
+    if (ppq & 0x8000) {
+        throw new Error('MIDI files timed in SMPTE frames are not supported');
+    }
+
+    // Read the tracks, skipping chunks of other kinds
+    const rawTracks = [];
+    let offset = 8 + headerLength;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset + 4);
+        const end = Math.min(bytes.length, offset + 8 + length);
+        if (chunkId(offset) === 'MTrk') {
+            rawTracks.push(parseTrackChunk(bytes, offset + 8, end));
+        }
+        offset = end;
+    }
+
+    // Tempo changes from every track apply to all of them
+    const tempos = rawTracks.flatMap(track => track.tempos).sort((a, b) => a.tick - b.tick);
+    if (tempos.length === 0 || tempos[0].tick > 0) {
+        tempos.unshift({ tick: 0, microsecondsPerQuarter: 60000000 / midiFileDefaults.bpm });
+    }
+
+    const ticksToSeconds = tick => {
+        let seconds = 0;
+        for (let i = 0; i < tempos.length && tempos[i].tick < tick; i++) {
+            const segmentEnd = i + 1 < tempos.length ? Math.min(tick, tempos[i + 1].tick) : tick;
+            seconds += (segmentEnd - tempos[i].tick) * tempos[i].microsecondsPerQuarter / 1000000 / ppq;
+        }
+        return seconds;
+    };
+
+    return {
+        format,
+        ppq,
+        bpm: 60000000 / tempos[0].microsecondsPerQuarter,
+        tracks: rawTracks.map(track => ({
+            name: track.name,
+            events: track.notes.map(({ tick, ...note }) => ({ ...note, time: ticksToSeconds(tick) }))
+        }))
+    };
+}
+
+export {
+    midiFileDefaults,
+    encodeVariableLength,
+    decodeVariableLength,
+    secondsToTicks,
+    toMidiVelocity,
+    encodeMidiFile,
+    parseMidiFile
+};
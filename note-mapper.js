@@ -0,0 +1,152 @@
+// Note mapper: decides what each press plays. Fingertip height or the zone picks a
+// degree of the scale, the hand's role plays it as a note or a chord, and drum kits
+// map fingers and pads to kit pieces. How fast the finger moved sets the velocity and
+// articulation (see articulation.js). Listens for fingerPress and zonePress on the bus
+// (see event-bus.js) and emits noteStart. A theremin hand plays no presses: each of
+// its frames is read as a gliding pitch and emitted as thereminFrame (see theremin.js).
+
+import { noteToMidi, midiToNote, scaleUsesFlats, getScaleStepsPerOctave } from './scales.js';
+import { chordQualities, getDiatonicChord, nameChord, voiceChord } from './chords.js';
+import { normalizeHeight } from './calibration.js';
+import { articulationSettings, defaultFrameTime, getFingerSpeed, velocityFromSpeed, chooseArticulation } from './articulation.js';
+import { drumKitPieces, drumStrikeSettings, drumHitArticulation, getStrikeSpeed, getDrumPiecesForFinger } from './drum-kit.js';
+import { measureFingerMovement } from './hand-features.js';
+import { getThereminReading } from './theremin.js';
+
+// Map a fingertip height to an index into a scale, across the calibrated playing range
+function getScaleIndexForHeight(height, scale, calibration) {
+    const noteIndex = Math.floor(normalizeHeight(height, calibration) * scale.length);
+    return Math.max(0, Math.min(scale.length - 1, noteIndex));
+}
+
+// Build the diatonic chord on a degree of a scale, around an octave below the melody,
+// voiced to move smoothly from the last chord (MIDI notes, or null).
+// scaleSettings are { root, mode, octave }. Returns { notes, name, voicing }.
+function getScaleChord(degree, scale, scaleSettings, quality, lastVoicing) {
+    const stepsPerOctave = getScaleStepsPerOctave(scaleSettings.mode);
+    const useFlats = scaleUsesFlats(scaleSettings.root, scaleSettings.mode);
+    const size = chordQualities[quality].size;
+
+    // Keep every voicing within about an octave and a half below the melody's octave
+    const octaveRoot = noteToMidi(`C${scaleSettings.octave - 1}`);
+    const range = { low: octaveRoot - 7, high: octaveRoot + 14 };
+
+    const chord = getDiatonicChord(scale, stepsPerOctave, degree, size);
+    const voicing = voiceChord(chord, lastVoicing, range);
+
+    return {
+        notes: voicing.map(midi => midiToNote(midi, useFlats)),
+        name: nameChord(chord, voicing[0], useFlats),
+        voicing
+    };
+}
+
+// Create a mapper. Settings are read through options on every press:
+//   getScale()          notes of the current scale
+//   getScaleSettings()  { root, mode, octave } the scale was built from
+//   getChordQuality()   'triad' or 'seventh' (see chords.js)
+//   getCalibration()    the player's calibration profile
+//   getRole(hand)       'melody', 'chords' or 'theremin'
+//   isPercussion()      whether a drum kit is playing
+//   getDrumMappings()   which finger and pad hits each kit piece (see drum-kit.js)
+//   getThereminSettings()  range, correction and voice of theremin hands (see theremin.js)
+function createNoteMapper(bus, options) {
+    // MIDI notes of each hand's last chord, for voice leading
+    const lastChordVoicings = { Left: null, Right: null };
+
+    const startNotes = (hand, finger, notes, velocity, articulation, label) => {
+        bus.emit('noteStart', { hand, finger, notes, velocity, articulation, label });
+    };
+
+    const chordOnDegree = (hand, degree) => {
+        const chord = getScaleChord(degree, options.getScale(), options.getScaleSettings(),
+            options.getChordQuality(), lastChordVoicings[hand]);
+        lastChordVoicings[hand] = chord.voicing;
+        return chord;
+    };
+
+    // A finger bent past the press threshold
+    const onFingerPress = ({ hand, finger, fingerPositions, lastFingerPositions, frameTime, palmMoving }) => {
+        const position = fingerPositions[finger];
+
+        // Hit the kit pieces mapped to the finger, as hard as the fingertip was moving down.
+        // Drummers strike with the whole hand, so hits count even while it moves.
+        if (options.isPercussion()) {
+            const pieces = getDrumPiecesForFinger(options.getDrumMappings(), hand, finger);
+            if (pieces.length === 0) return;
+
+            const speed = getStrikeSpeed(position, lastFingerPositions[finger], frameTime);
+            const notes = pieces.map(piece => drumKitPieces[piece].note);
+            startNotes(hand, finger, notes, velocityFromSpeed(speed, drumStrikeSettings), drumHitArticulation);
+            return;
+        }
+
+        // Ignore presses while the whole hand is moving, the fingers bend as it moves
+        if (palmMoving) return;
+
+        // Speeds below the calibrated movement threshold are jitter, they play at the softest velocity
+        const calibration = options.getCalibration();
+        const velocitySettings = { ...articulationSettings, minSpeed: calibration.movementThreshold / defaultFrameTime };
+
+        // Map finger height to note index
+        const scale = options.getScale();
+        const noteIndex = getScaleIndexForHeight(position.height, scale, calibration);
+
+        // How fast the finger moved as it pressed
+        const movement = measureFingerMovement(position, lastFingerPositions[finger]);
+        const speed = getFingerSpeed(movement.tipMovement, movement.extensionChange, frameTime);
+        const velocity = velocityFromSpeed(speed, velocitySettings);
+
+        // Get the note (or chord) to play
+        if (options.getRole(hand) === 'chords') {
+            const chord = chordOnDegree(hand, noteIndex);
+            startNotes(hand, finger, chord.notes, velocity, chooseArticulation(speed), chord.name);
+        } else {
+            startNotes(hand, finger, [scale[noteIndex]], velocity, chooseArticulation(speed));
+        }
+    };
+
+    // A fingertip entered or tapped a zone. A chords hand plays a chord on zones that
+    // are scale degrees, drum pads hit as hard as the fingertip strikes down.
+    const onZonePress = ({ hand, finger, zone, speed, fingerPositions, lastFingerPositions, frameTime }) => {
+        if (zone.notes) {
+            // Tapping towards the camera counts as a strike too
+            const strikeSpeed = Math.max(speed, getStrikeSpeed(fingerPositions[finger], lastFingerPositions && lastFingerPositions[finger], frameTime));
+            startNotes(hand, finger, zone.notes, velocityFromSpeed(strikeSpeed, drumStrikeSettings), drumHitArticulation);
+            return;
+        }
+
+        if (options.getRole(hand) === 'chords' && zone.degree !== null) {
+            const chord = chordOnDegree(hand, zone.degree);
+            startNotes(hand, finger, chord.notes, velocityFromSpeed(speed), chooseArticulation(speed), chord.name);
+        } else {
+            startNotes(hand, finger, [zone.note], velocityFromSpeed(speed), chooseArticulation(speed));
+        }
+    };
+
+    // A theremin hand's pitch and volume follow it every frame
+    const onHandFrame = ({ hand, role, landmarks }) => {
+        if (role !== 'theremin') return;
+
+        const reading = getThereminReading(landmarks, options.getThereminSettings(), options.getScale(), options.getCalibration());
+        bus.emit('thereminFrame', { hand, ...reading });
+    };
+
+    bus.on('fingerPress', onFingerPress);
+    bus.on('zonePress', onZonePress);
+    bus.on('handFrame', onHandFrame);
+
+    return {
+        // Start chords afresh, like in a new scale, without leading from the last ones
+        resetChords() {
+            lastChordVoicings.Left = null;
+            lastChordVoicings.Right = null;
+        }
+    };
+}
+
+export {
+    getScaleIndexForHeight,
+    getScaleChord,
+    createNoteMapper
+};
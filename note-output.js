@@ -0,0 +1,223 @@
+// Note outputs: one interface for sending the notes the hands decide on, either to a
+// Tone.js instrument or to a Web MIDI port (hardware synths, DAWs).
+//
+// Every output has:
+//   noteOn(note, velocity, time)  start a note ("C4"), velocity 0..1
+//   noteOff(note, time)           stop a note
+//   changeNote(from, to, velocity, time)  move a held note to another pitch without retriggering (legato)
+//   releaseAll()                  stop every note
+//   pitchBend(cents)              bend all notes
+//   controlChange(controller, value)  MIDI CC number, value 0..1
+//   isMonophonic()                true if only one note can sound at once
+// time is the audio context time to play at, like the time the transport passes its
+// callbacks. Leave it out to play straight away.
+
+import { noteToMidi } from './scales.js';
+
+// Pitch bend range of MIDI outputs in cents (the common synth default of +/- 2 semitones)
+const midiPitchBendRange = 200;
+
+// MIDI controller numbers
+const midiControllers = {
+    modulation: 1,
+    volume: 7,
+    brightness: 74,
+    reverb: 91,
+    allNotesOff: 123
+};
+
+// Output that plays through the current Tone.js instrument. getSynth returns the
+// instrument so the output follows instrument changes. Percussion instruments
+// (isPercussion, see drum-kit.js) play one-shots and are never released.
+function createToneOutput(getSynth) {
+    let monoNote = null; // the note a monophonic synth is sounding
+
+    const output = {
+        type: 'tone',
+
+        isMonophonic() {
+            const synth = getSynth();
+            return Boolean(synth && !synth.releaseAll && !synth.isPercussion);
+        },
+
+        noteOn(note, velocity = 1, time) {
+            const synth = getSynth();
+            if (!synth) return;
+
+            synth.triggerAttack(note, time, velocity);
+            if (output.isMonophonic()) {
+                monoNote = note;
+            }
+        },
+
+        noteOff(note, time) {
+            const synth = getSynth();
+            if (!synth || synth.isPercussion) return;
+
+            if (synth.releaseAll) {
+                synth.triggerRelease(note, time);
+            } else if (synth.triggerRelease && note === monoNote) {
+                // Only release a monophonic synth if it is still playing this note
+                synth.triggerRelease(time);
+                monoNote = null;
+            }
+        },
+
+        changeNote(fromNote, toNote, velocity = 1, time) {
+            const synth = getSynth();
+            if (!synth) return;
+
+            if (synth.setNote && monoNote === fromNote) {
+                // Monophonic synths can slide the held note without a new attack
+                synth.setNote(toNote, time);
+                monoNote = toNote;
+            } else {
+                output.noteOff(fromNote, time);
+                output.noteOn(toNote, velocity, time);
+            }
+        },
+
+        releaseAll() {
+            const synth = getSynth();
+            if (!synth || synth.isPercussion) return;
+
+            // Make sure to properly release notes for both types of synths
+            if (synth.releaseAll) {
+                synth.releaseAll();
+            } else if (synth.triggerRelease) {
+                synth.triggerRelease();
+            }
+            monoNote = null;
+        },
+
+        pitchBend(cents) {
+            const synth = getSynth();
+            if (!synth) return;
+
+            if (synth.detune && synth.detune.rampTo) {
+                // Monophonic synths have a detune signal
+                synth.detune.rampTo(cents, 0.05);
+            } else if (synth instanceof Tone.PolySynth) {
+                // Polyphonic synths pass detune on to every voice
+                synth.set({ detune: cents });
+            }
+            // Samplers have no detune, so they can't be bent
+        },
+
+        controlChange() {
+            // Tone.js instruments are shaped by the expression chain instead
+        }
+    };
+
+    return output;
+}
+
+// Web MIDI timestamp (milliseconds on the performance.now() clock) of an audio context time
+function audioTimeToMidiTimestamp(time) {
+    return performance.now() + (time - Tone.immediate()) * 1000;
+}
+
+// Output that sends MIDI messages to a Web MIDI output port (or anything with send(bytes)).
+// channel is 1-16.
+function createMidiOutput(port, channel = 1) {
+    const channelBits = (channel - 1) & 0x0F;
+    const heldNotes = new Set();
+    let lastTimestamp = 0;
+
+    // Send a message at an audio time, or straight away. Nothing goes out ahead of a
+    // message already waiting, so a quick note-off can't overtake its note-on.
+    const send = (bytes, time) => {
+        const timestamp = time === undefined ? performance.now() : audioTimeToMidiTimestamp(time);
+        lastTimestamp = Math.max(timestamp, lastTimestamp);
+        port.send(bytes, lastTimestamp);
+    };
+
+    const output = {
+        type: 'midi',
+        port,
+        channel,
+
+        isMonophonic() {
+            // The receiving synth decides how to handle overlapping notes
+            return false;
+        },
+
+        noteOn(note, velocity = 1, time) {
+            const midi = noteToMidi(note);
+            const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+            send([0x90 | channelBits, midi, midiVelocity], time);
+            heldNotes.add(midi);
+        },
+
+        noteOff(note, time) {
+            const midi = noteToMidi(note);
+            send([0x80 | channelBits, midi, 0x40], time);
+            heldNotes.delete(midi);
+        },
+
+        changeNote(fromNote, toNote, velocity = 1, time) {
+            // Overlap the notes so monophonic receivers play them legato
+            output.noteOn(toNote, velocity, time);
+            if (fromNote !== toNote) {
+                output.noteOff(fromNote, time);
+            }
+        },
+
+        releaseAll() {
+            for (const midi of heldNotes) {
+                send([0x80 | channelBits, midi, 0x40]);
+            }
+            heldNotes.clear();
+
+            // Catch anything the receiver still holds
+            send([0xB0 | channelBits, midiControllers.allNotesOff, 0]);
+        },
+
+        pitchBend(cents) {
+            // 14-bit value with 8192 as the centre
+            const amount = Math.max(-1, Math.min(1, cents / midiPitchBendRange));
+            const value = Math.max(0, Math.min(16383, Math.round(8192 + amount * 8192)));
+            send([0xE0 | channelBits, value & 0x7F, (value >> 7) & 0x7F]);
+        },
+
+        controlChange(controller, value) {
+            const midiValue = Math.max(0, Math.min(127, Math.round(value * 127)));
+            send([0xB0 | channelBits, controller & 0x7F, midiValue]);
+        }
+    };
+
+    return output;
+}
+
+// A stand-in MIDI port that stores the messages it is sent, for tests
+function createMockMidiPort(name = 'Mock MIDI Port') {
+    return {
+        id: `mock-${name}`,
+        name,
+        sent: [],
+        send(data, timestamp) {
+            this.sent.push({ data: Array.from(data), timestamp });
+        },
+        clear() {
+            this.sent = [];
+        }
+    };
+}
+
+// Ask the browser for its MIDI output ports. Resolves to an array of ports.
+function requestMidiOutputPorts() {
+    if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+        return Promise.reject(new Error('Web MIDI is not supported in this browser'));
+    }
+
+    return navigator.requestMIDIAccess().then(access => Array.from(access.outputs.values()));
+}
+
+export {
+    midiPitchBendRange,
+    midiControllers,
+    createToneOutput,
+    createMidiOutput,
+    createMockMidiPort,
+    requestMidiOutputPorts
+};
@@ -0,0 +1,51 @@
+// Files the app downloads from the internet. Versions are pinned so the copies the
+// service worker keeps for offline use (see service-worker.js) always match what the
+// page asks for. The script tags in index.html use the same URLs.
+
+const mediaPipeHandsUrl = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/';
+const mediaPipeCameraUtilsUrl = 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils@0.3.1675466862/camera_utils.js';
+const toneUrl = 'https://cdn.jsdelivr.net/npm/tone@15.1.16/build/Tone.min.js';
+
+// Files MediaPipe Hands loads through locateFile: the solution's wasm builds (with and
+// without SIMD), its packed assets and both landmark models
+const mediaPipeHandsFiles = [
+    'hands.js',
+    'hands.binarypb',
+    'hands_solution_packed_assets_loader.js',
+    'hands_solution_packed_assets.data',
+    'hands_solution_simd_wasm_bin.js',
+    'hands_solution_simd_wasm_bin.wasm',
+    'hands_solution_wasm_bin.js',
+    'hands_solution_wasm_bin.wasm',
+    'hand_landmark_full.tflite',
+    'hand_landmark_lite.tflite'
+];
+
+// Salamander grand piano samples for the piano Sampler, by the note each one plays
+const pianoSamplesUrl = 'https://tonejs.github.io/audio/salamander/';
+const pianoSampleFiles = {
+    C4: 'C4.mp3',
+    'D#4': 'Ds4.mp3',
+    'F#4': 'Fs4.mp3',
+    A4: 'A4.mp3'
+};
+
+// Every remote file to save for offline use
+function getOfflineAssetUrls() {
+    return [
+        mediaPipeCameraUtilsUrl,
+        toneUrl,
+        ...mediaPipeHandsFiles.map(file => mediaPipeHandsUrl + file),
+        ...Object.values(pianoSampleFiles).map(file => pianoSamplesUrl + file)
+    ];
+}
+
+export {
+    mediaPipeHandsUrl,
+    mediaPipeCameraUtilsUrl,
+    toneUrl,
+    mediaPipeHandsFiles,
+    pianoSamplesUrl,
+    pianoSampleFiles,
+    getOfflineAssetUrls
+};
@@ -0,0 +1,196 @@
+// Performance recorder: captures note-on/note-off events with timestamps so a take
+// can be replayed or exported as a MIDI file or a JSON event log
+
+import { noteToMidi } from './scales.js';
+import { midiFileDefaults, encodeMidiFile } from './midi-file.js';
+import { drumMidiChannel } from './drum-kit.js';
+
+// Version of the JSON take format
+const takeFormatVersion = 1;
+
+// MIDI channel for each hand in exported files
+const handMidiChannels = {
+    Right: 0,
+    Left: 1
+};
+
+// Create a recorder. now() returns the current time in seconds, isPercussion() whether
+// a drum kit is playing (its notes are marked so they export on the drum channel).
+function createPerformanceRecorder(options = {}) {
+    const recorder = {
+        now: options.now || (() => Tone.now()),
+        isPercussion: options.isPercussion || (() => false),
+        isRecording: false,
+        startTime: 0,
+        events: [],
+        activeNotes: new Map(), // "hand:note" -> whether it is a drum hit, while the note is held
+
+        // Start a new take, dropping the previous one
+        start() {
+            recorder.events = [];
+            recorder.activeNotes.clear();
+            recorder.startTime = recorder.now();
+            recorder.isRecording = true;
+        },
+
+        // Finish the take, closing any notes that are still held, and return it
+        stop() {
+            if (recorder.isRecording) {
+                for (const key of recorder.activeNotes.keys()) {
+                    const [hand, note] = key.split(':');
+                    recorder.noteOff(note, hand);
+                }
+                recorder.isRecording = false;
+            }
+            return recorder.getTake();
+        },
+
+        // Record a note starting
+        noteOn(note, velocity, hand) {
+            if (!recorder.isRecording) return;
+
+            const key = `${hand}:${note}`;
+            if (recorder.activeNotes.has(key)) {
+                // Already sounding, close it first so every note-on has one note-off
+                recorder.noteOff(note, hand);
+            }
+
+            const percussion = recorder.isPercussion();
+            recorder.activeNotes.set(key, percussion);
+            recorder.events.push({
+                type: 'noteOn',
+                time: recorder.now() - recorder.startTime,
+                note,
+                midi: noteToMidi(note),
+                velocity,
+                hand,
+                ...(percussion && { percussion })
+            });
+        },
+
+        // Record a note stopping, ignoring notes that were not recorded as started
+        noteOff(note, hand) {
+            if (!recorder.isRecording) return;
+
+            const key = `${hand}:${note}`;
+            if (!recorder.activeNotes.has(key)) return;
+
+            const percussion = recorder.activeNotes.get(key);
+            recorder.activeNotes.delete(key);
+            recorder.events.push({
+                type: 'noteOff',
+                time: recorder.now() - recorder.startTime,
+                note,
+                midi: noteToMidi(note),
+                hand,
+                ...(percussion && { percussion })
+            });
+        },
+
+        // The recorded take as plain data
+        getTake() {
+            const lastEvent = recorder.events[recorder.events.length - 1];
+            return {
+                version: takeFormatVersion,
+                duration: lastEvent ? lastEvent.time : 0,
+                events: recorder.events.slice()
+            };
+        }
+    };
+
+    return recorder;
+}
+
+// Serialise a take as a JSON event log
+function takeToJSON(take) {
+    return JSON.stringify(take, null, 2);
+}
+
+// Read a take back from its JSON event log
+function parseTakeJSON(text) {
+    const take = JSON.parse(text);
+
+    if (!take || !Array.isArray(take.events)) {
+        throw new Error('Not a recorded take: missing events');
+    }
+    if (take.version !== takeFormatVersion) {
+        throw new Error(`Unsupported take version: ${take.version}`);
+    }
+
+    for (const event of take.events) {
+        if ((event.type !== 'noteOn' && event.type !== 'noteOff') || typeof event.time !== 'number') {
+            throw new Error(`Invalid take event: ${JSON.stringify(event)}`);
+        }
+        if (event.midi === undefined) {
+            event.midi = noteToMidi(event.note);
+        }
+    }
+    if (typeof take.duration !== 'number') {
+        take.duration = take.events.reduce((end, event) => Math.max(end, event.time), 0);
+    }
+
+    return take;
+}
+
+// Encode a take as a Standard MIDI File, with one track (and channel) per hand in format 1.
+// Drum hits go on the General MIDI drum channel instead, so they play as a kit.
+function takeToMidi(take, format = 1, bpm = 120, timeSignature = midiFileDefaults.timeSignature) {
+    const hands = Object.keys(handMidiChannels).filter(hand => take.events.some(event => event.hand === hand));
+
+    const tracks = hands.map(hand => ({
+        name: `${hand} Hand`,
+        channel: handMidiChannels[hand],
+        events: take.events
+            .filter(event => event.hand === hand)
+            .map(event => event.percussion ? { ...event, channel: drumMidiChannel - 1 } : event)
+    }));
+
+    return encodeMidiFile(tracks, { format, bpm, timeSignature, name: 'Hand Gesture Music' });
+}
+
+// Play a take back through a note output (see note-output.js). getOutput is called for
+// every event so output and instrument changes during playback are picked up.
+// Returns a function that stops playback.
+function replayTake(take, getOutput, onFinished) {
+    const timers = [];
+    const heldNotes = new Set();
+
+    const releaseHeldNotes = () => {
+        const output = getOutput();
+        heldNotes.forEach(note => output.noteOff(note));
+        heldNotes.clear();
+    };
+
+    for (const event of take.events) {
+        timers.push(setTimeout(() => {
+            const output = getOutput();
+
+            if (event.type === 'noteOn') {
+                output.noteOn(event.note, event.velocity);
+                heldNotes.add(event.note);
+            } else {
+                output.noteOff(event.note);
+                heldNotes.delete(event.note);
+            }
+        }, event.time * 1000));
+    }
+
+    // Tidy up once the last event has played
+    timers.push(setTimeout(() => {
+        releaseHeldNotes();
+        if (onFinished) onFinished();
+    }, take.duration * 1000 + 50));
+
+    return () => {
+        timers.forEach(timer => clearTimeout(timer));
+        releaseHeldNotes();
+    };
+}
+
+export {
+    createPerformanceRecorder,
+    takeToJSON,
+    parseTakeJSON,
+    takeToMidi,
+    replayTake
+};
@@ -0,0 +1,107 @@
+// Scale engine: builds the notes the hands can play from a root, a mode and an octave range
+
+// Note names by pitch class, spelled with sharps or flats
+const sharpNoteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const flatNoteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Major keys (by pitch class) that are written with flats: F, Bb, Eb, Ab, Db
+const flatMajorKeys = [5, 10, 3, 8, 1];
+
+// Scale modes as semitone intervals from the root.
+// parentOffset is how far the mode's root sits above the major key it shares notes with,
+// which is used to pick sharps or flats.
+const scaleModes = {
+    ionian: { name: 'Major (Ionian)', intervals: [0, 2, 4, 5, 7, 9, 11], parentOffset: 0 },
+    dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10], parentOffset: 2 },
+    phrygian: { name: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10], parentOffset: 4 },
+    lydian: { name: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11], parentOffset: 5 },
+    mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10], parentOffset: 7 },
+    aeolian: { name: 'Natural Minor (Aeolian)', intervals: [0, 2, 3, 5, 7, 8, 10], parentOffset: 9 },
+    locrian: { name: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10], parentOffset: 11 },
+    majorPentatonic: { name: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9], parentOffset: 0 },
+    minorPentatonic: { name: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10], parentOffset: 9 },
+    blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10], parentOffset: 9 },
+    harmonicMinor: { name: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11], parentOffset: 9 },
+    chromatic: { name: 'Chromatic', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], parentOffset: null }
+};
+
+// Convert a note name like "F#4" or "Bb3" to a MIDI note number
+function noteToMidi(note) {
+    const match = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(note);
+    if (!match) {
+        throw new Error(`Invalid note name: ${note}`);
+    }
+
+    const letter = match[1].toUpperCase();
+    let pitchClass = sharpNoteNames.indexOf(letter);
+    if (match[2] === '#') pitchClass += 1;
+    if (match[2] === 'b') pitchClass -= 1;
+
+    return (parseInt(match[3], 10) + 1) * 12 + pitchClass;
+}
+
+// Convert a MIDI note number to a note name like "C4"
+function midiToNote(midi, useFlats = false) {
+    const names = useFlats ? flatNoteNames : sharpNoteNames;
+    const pitchClass = ((midi % 12) + 12) % 12;
+    const octave = Math.floor(midi / 12) - 1;
+    return `${names[pitchClass]}${octave}`;
+}
+
+// Decide whether a scale should be spelled with flats
+function scaleUsesFlats(root, mode) {
+    const parentOffset = scaleModes[mode].parentOffset;
+
+    // Scales without a key signature follow the way the root was written
+    if (parentOffset === null) {
+        return root.length > 1 && root[1] === 'b';
+    }
+
+    const rootPitchClass = noteToMidi(`${root}0`) % 12;
+    const parentKey = (rootPitchClass - parentOffset + 12) % 12;
+    return flatMajorKeys.includes(parentKey);
+}
+
+// Number of notes in one octave of a mode
+function getScaleStepsPerOctave(mode) {
+    return scaleModes[mode].intervals.length;
+}
+
+// Build the notes of a scale from the root in startOctave, spanning the given
+// number of octaves and ending on the root at the top (like C4 ... C5)
+function buildScale(root, mode, startOctave = 4, octaves = 1) {
+    const scaleMode = scaleModes[mode];
+    if (!scaleMode) {
+        throw new Error(`Unknown scale mode: ${mode}`);
+    }
+
+    const useFlats = scaleUsesFlats(root, mode);
+    const rootMidi = noteToMidi(`${root}${startOctave}`);
+    const notes = [];
+
+    for (let octave = 0; octave < octaves; octave++) {
+        for (const interval of scaleMode.intervals) {
+            notes.push(midiToNote(rootMidi + octave * 12 + interval, useFlats));
+        }
+    }
+
+    // Finish on the root an octave above the last one
+    notes.push(midiToNote(rootMidi + octaves * 12, useFlats));
+
+    return notes;
+}
+
+// Describe a scale for display, e.g. "D Dorian (D4 - D5)"
+function describeScale(root, mode, notes) {
+    return `${root} ${scaleModes[mode].name} (${notes[0]} - ${notes[notes.length - 1]})`;
+}
+
+export {
+    scaleModes,
+    noteToMidi,
+    midiToNote,
+    scaleUsesFlats,
+    getScaleStepsPerOctave,
+    buildScale,
+    describeScale
+};
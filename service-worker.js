@@ -0,0 +1,122 @@
+// Service worker: keeps the app, MediaPipe, Tone.js and the piano samples in a cache
+// so the app installs as a PWA and still works with no network.
+//
+// The app's own files are fetched from the network first so changes show up, and from
+// the cache when offline. Remote files are pinned versions that never change, so they
+// come from the cache first. Bump cacheVersion when the list of app files changes.
+// Registered as a module worker, so it shares offline-assets.js with the page.
+
+import { getOfflineAssetUrls } from './offline-assets.js';
+
+const cacheVersion = 8;
+const cacheName = `hand-gesture-music-v${cacheVersion}`;
+
+// The app's own files
+const appFiles = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'offline-assets.js',
+    'scales.js',
+    'gestures.js',
+    'expression.js',
+    'midi-file.js',
+    'recorder.js',
+    'wav-file.js',
+    'audio-take.js',
+    'take-capture-worklet.js',
+    'landmark-replay.js',
+    'note-output.js',
+    'articulation.js',
+    'calibration.js',
+    'voice-manager.js',
+    'zone-layout.js',
+    'drum-kit.js',
+    'tempo.js',
+    'chords.js',
+    'looper.js',
+    'lesson.js',
+    'jam.js',
+    'effects.js',
+    'event-bus.js',
+    'hand-features.js',
+    'landmark-filter.js',
+    'theremin.js',
+    'hand-detector.js',
+    'note-mapper.js',
+    'instruments.js',
+    'zip-file.js',
+    'user-instruments.js',
+    'audio-engine.js',
+    'ui-renderer.js',
+    'app.js'
+];
+
+// Tell open pages how saving for offline use went
+async function reportCacheResult(cached, failed) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    for (const client of clients) {
+        client.postMessage({ type: 'offline-cache', cached, failed });
+    }
+}
+
+// Save every file up front. One remote file failing (a flaky connection, say) doesn't
+// stop the install: it is saved later the first time the page loads it.
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(cacheName);
+        await cache.addAll(appFiles);
+
+        const urls = getOfflineAssetUrls();
+        const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+        const failed = urls.filter((url, i) => results[i].status === 'rejected');
+        failed.forEach(url => console.warn(`Could not save ${url} for offline use`));
+
+        await reportCacheResult(urls.length - failed.length, failed);
+        await self.skipWaiting();
+    })());
+});
+
+// Remove caches left by older versions
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== cacheName).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Save a response for next time (opaque responses from script tags included)
+async function cacheResponse(request, response) {
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        return await cacheResponse(request, await fetch(request));
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    return cacheResponse(request, await fetch(request));
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const sameOrigin = new URL(request.url).origin === self.location.origin;
+    event.respondWith(sameOrigin ? networkFirst(request) : cacheFirst(request));
+});
@@ -0,0 +1,63 @@
+// Audio worklet that captures the sound reaching it for audio takes (see audio-take.js).
+// It runs on the audio thread, so it only copies its input into blocks and posts them
+// to the page, which keeps them until the take stops. Loaded with audioWorklet.addModule,
+// not imported.
+
+// Frames in each block posted to the page, so it gets a few messages a second
+// rather than one every 128-frame render quantum
+const captureBlockFrames = 8192;
+
+class TakeCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.channelCount = options.processorOptions.channelCount;
+        this.recording = true;
+        this.startBlock();
+
+        // The page says 'stop': send what is left, then let the node be dropped
+        this.port.onmessage = ({ data }) => {
+            if (data === 'stop') {
+                this.sendBlock();
+                this.recording = false;
+                this.port.postMessage({ done: true });
+            }
+        };
+    }
+
+    startBlock() {
+        this.block = Array.from({ length: this.channelCount }, () => new Float32Array(captureBlockFrames));
+        this.blockFrames = 0;
+    }
+
+    sendBlock() {
+        if (this.blockFrames > 0) {
+            this.port.postMessage({ channels: this.block.map(channel => channel.slice(0, this.blockFrames)) });
+        }
+        this.startBlock();
+    }
+
+    process(inputs) {
+        if (!this.recording) return false;
+
+        // With nothing playing into it the input has no channels, which records silence
+        const input = inputs[0];
+        const frames = input.length > 0 ? input[0].length : 128;
+
+        let offset = 0;
+        while (offset < frames) {
+            const count = Math.min(frames - offset, captureBlockFrames - this.blockFrames);
+            for (let channel = 0; channel < this.channelCount && channel < input.length; channel++) {
+                this.block[channel].set(input[channel].subarray(offset, offset + count), this.blockFrames);
+            }
+            this.blockFrames += count;
+            offset += count;
+
+            if (this.blockFrames === captureBlockFrames) {
+                this.sendBlock();
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('take-capture', TakeCaptureProcessor);
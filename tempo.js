@@ -0,0 +1,184 @@
+// Tempo: a Tone.Transport clock with a metronome, quantizing of note triggers to a
+// grid and an arpeggiator, so players stay in time with backing tracks
+
+import { noteToMidi } from './scales.js';
+
+// Starting tempo settings. timeSignature is [beats per bar, beat note value].
+const defaultTempoSettings = {
+    bpm: 120,
+    timeSignature: [4, 4],
+    metronome: false,
+    quantize: 'off',
+    arpeggiator: 'off'
+};
+
+const tempoLimits = { minBpm: 40, maxBpm: 240 };
+
+// Grids note triggers can be quantized to, as Tone.js note values
+const quantizeGrids = {
+    off: { name: 'Off' },
+    '4n': { name: '1/4' },
+    '8n': { name: '1/8' },
+    '16n': { name: '1/16' },
+    '4t': { name: '1/4 Triplet' },
+    '8t': { name: '1/8 Triplet' },
+    '16t': { name: '1/16 Triplet' }
+};
+
+// Grid the arpeggiator steps on when nothing is quantized
+const defaultArpeggiatorRate = '16n';
+
+// Fraction of a step an arpeggiated note sounds for
+const arpeggiatorGate = 0.8;
+
+const arpeggiatorPatterns = {
+    off: { name: 'Off' },
+    up: { name: 'Up' },
+    down: { name: 'Down' },
+    random: { name: 'Random' }
+};
+
+// A trigger this soon after a grid line (in seconds) plays straight away instead of
+// waiting a whole grid step, since the player meant to hit that line
+const quantizeTolerance = 0.03;
+
+// Seconds to wait before a trigger at time now lands on the grid
+function getQuantizeDelay(now, nextGridTime, gridLength, tolerance = quantizeTolerance) {
+    const delay = Math.max(0, nextGridTime - now);
+    return gridLength - delay <= tolerance ? 0 : delay;
+}
+
+// Whether a transport position (in ticks) falls on the first beat of a bar
+function isDownbeat(ticks, ppq, timeSignature) {
+    const [beatsPerBar, beatValue] = timeSignature;
+    const ticksPerBeat = ppq * 4 / beatValue;
+    return Math.round(ticks / ticksPerBeat) % beatsPerBar === 0;
+}
+
+// Sort notes from low to high and drop repeats
+function sortNotesByPitch(notes) {
+    const byMidi = new Map(notes.map(note => [noteToMidi(note), note]));
+    return [...byMidi.keys()].sort((a, b) => a - b).map(midi => byMidi.get(midi));
+}
+
+// The note an arpeggio plays on a step. notes should be sorted low to high.
+function getArpeggioNote(notes, step, pattern, random = Math.random) {
+    if (notes.length === 0) return null;
+
+    if (pattern === 'random') {
+        return notes[Math.floor(random() * notes.length)];
+    }
+    const index = step % notes.length;
+    return pattern === 'down' ? notes[notes.length - 1 - index] : notes[index];
+}
+
+// Holds note triggers back to the quantize grid. getGridTime() returns the audio time
+// of the grid line a trigger made now should land on, or null to play it straight away.
+// Waiting triggers are scheduled on the transport so they sound exactly on the line.
+// Triggers are keyed by voice so a finger's newer press replaces its older one.
+function createNoteQuantizer(getGridTime) {
+    const pending = new Map(); // voiceId -> { eventId, released }
+
+    const quantizer = {
+        // Run play(released, time) on the grid line. released is true if the finger
+        // let go while it was waiting, time is the audio time to play at (undefined
+        // when playing straight away).
+        schedule(voiceId, play) {
+            const existing = pending.get(voiceId);
+            if (existing) {
+                Tone.Transport.clear(existing.eventId);
+                pending.delete(voiceId);
+            }
+
+            const gridTime = getGridTime();
+            if (gridTime === null) {
+                play(false);
+                return;
+            }
+
+            const entry = { released: false };
+            entry.eventId = Tone.Transport.scheduleOnce(time => {
+                pending.delete(voiceId);
+                play(entry.released, time);
+            }, `${Tone.Transport.getTicksAtTime(gridTime)}i`);
+            pending.set(voiceId, entry);
+        },
+
+        // Note that a voice let go, returns true if its trigger is still waiting
+        release(voiceId) {
+            const entry = pending.get(voiceId);
+            if (!entry) return false;
+            entry.released = true;
+            return true;
+        },
+
+        // Drop waiting triggers for voices whose id starts with prefix
+        cancelMatching(prefix) {
+            for (const [voiceId, entry] of pending) {
+                if (voiceId.startsWith(prefix)) {
+                    Tone.Transport.clear(entry.eventId);
+                    pending.delete(voiceId);
+                }
+            }
+        }
+    };
+
+    return quantizer;
+}
+
+// Apply BPM and time signature to the Tone.js transport
+function applyTransportSettings(settings) {
+    Tone.Transport.bpm.value = settings.bpm;
+    Tone.Transport.timeSignature = settings.timeSignature;
+}
+
+// Create a metronome that clicks on every beat of the transport, louder on the downbeat.
+// It plays straight to the speakers, so it never ends up in the instrument's effects.
+function createMetronome() {
+    const click = new Tone.MembraneSynth({
+        pitchDecay: 0.008,
+        octaves: 2,
+        envelope: { attack: 0.001, decay: 0.1, sustain: 0, release: 0.05 }
+    }).toDestination();
+    let eventId = null;
+
+    const metronome = {
+        get isRunning() {
+            return eventId !== null;
+        },
+
+        start(timeSignature) {
+            metronome.stop();
+            eventId = Tone.Transport.scheduleRepeat(time => {
+                const ticks = Tone.Transport.getTicksAtTime(time);
+                const accent = isDownbeat(ticks, Tone.Transport.PPQ, timeSignature);
+                click.triggerAttackRelease(accent ? 'C6' : 'G5', '32n', time, accent ? 1 : 0.6);
+            }, `${timeSignature[1]}n`, 0);
+        },
+
+        stop() {
+            if (eventId !== null) {
+                Tone.Transport.clear(eventId);
+                eventId = null;
+            }
+        }
+    };
+
+    return metronome;
+}
+
+export {
+    defaultTempoSettings,
+    tempoLimits,
+    quantizeGrids,
+    defaultArpeggiatorRate,
+    arpeggiatorGate,
+    arpeggiatorPatterns,
+    getQuantizeDelay,
+    isDownbeat,
+    sortNotesByPitch,
+    getArpeggioNote,
+    createNoteQuantizer,
+    applyTransportSettings,
+    createMetronome
+};
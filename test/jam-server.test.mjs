@@ -0,0 +1,199 @@
+// Jam relay: players joining, relaying events and clock pings over real connections,
+// and the limits on what players can send. Run with: node --test test/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { createJamServer } from '../jam-server.mjs';
+
+let jamServer;
+
+before(async () => {
+    jamServer = await createJamServer({ port: 0, host: '127.0.0.1', maxMessageBytes: 1024 });
+});
+
+after(() => jamServer.close());
+
+// Build one client frame. Clients must mask what they send.
+function encodeClientFrame(opcode, payload, fin = true) {
+    const mask = randomBytes(4);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) {
+        masked[i] ^= mask[i % 4];
+    }
+
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]);
+    } else {
+        header = Buffer.alloc(4);
+        header[0] = (fin ? 0x80 : 0) | opcode;
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+// Connect a raw WebSocket client. Resolves once the handshake is done to
+// { sendJson, sendFrame, nextMessage(), closed }, where closed resolves to the close code.
+function connectClient() {
+    return new Promise((resolve, reject) => {
+        const socket = connect(jamServer.port, '127.0.0.1');
+        const messages = [];
+        const waiting = [];
+        let buffered = Buffer.alloc(0);
+        let upgraded = false;
+        let resolveClosed;
+        const closed = new Promise(done => {
+            resolveClosed = done;
+        });
+
+        const client = {
+            sendFrame(opcode, payload, fin) {
+                socket.write(encodeClientFrame(opcode, Buffer.from(payload), fin));
+            },
+            sendJson(message) {
+                client.sendFrame(0x1, JSON.stringify(message));
+            },
+            nextMessage() {
+                return messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(done => waiting.push(done));
+            },
+            closed
+        };
+
+        // Server frames are unmasked and short in these tests
+        const readFrames = () => {
+            while (buffered.length >= 2) {
+                let length = buffered[1] & 0x7F;
+                let offset = 2;
+                if (length === 126) {
+                    if (buffered.length < 4) return;
+                    length = buffered.readUInt16BE(2);
+                    offset = 4;
+                }
+                if (buffered.length < offset + length) return;
+
+                const opcode = buffered[0] & 0x0F;
+                const payload = buffered.subarray(offset, offset + length);
+                buffered = buffered.subarray(offset + length);
+
+                if (opcode === 0x8) {
+                    resolveClosed(payload.readUInt16BE(0));
+                } else if (opcode === 0x1) {
+                    const message = JSON.parse(payload.toString('utf8'));
+                    if (waiting.length > 0) {
+                        waiting.shift()(message);
+                    } else {
+                        messages.push(message);
+                    }
+                }
+            }
+        };
+
+        socket.on('connect', () => {
+            socket.write([
+                'GET / HTTP/1.1',
+                `Host: 127.0.0.1:${jamServer.port}`,
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`,
+                'Sec-WebSocket-Version: 13',
+                '',
+                ''
+            ].join('\r\n'));
+        });
+        socket.on('data', data => {
+            buffered = Buffer.concat([buffered, data]);
+            if (!upgraded) {
+                const end = buffered.indexOf('\r\n\r\n');
+                if (end < 0) return;
+                const response = buffered.subarray(0, end).toString();
+                buffered = buffered.subarray(end + 4);
+                if (!response.startsWith('HTTP/1.1 101')) {
+                    reject(new Error(`Handshake failed: ${response}`));
+                    return;
+                }
+                upgraded = true;
+                resolve(client);
+            }
+            readFrames();
+        });
+        socket.on('close', () => resolveClosed(null));
+        socket.on('error', reject);
+        client.end = () => socket.end();
+    });
+}
+
+test('players join a room, hear each other\'s events and see each other leave', async () => {
+    const ann = await connectClient();
+    ann.sendJson({ type: 'join', room: 'band', name: 'Ann', instrument: 'piano' });
+    const annWelcome = await ann.nextMessage();
+    assert.equal(annWelcome.type, 'welcome');
+    assert.equal(annWelcome.room, 'band');
+    assert.deepEqual(annWelcome.players, []);
+
+    const bo = await connectClient();
+    bo.sendJson({ type: 'join', room: 'band', name: '  Bo  ' });
+    const boWelcome = await bo.nextMessage();
+    assert.deepEqual(boWelcome.players, [{ id: annWelcome.id, name: 'Ann', instrument: 'piano' }]);
+    assert.deepEqual(await ann.nextMessage(), { type: 'joined', player: { id: boWelcome.id, name: 'Bo', instrument: '' } });
+
+    const event = { type: 'noteOn', note: 'C4', velocity: 0.8, time: 1.5 };
+    bo.sendJson({ type: 'event', event });
+    assert.deepEqual(await ann.nextMessage(), { type: 'event', from: boWelcome.id, event });
+
+    bo.end();
+    assert.deepEqual(await ann.nextMessage(), { type: 'left', id: boWelcome.id });
+    ann.end();
+});
+
+test('pings are answered with the relay\'s clock', async () => {
+    const client = await connectClient();
+    client.sendJson({ type: 'ping', sent: 12.5 });
+
+    const pong = await client.nextMessage();
+    assert.equal(pong.type, 'pong');
+    assert.equal(pong.sent, 12.5);
+    assert.equal(typeof pong.serverTime, 'number');
+    client.end();
+});
+
+test('messages that aren\'t JSON objects get an error and the connection stays open', async () => {
+    const client = await connectClient();
+
+    for (const text of ['null', '42', '"join"', 'not json']) {
+        client.sendFrame(0x1, text);
+        assert.equal((await client.nextMessage()).type, 'error');
+    }
+    client.sendJson({ type: 'event', event: {} });
+    assert.deepEqual(await client.nextMessage(), { type: 'error', message: 'Join a room first' });
+    client.end();
+});
+
+test('a message split over several frames is put back together', async () => {
+    const client = await connectClient();
+    const text = JSON.stringify({ type: 'ping', sent: 7 });
+
+    client.sendFrame(0x1, text.slice(0, 5), false);
+    client.sendFrame(0x0, text.slice(5, 12), false);
+    client.sendFrame(0x0, text.slice(12), true);
+    assert.equal((await client.nextMessage()).sent, 7);
+    client.end();
+});
+
+test('a fragmented message bigger than the limit closes the connection', async () => {
+    const client = await connectClient();
+    const chunk = 'x'.repeat(600); // each frame is under the 1024 byte limit, together they aren't
+
+    client.sendFrame(0x1, chunk, false);
+    client.sendFrame(0x0, chunk, false);
+    assert.equal(await client.closed, 1009);
+});
+
+test('a single frame bigger than the limit closes the connection', async () => {
+    const client = await connectClient();
+
+    client.sendFrame(0x1, 'x'.repeat(2000));
+    assert.equal(await client.closed, 1009);
+});
@@ -0,0 +1,133 @@
+// Landmark replay regression: a recorded performance fed back through the hand detector
+// and note mapper must keep playing the same notes. Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventBus } from '../event-bus.js';
+import { createHandDetector } from '../hand-detector.js';
+import { createNoteMapper } from '../note-mapper.js';
+import { defaultCalibration } from '../calibration.js';
+import { buildScale } from '../scales.js';
+import {
+    createManualClock,
+    createLandmarkRecorder,
+    landmarkRecordingToJSON,
+    parseLandmarkRecordingJSON,
+    runLandmarkRecording
+} from '../landmark-replay.js';
+
+const frameTime = 1 / 30;
+
+// Landmarks of each finger (MediaPipe order), and how far above the wrist each one sits
+// with the finger straight and fully bent
+const fingerLandmarks = [[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12], [13, 14, 15, 16], [17, 18, 19, 20]];
+const straightHeights = [0.1, 0.2, 0.28, 0.36];
+const bentHeights = [0.1, 0.15, 0.12, 0.08];
+
+// A flat, upright hand. bend is how far each finger is bent (0..1), lift raises the whole hand.
+function handLandmarks(bend, lift) {
+    const wristY = 0.8 - lift;
+    const landmarks = [{ x: 0.5, y: wristY, z: 0 }];
+    fingerLandmarks.forEach((indices, finger) => {
+        indices.forEach((index, joint) => {
+            const height = straightHeights[joint] + (bentHeights[joint] - straightHeights[joint]) * bend[finger];
+            landmarks[index] = { x: 0.35 + finger * 0.07, y: wristY - height, z: 0 };
+        });
+    });
+    return landmarks;
+}
+
+// Record a right hand moving smoothly between poses, like a camera would see it.
+// Each pose is [bend, lift, frames], reached over its first few frames and then held.
+function recordPerformance(poses) {
+    const clock = createManualClock();
+    const recorder = createLandmarkRecorder({ now: clock.now });
+    let bend = [0, 0, 0, 0, 0];
+    let lift = 0;
+
+    recorder.start();
+    for (const [targetBend, targetLift, frames] of poses) {
+        const startBend = bend;
+        const startLift = lift;
+        for (let frame = 1; frame <= frames; frame++) {
+            const progress = Math.min(1, frame / 6);
+            bend = startBend.map((value, finger) => value + (targetBend[finger] - value) * progress);
+            lift = startLift + (targetLift - startLift) * progress;
+            // MediaPipe labels hands as seen in the unmirrored image, so a right hand reads as 'Left'
+            recorder.addFrame({ multiHandLandmarks: [handLandmarks(bend, lift)], multiHandedness: [{ label: 'Left', score: 0.98 }] });
+            clock.advance(frameTime);
+        }
+    }
+    return recorder.stop();
+}
+
+// Replay a recording headlessly and collect what the hands played
+function replay(recording) {
+    const bus = createEventBus();
+    const clock = createManualClock();
+    const played = [];
+
+    const handDetector = createHandDetector(bus, {
+        now: clock.now,
+        getCalibration: () => defaultCalibration,
+        getRole: () => 'melody',
+        getZoneLayout: () => null,
+        getZoneTrigger: () => 'enter',
+        gestureCommandsEnabled: () => false,
+        getSmoothing: () => 'off'
+    });
+    createNoteMapper(bus, {
+        getScale: () => buildScale('C', 'ionian', 4, 1),
+        getScaleSettings: () => ({ root: 'C', mode: 'ionian', octave: 4 }),
+        getChordQuality: () => 'triad',
+        getCalibration: () => defaultCalibration,
+        getRole: () => 'melody',
+        isPercussion: () => false,
+        getDrumMappings: () => ({}),
+        getThereminSettings: () => ({})
+    });
+
+    bus.on('noteStart', ({ hand, finger, notes }) => played.push({ type: 'start', time: clock.now(), hand, finger, notes }));
+    bus.on('fingerRelease', ({ hand, finger }) => played.push({ type: 'release', time: clock.now(), hand, finger }));
+
+    runLandmarkRecording(recording, results => handDetector.update(results.multiHandLandmarks, results.multiHandedness), clock);
+    return played;
+}
+
+// Press the index finger low down, then the middle finger with the hand raised
+const performance = [
+    [[0, 0, 0, 0, 0], 0, 10],
+    [[0, 1, 0, 0, 0], 0, 10],
+    [[0, 0, 0, 0, 0], 0, 10],
+    [[0, 0, 0, 0, 0], 0.3, 10],
+    [[0, 0, 1, 0, 0], 0.3, 10],
+    [[0, 0, 0, 0, 0], 0.3, 10]
+];
+
+test('a replayed recording plays a known note sequence', () => {
+    const played = replay(recordPerformance(performance))
+        .map(({ type, time, hand, finger, notes }) => [type, Math.round(time / frameTime), hand, finger, notes]);
+
+    // [event, frame, hand, finger, notes]
+    assert.deepEqual(played, [
+        ['start', 12, 'Right', 1, ['F4']],
+        ['release', 23, 'Right', 1, undefined],
+        ['start', 42, 'Right', 2, ['A4']],
+        ['release', 53, 'Right', 2, undefined]
+    ]);
+});
+
+test('a recording saved to JSON replays the same as the original', () => {
+    const recording = recordPerformance(performance);
+    const loaded = parseLandmarkRecordingJSON(landmarkRecordingToJSON(recording));
+
+    assert.equal(loaded.frames.length, 60);
+    assert.deepEqual(replay(loaded), replay(recording));
+});
+
+test('rejects recordings with the wrong number of landmarks', () => {
+    const recording = recordPerformance([[[0, 0, 0, 0, 0], 0, 1]]);
+    recording.frames[0].multiHandLandmarks[0].pop();
+
+    assert.throws(() => parseLandmarkRecordingJSON(landmarkRecordingToJSON(recording)), /21 landmarks/);
+});
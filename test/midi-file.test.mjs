@@ -0,0 +1,174 @@
+// MIDI file writer and reader: byte fixtures and round trips. Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeVariableLength, decodeVariableLength, encodeMidiFile, parseMidiFile } from '../midi-file.js';
+import { takeToMidi } from '../recorder.js';
+
+// Bytes of a text string, for building fixtures
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+// One middle C, held for a beat at 120 bpm
+const middleC = [
+    { type: 'noteOn', time: 0, midi: 60, velocity: 1 },
+    { type: 'noteOff', time: 0.5, midi: 60 }
+];
+
+test('variable-length quantities match the spec examples', () => {
+    const examples = [
+        [0x00, [0x00]],
+        [0x40, [0x40]],
+        [0x7F, [0x7F]],
+        [0x80, [0x81, 0x00]],
+        [0x2000, [0xC0, 0x00]],
+        [0x3FFF, [0xFF, 0x7F]],
+        [0x4000, [0x81, 0x80, 0x00]],
+        [0x0FFFFFFF, [0xFF, 0xFF, 0xFF, 0x7F]]
+    ];
+    for (const [value, bytes] of examples) {
+        assert.deepEqual(encodeVariableLength(value), bytes);
+        assert.deepEqual(decodeVariableLength(Uint8Array.from(bytes), 0), { value, length: bytes.length });
+    }
+    assert.throws(() => encodeVariableLength(0x10000000));
+});
+
+test('format 1 writes a tempo track then one track per part', () => {
+    const bytes = encodeMidiFile([{ name: 'Right Hand', channel: 0, events: middleC }]);
+
+    assert.deepEqual(Array.from(bytes), [
+        // Header: format 1, two tracks, 480 ticks per quarter
+        ...ascii('MThd'), 0x00, 0x00, 0x00, 0x06, 0x00, 0x01, 0x00, 0x02, 0x01, 0xE0,
+        // Tempo track: name, 500000 us per quarter (120 bpm), 4/4, end
+        ...ascii('MTrk'), 0x00, 0x00, 0x00, 0x1C,
+        0x00, 0xFF, 0x03, 0x05, ...ascii('Tempo'),
+        0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20,
+        0x00, 0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08,
+        0x00, 0xFF, 0x2F, 0x00,
+        // Note track: name, note-on, note-off 480 ticks later, end
+        ...ascii('MTrk'), 0x00, 0x00, 0x00, 0x1B,
+        0x00, 0xFF, 0x03, 0x0A, ...ascii('Right Hand'),
+        0x00, 0x90, 0x3C, 0x7F,
+        0x83, 0x60, 0x80, 0x3C, 0x40,
+        0x00, 0xFF, 0x2F, 0x00
+    ]);
+});
+
+test('format 0 merges every part into one track, keeping their channels', () => {
+    const bytes = encodeMidiFile([
+        { name: 'Right Hand', channel: 0, events: middleC },
+        { name: 'Left Hand', channel: 1, events: [{ type: 'noteOn', time: 0.25, midi: 48, velocity: 0.5 }, { type: 'noteOff', time: 0.75, midi: 48 }] }
+    ], { format: 0 });
+    const file = parseMidiFile(bytes);
+
+    assert.equal(file.format, 0);
+    assert.equal(file.tracks.length, 1);
+    assert.deepEqual(file.tracks[0].events.map(event => [event.type, event.midi, event.channel, event.time]), [
+        ['noteOn', 60, 0, 0],
+        ['noteOn', 48, 1, 0.25],
+        ['noteOff', 60, 0, 0.5],
+        ['noteOff', 48, 1, 0.75]
+    ]);
+});
+
+test('notes survive a round trip through the writer and reader', () => {
+    const events = [
+        { type: 'noteOn', time: 0, midi: 60, velocity: 1 },
+        { type: 'noteOn', time: 0.125, midi: 64, velocity: 0.5 },
+        { type: 'noteOff', time: 0.5, midi: 60 },
+        { type: 'noteOff', time: 0.5, midi: 64 },
+        { type: 'noteOn', time: 0.5, midi: 67, velocity: 0.25 },
+        { type: 'noteOff', time: 2, midi: 67 }
+    ];
+    const file = parseMidiFile(encodeMidiFile([{ name: 'Lead', channel: 3, events }], { bpm: 90 }));
+
+    assert.equal(file.ppq, 480);
+    assert.ok(Math.abs(file.bpm - 90) < 0.001);
+    assert.equal(file.tracks.length, 2);
+    assert.equal(file.tracks[1].name, 'Lead');
+
+    const parsed = file.tracks[1].events;
+    assert.equal(parsed.length, events.length);
+    // Note-offs are written before note-ons at the same tick
+    assert.deepEqual(parsed.map(event => `${event.type}:${event.midi}`), [
+        'noteOn:60', 'noteOn:64', 'noteOff:60', 'noteOff:64', 'noteOn:67', 'noteOff:67'
+    ]);
+    for (const event of parsed) {
+        const original = events.find(item => item.type === event.type && item.midi === event.midi);
+        assert.equal(event.channel, 3);
+        assert.ok(Math.abs(event.time - original.time) < 0.002, `${event.type} ${event.midi} at ${event.time}`);
+        if (event.type === 'noteOn') {
+            assert.ok(Math.abs(event.velocity - original.velocity) < 1 / 127);
+        }
+    }
+});
+
+test('a note-off never lands before its own note-on', () => {
+    const file = parseMidiFile(encodeMidiFile([{ channel: 0, events: [
+        { type: 'noteOn', time: 0, midi: 60, velocity: 1 },
+        { type: 'noteOff', time: 0.0001, midi: 60 }
+    ] }]));
+
+    const [noteOn, noteOff] = file.tracks[1].events;
+    assert.equal(noteOn.type, 'noteOn');
+    assert.equal(noteOff.type, 'noteOff');
+    assert.ok(noteOff.time > noteOn.time);
+});
+
+test('reads running status and note-ons with velocity 0 as note-offs', () => {
+    const bytes = Uint8Array.from([
+        ...ascii('MThd'), 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00, 0x01, 0x00, 0x60,
+        ...ascii('MTrk'), 0x00, 0x00, 0x00, 0x0C,
+        0x00, 0x92, 0x40, 0x64,
+        0x60, 0x40, 0x00, // running status, velocity 0, one beat later
+        0x00, 0xFF, 0x2F, 0x00
+    ]);
+    const file = parseMidiFile(bytes);
+
+    assert.deepEqual(file.tracks[0].events, [
+        { type: 'noteOn', midi: 64, velocity: 100 / 127, channel: 2, time: 0 },
+        { type: 'noteOff', midi: 64, channel: 2, time: 0.5 }
+    ]);
+});
+
+test('rejects files without a MIDI header', () => {
+    assert.throws(() => parseMidiFile(Uint8Array.from(ascii('RIFF0000WAVEfmt '))), /MThd/);
+});
+
+test('a recorded take exports one track and channel per hand', () => {
+    const take = {
+        version: 1,
+        duration: 1,
+        events: [
+            { type: 'noteOn', time: 0, note: 'C4', midi: 60, velocity: 1, hand: 'Right' },
+            { type: 'noteOn', time: 0, note: 'C3', midi: 48, velocity: 1, hand: 'Left' },
+            { type: 'noteOff', time: 1, note: 'C4', midi: 60, hand: 'Right' },
+            { type: 'noteOff', time: 1, note: 'C3', midi: 48, hand: 'Left' }
+        ]
+    };
+    const file = parseMidiFile(takeToMidi(take));
+
+    assert.deepEqual(file.tracks.slice(1).map(track => track.name), ['Right Hand', 'Left Hand']);
+    assert.deepEqual(file.tracks[1].events.map(event => [event.midi, event.channel]), [[60, 0], [60, 0]]);
+    assert.deepEqual(file.tracks[2].events.map(event => [event.midi, event.channel]), [[48, 1], [48, 1]]);
+});
+
+test('drum hits in a take export on the General MIDI drum channel', () => {
+    const take = {
+        version: 1,
+        duration: 0.5,
+        events: [
+            { type: 'noteOn', time: 0, note: 'C2', midi: 36, velocity: 1, hand: 'Right', percussion: true },
+            { type: 'noteOn', time: 0, note: 'C4', midi: 60, velocity: 1, hand: 'Right' },
+            { type: 'noteOff', time: 0.5, note: 'C2', midi: 36, hand: 'Right', percussion: true },
+            { type: 'noteOff', time: 0.5, note: 'C4', midi: 60, hand: 'Right' }
+        ]
+    };
+    const file = parseMidiFile(takeToMidi(take));
+
+    assert.deepEqual(file.tracks[1].events.map(event => [event.type, event.midi, event.channel]), [
+        ['noteOn', 36, 9],
+        ['noteOn', 60, 0],
+        ['noteOff', 36, 9],
+        ['noteOff', 60, 0]
+    ]);
+});
@@ -0,0 +1,94 @@
+// MIDI note output: the bytes each call sends, checked against a mock port.
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { midiControllers, createMidiOutput, createMockMidiPort } from '../note-output.js';
+
+// The bytes of every message sent to a port, and clear it for the next check
+function takeSent(port) {
+    const messages = port.sent.map(message => message.data);
+    port.clear();
+    return messages;
+}
+
+test('notes start and stop on the chosen channel', () => {
+    const port = createMockMidiPort();
+    const output = createMidiOutput(port, 3);
+
+    output.noteOn('C4', 1);
+    output.noteOn('A4', 0.5);
+    output.noteOff('C4');
+
+    assert.deepEqual(takeSent(port), [
+        [0x92, 60, 127],
+        [0x92, 69, 64],
+        [0x82, 60, 0x40]
+    ]);
+});
+
+test('note-on velocity never drops to 0, which would mean note-off', () => {
+    const port = createMockMidiPort();
+    createMidiOutput(port).noteOn('C4', 0);
+
+    assert.deepEqual(takeSent(port), [[0x90, 60, 1]]);
+});
+
+test('changing a held note overlaps the two for legato', () => {
+    const port = createMockMidiPort();
+    const output = createMidiOutput(port);
+
+    output.noteOn('E4', 1);
+    port.clear();
+    output.changeNote('E4', 'G4', 1);
+
+    assert.deepEqual(takeSent(port), [[0x90, 67, 127], [0x80, 64, 0x40]]);
+});
+
+test('releasing everything stops held notes and sends all notes off', () => {
+    const port = createMockMidiPort();
+    const output = createMidiOutput(port, 2);
+
+    output.noteOn('C4', 1);
+    output.noteOn('D4', 1);
+    output.noteOff('C4');
+    port.clear();
+    output.releaseAll();
+
+    assert.deepEqual(takeSent(port), [
+        [0x81, 62, 0x40],
+        [0xB1, midiControllers.allNotesOff, 0]
+    ]);
+});
+
+test('pitch bend is 14 bits around 8192, clamped to the bend range', () => {
+    const port = createMockMidiPort();
+    const output = createMidiOutput(port);
+
+    output.pitchBend(0);
+    output.pitchBend(100);
+    output.pitchBend(-200);
+    output.pitchBend(500);
+
+    assert.deepEqual(takeSent(port), [
+        [0xE0, 0x00, 0x40], // 8192
+        [0xE0, 0x00, 0x60], // 12288, half way up
+        [0xE0, 0x00, 0x00], // 0, all the way down
+        [0xE0, 0x7F, 0x7F] // 16383, all the way up
+    ]);
+});
+
+test('control changes scale 0..1 to 0..127', () => {
+    const port = createMockMidiPort();
+    const output = createMidiOutput(port, 16);
+
+    output.controlChange(midiControllers.modulation, 0);
+    output.controlChange(midiControllers.brightness, 0.5);
+    output.controlChange(midiControllers.volume, 2);
+
+    assert.deepEqual(takeSent(port), [
+        [0xBF, 1, 0],
+        [0xBF, 74, 64],
+        [0xBF, 7, 127]
+    ]);
+});
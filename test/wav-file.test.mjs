@@ -0,0 +1,62 @@
+// WAV file writer: header fields and sample bytes. Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toPcmSample, encodeWavFile } from '../wav-file.js';
+
+// Bytes of a text string, for building fixtures
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+test('samples are scaled to full scale and clipped', () => {
+    assert.equal(toPcmSample(0, 16), 0);
+    assert.equal(toPcmSample(1, 16), 32767);
+    assert.equal(toPcmSample(-1, 16), -32768);
+    assert.equal(toPcmSample(1.5, 16), 32767);
+    assert.equal(toPcmSample(-2, 24), -8388608);
+    assert.equal(toPcmSample(NaN, 16), 0);
+    assert.equal(toPcmSample(Infinity, 24), 0);
+});
+
+test('a 16-bit stereo file has a 44-byte header and interleaved samples', () => {
+    const bytes = encodeWavFile([Float32Array.from([0, 1]), Float32Array.from([-1, 0.5])], 8000);
+
+    assert.deepEqual(Array.from(bytes), [
+        ...ascii('RIFF'), 0x2C, 0x00, 0x00, 0x00, ...ascii('WAVE'),
+        // fmt: integer PCM, 2 channels, 8000 Hz, 32000 bytes a second, 4-byte frames, 16 bits
+        ...ascii('fmt '), 0x10, 0x00, 0x00, 0x00,
+        0x01, 0x00, 0x02, 0x00,
+        0x40, 0x1F, 0x00, 0x00,
+        0x00, 0x7D, 0x00, 0x00,
+        0x04, 0x00, 0x10, 0x00,
+        ...ascii('data'), 0x08, 0x00, 0x00, 0x00,
+        // Left 0, right -1, left 1, right 0.5, little-endian
+        0x00, 0x00, 0x00, 0x80,
+        0xFF, 0x7F, 0x00, 0x40
+    ]);
+});
+
+test('24-bit samples take three little-endian bytes each', () => {
+    const bytes = encodeWavFile([[-1, 1, NaN, 2]], 44100, 24);
+    const view = new DataView(bytes.buffer);
+
+    assert.equal(bytes.length, 44 + 12);
+    assert.equal(view.getUint32(4, true), 36 + 12);
+    assert.equal(view.getUint16(22, true), 1);
+    assert.equal(view.getUint32(24, true), 44100);
+    assert.equal(view.getUint32(28, true), 44100 * 3);
+    assert.equal(view.getUint16(32, true), 3);
+    assert.equal(view.getUint16(34, true), 24);
+    assert.equal(view.getUint32(40, true), 12);
+    assert.deepEqual(Array.from(bytes.subarray(44)), [
+        0x00, 0x00, 0x80,
+        0xFF, 0xFF, 0x7F,
+        0x00, 0x00, 0x00,
+        0xFF, 0xFF, 0x7F
+    ]);
+});
+
+test('rejects unsupported bit depths and mismatched channels', () => {
+    assert.throws(() => encodeWavFile([[0]], 44100, 8), /bit depth/);
+    assert.throws(() => encodeWavFile([], 44100), /channels/);
+    assert.throws(() => encodeWavFile([[0, 0], [0]], 44100), /same number of samples/);
+});
@@ -0,0 +1,228 @@
+// Theremin: a hand with the theremin role plays one sustained note that glides with it
+// instead of stepping through the scale. Height sets the pitch across a range of octaves,
+// moving across the picture sets the volume, and optional pitch correction pulls the
+// note part or all of the way towards the nearest note of the scale.
+
+import { noteToMidi, midiToNote } from './scales.js';
+import { normalizeHeight } from './calibration.js';
+
+// What the pitch follows
+const thereminSources = {
+    index: { name: 'Index Fingertip', landmarks: [8] },
+    palm: { name: 'Palm', landmarks: [0, 5, 9, 13, 17] } // wrist and knuckles
+};
+
+const thereminWaveforms = {
+    sine: 'Sine',
+    triangle: 'Triangle',
+    sawtooth: 'Sawtooth',
+    square: 'Square'
+};
+
+const defaultThereminSettings = {
+    source: 'index',
+    lowOctave: 3, // the range starts on C of this octave
+    octaves: 2,
+    correction: 0.5, // 0 plays the exact height, 1 snaps to the scale
+    waveform: 'sine',
+    glideTime: 0.05, // seconds each change of pitch and volume ramps over
+    minVolume: -40, // dB at the quiet edge, before it fades to silence
+    edgeMargin: 0.1 // part of the picture at each side that is all quiet or all loud
+};
+
+// Where the pitch source is: x across the picture and height, both 0-1
+function getThereminPosition(landmarks, source) {
+    const points = thereminSources[source].landmarks.map(index => landmarks[index]);
+    const x = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const y = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    return { x, height: 1 - y };
+}
+
+// Lowest and highest MIDI notes of the range
+function getThereminRange(settings) {
+    const low = noteToMidi(`C${settings.lowOctave}`);
+    return { low, high: low + settings.octaves * 12 };
+}
+
+function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// The scale note closest to a (fractional) MIDI pitch. scaleNotes are note names,
+// whose pitch classes are used in every octave.
+function getNearestScaleMidi(midi, scaleNotes) {
+    const pitchClasses = new Set(scaleNotes.map(note => noteToMidi(note) % 12));
+    const below = Math.floor(midi);
+
+    let nearest = Math.round(midi);
+    let nearestDistance = Infinity;
+    for (let candidate = below - 6; candidate <= below + 7; candidate++) {
+        const distance = Math.abs(candidate - midi);
+        if (pitchClasses.has(((candidate % 12) + 12) % 12) && distance < nearestDistance) {
+            nearest = candidate;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+// Pull a pitch towards a target by a strength between 0 (not at all) and 1 (all the way)
+function correctPitch(midi, targetMidi, strength) {
+    return midi + (targetMidi - midi) * Math.max(0, Math.min(1, strength));
+}
+
+// Loudness (0-1) from how far across the picture the hand is, quiet at the left edge
+function getThereminAmplitude(x, settings) {
+    const span = 1 - 2 * settings.edgeMargin;
+    return Math.max(0, Math.min(1, (x - settings.edgeMargin) / span));
+}
+
+// Gain for an amplitude: even steps in dB from minVolume to full, silent at 0
+function amplitudeToGain(amplitude, minVolume) {
+    if (amplitude <= 0) return 0;
+    return Math.pow(10, (minVolume * (1 - amplitude)) / 20);
+}
+
+// Work out what a hand plays: returns { midi, rawMidi, targetMidi, frequency,
+// amplitude, position }, with rawMidi the uncorrected pitch and targetMidi the
+// nearest scale note. Height is read across the calibrated playing range.
+function getThereminReading(landmarks, settings, scaleNotes, calibration) {
+    const position = getThereminPosition(landmarks, settings.source);
+    const range = getThereminRange(settings);
+
+    const rawMidi = range.low + normalizeHeight(position.height, calibration) * (range.high - range.low);
+    const targetMidi = getNearestScaleMidi(rawMidi, scaleNotes);
+    const midi = correctPitch(rawMidi, targetMidi, settings.correction);
+
+    return {
+        midi,
+        rawMidi,
+        targetMidi,
+        frequency: midiToFrequency(midi),
+        amplitude: getThereminAmplitude(position.x, settings),
+        position
+    };
+}
+
+// The nearest note name to a pitch and how far off it is, like { note: 'A4', cents: -12 }
+function describePitch(midi, useFlats = false) {
+    const nearest = Math.round(midi);
+    return { note: midiToNote(nearest, useFlats), cents: Math.round((midi - nearest) * 100) };
+}
+
+// Lines of the tuning guide: each scale note in the range and the height that plays it
+// (before correction). Scale roots are marked so the octaves are easy to find.
+function getThereminGuide(settings, scaleNotes, calibration, useFlats = false) {
+    const range = getThereminRange(settings);
+    const pitchClasses = new Set(scaleNotes.map(note => noteToMidi(note) % 12));
+    const rootPitchClass = noteToMidi(scaleNotes[0]) % 12;
+    const { bottom, top } = calibration.heightRange;
+
+    const lines = [];
+    for (let midi = range.low; midi <= range.high; midi++) {
+        if (!pitchClasses.has(midi % 12)) continue;
+
+        const fraction = (midi - range.low) / (range.high - range.low);
+        lines.push({
+            midi,
+            note: midiToNote(midi, useFlats),
+            height: bottom + fraction * (top - bottom),
+            root: midi % 12 === rootPitchClass
+        });
+    }
+    return lines;
+}
+
+// Create a sustained voice that glides between pitches rather than retriggering.
+// It starts silent; update() ramps it to a frequency and gain.
+function createThereminVoice(output, settings = defaultThereminSettings) {
+    const oscillator = new Tone.Oscillator({ type: settings.waveform, frequency: midiToFrequency(60) });
+    const gain = new Tone.Gain(0);
+    oscillator.connect(gain);
+    gain.connect(output);
+    oscillator.start();
+
+    return {
+        waveform: settings.waveform,
+
+        update(frequency, amplitude, voiceSettings) {
+            if (voiceSettings.waveform !== this.waveform) {
+                oscillator.type = voiceSettings.waveform;
+                this.waveform = voiceSettings.waveform;
+            }
+            oscillator.frequency.rampTo(frequency, voiceSettings.glideTime);
+            gain.gain.rampTo(amplitudeToGain(amplitude, voiceSettings.minVolume), voiceSettings.glideTime);
+        },
+
+        // Fade out, leaving the oscillator ready to glide in again
+        silence(fadeTime = 0.1) {
+            gain.gain.rampTo(0, fadeTime);
+        },
+
+        dispose() {
+            oscillator.dispose();
+            gain.dispose();
+        }
+    };
+}
+
+// Draw the tuning guide and each theremin hand's pitch. readings are
+// { hand, midi, targetMidi, frequency, amplitude, position } from getThereminReading.
+function drawThereminGuide(ctx, guide, readings, useFlats = false) {
+    const { width, height } = ctx.canvas;
+
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'middle';
+    for (const line of guide) {
+        const y = (1 - line.height) * height;
+        ctx.strokeStyle = line.root ? 'rgba(241, 196, 15, 0.8)' : 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = line.root ? 2 : 1;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+
+        ctx.fillStyle = line.root ? '#f1c40f' : 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(line.note, 4, y - 7);
+    }
+
+    readings.forEach((reading, i) => {
+        const x = reading.position.x * width;
+        const y = (1 - reading.position.height) * height;
+        const { note, cents } = describePitch(reading.midi, useFlats);
+        const inTune = Math.abs(reading.midi - reading.targetMidi) < 0.1;
+
+        // Where the hand is, sized by how loud it plays
+        ctx.beginPath();
+        ctx.arc(x, y, 6 + reading.amplitude * 14, 0, 2 * Math.PI);
+        ctx.strokeStyle = inTune ? '#2ecc71' : '#e67e22';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        const readout = `${reading.hand}: ${note} ${cents >= 0 ? '+' : ''}${cents}¢  ${reading.frequency.toFixed(1)} Hz  ` +
+            `${Math.round(reading.amplitude * 100)}%`;
+        ctx.font = 'bold 16px sans-serif';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(width - 300, 8 + i * 26, 292, 22);
+        ctx.fillStyle = inTune ? '#2ecc71' : '#f39c12';
+        ctx.fillText(readout, width - 294, 19 + i * 26);
+    });
+}
+
+export {
+    thereminSources,
+    thereminWaveforms,
+    defaultThereminSettings,
+    getThereminPosition,
+    getThereminRange,
+    midiToFrequency,
+    getNearestScaleMidi,
+    correctPitch,
+    getThereminAmplitude,
+    amplitudeToGain,
+    getThereminReading,
+    describePitch,
+    getThereminGuide,
+    createThereminVoice,
+    drawThereminGuide
+};
@@ -0,0 +1,152 @@
+// UI renderer: draws each frame on the canvas (the video, note zones, hand landmarks,
+// the calibrated playing range, the theremin's tuning guide and lessons) and fills in the status bar and debug panel.
+// Status messages emitted on the bus (see event-bus.js) are shown as they arrive.
+
+import { drawZoneLayout } from './zone-layout.js';
+import { drawThereminGuide } from './theremin.js';
+import { drawLesson } from './lesson.js';
+
+// MediaPipe hand connections (needed for drawing)
+const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8], // Index finger
+    [5, 9], [9, 10], [10, 11], [11, 12], // Middle finger
+    [9, 13], [13, 14], [14, 15], [15, 16], // Ring finger
+    [13, 17], [17, 18], [18, 19], [19, 20], // Pinky
+    [0, 17], [5, 9], [9, 13], [13, 17], // Palm
+];
+
+// Helper function to draw connectors (from MediaPipe)
+function drawConnectors(ctx, landmarks, connections, options) {
+    const canvas = ctx.canvas;
+    for (const connection of connections) {
+        const from = landmarks[connection[0]];
+        const to = landmarks[connection[1]];
+        if (from && to) {
+            ctx.beginPath();
+            ctx.moveTo(from.x * canvas.width, from.y * canvas.height);
+            ctx.lineTo(to.x * canvas.width, to.y * canvas.height);
+            ctx.strokeStyle = options.color || 'white';
+            ctx.lineWidth = options.lineWidth || 2;
+            ctx.stroke();
+        }
+    }
+}
+
+// Helper function to draw landmarks (from MediaPipe)
+function drawLandmarks(ctx, landmarks, options) {
+    const canvas = ctx.canvas;
+    for (const landmark of landmarks) {
+        ctx.beginPath();
+        ctx.arc(
+            landmark.x * canvas.width,
+            landmark.y * canvas.height,
+            options.lineWidth * 2 || 4,
+            0, 2 * Math.PI
+        );
+        ctx.fillStyle = options.color || 'red';
+        ctx.fill();
+    }
+}
+
+// Draw a calibrated playing range ({ bottom, top } heights) across the canvas
+function drawCalibrationRange(ctx, heightRange) {
+    const { bottom, top } = heightRange;
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+
+    ctx.strokeStyle = '#3498db';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 6]);
+    for (const level of [top, bottom]) {
+        const y = (1 - level) * height;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+}
+
+// Draw one frame of hand tracking results. overlays can hold:
+//   zoneLayout   note zones to draw under the hands
+//   highlights   { active, hover } zone ids to light up (see zone-layout.js)
+//   heightRange  a calibrated playing range to show
+//   theremin     { guide, readings, useFlats } tuning guide and pitch readout (see theremin.js)
+//   lesson       { session, scale, heightRange } a lesson being played (see lesson.js)
+function drawHandFrame(ctx, results, overlays = {}) {
+    const canvas = ctx.canvas;
+
+    // Draw the video frame (replayed frames have no image)
+    ctx.save();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (results.image) {
+        ctx.drawImage(results.image, 0, 0, canvas.width, canvas.height);
+    }
+
+    if (overlays.zoneLayout) {
+        drawZoneLayout(ctx, overlays.zoneLayout, overlays.highlights);
+    }
+
+    // Draw hand landmarks
+    for (const landmarks of results.multiHandLandmarks || []) {
+        drawConnectors(ctx, landmarks, HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 5 });
+        drawLandmarks(ctx, landmarks, { color: '#FF0000', lineWidth: 2 });
+    }
+
+    if (overlays.heightRange) {
+        drawCalibrationRange(ctx, overlays.heightRange);
+    }
+
+    if (overlays.theremin) {
+        drawThereminGuide(ctx, overlays.theremin.guide, overlays.theremin.readings, overlays.theremin.useFlats);
+    }
+
+    if (overlays.lesson) {
+        drawLesson(ctx, overlays.lesson.session, overlays.lesson.scale, overlays.lesson.heightRange);
+    }
+
+    ctx.restore();
+}
+
+// Create a renderer for the page's canvas, status bar and debug panel
+function createUiRenderer(bus, { canvas, statusElement, debugElement }) {
+    const ctx = canvas.getContext('2d');
+
+    const renderer = {
+        ctx,
+
+        drawFrame(results, overlays) {
+            drawHandFrame(ctx, results, overlays);
+        },
+
+        clear() {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+        },
+
+        // Show what is loading, or what went wrong, above the controls.
+        // type is 'info', 'ready' or 'error'.
+        showStatus(message, type = 'info') {
+            statusElement.textContent = message;
+            statusElement.className = `status ${type}`;
+        },
+
+        // Show debug text (HTML) for each hand, skipping hands with none
+        showDebug(handTexts) {
+            debugElement.innerHTML = handTexts.filter(text => text).join('<br><br>');
+        }
+    };
+
+    bus.on('status', ({ message, type }) => renderer.showStatus(message, type));
+
+    return renderer;
+}
+
+export {
+    HAND_CONNECTIONS,
+    drawConnectors,
+    drawLandmarks,
+    drawCalibrationRange,
+    drawHandFrame,
+    createUiRenderer
+};
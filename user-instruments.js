@@ -0,0 +1,427 @@
+// User instruments: sampled instruments built from the player's own audio files and
+// synths defined in JSON patch files, added to the instruments table at runtime and
+// saved in IndexedDB for next time. Teams share them as instrument packs: a zip or a
+// folder of samples, patches and Sampler definitions.
+//
+// A synth patch (filter and filterEnvelope need the MonoSynth type):
+//   { "name": "Soft Pad", "type": "Synth", "polyphonic": true, "volume": -6,
+//     "oscillator": { "type": "sawtooth" },
+//     "envelope": { "attack": 0.4, "decay": 0.2, "sustain": 0.6, "release": 2 },
+//     "filter": { "type": "lowpass", "Q": 2 }, "filterEnvelope": { "baseFrequency": 200, "octaves": 3 } }
+// A Sampler definition, naming audio files that come with it:
+//   { "name": "Choir", "type": "Sampler", "samples": { "C4": "choir-c4.wav", "G4": "choir-g4.wav" }, "release": 1.5 }
+// Audio files no definition names make one more Sampler, each file playing the note in
+// its name, like "C4.wav", "Fs3.mp3" (F sharp), "violin_Db5.ogg" or "60.wav" (MIDI number).
+
+import { noteToMidi, midiToNote } from './scales.js';
+import { instruments, createSampler } from './instruments.js';
+import { readZipFile } from './zip-file.js';
+
+// Where user instruments are saved
+const userInstrumentDatabase = {
+    name: 'handGestureMusic',
+    version: 1,
+    store: 'instruments'
+};
+
+// Tone.js voices a synth patch can use, and whether they have a filter
+const synthPatchTypes = {
+    Synth: { filter: false },
+    FMSynth: { filter: false },
+    AMSynth: { filter: false },
+    MonoSynth: { filter: true }
+};
+
+// Patch settings passed on to the Tone.js voice
+const synthPatchOptions = ['oscillator', 'envelope', 'filter', 'filterEnvelope', 'modulation',
+    'modulationEnvelope', 'harmonicity', 'modulationIndex', 'detune', 'portamento'];
+
+// Files that can be samples, and their types for files read out of a zip
+const audioFileTypes = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    flac: 'audio/flac',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    webm: 'audio/webm'
+};
+
+const defaultSamplerRelease = 1; // seconds
+const defaultPackName = 'My Samples';
+
+// Object URLs of each registered sampler's samples, by instrument id
+const sampleUrls = new Map();
+
+// The extension of a file name, lower case, like 'wav'
+function getFileExtension(path) {
+    const match = /\.([^./]+)$/.exec(path);
+    return match ? match[1].toLowerCase() : '';
+}
+
+// The last part of a file path without its extension, like 'C4' for 'piano/C4.wav'
+function getFileBaseName(path) {
+    return path.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+// Whether a file can be a sample, going by its name
+function isAudioFileName(path) {
+    return getFileExtension(path) in audioFileTypes;
+}
+
+// Files zip tools and operating systems add that are never part of a pack
+function isHiddenFileName(path) {
+    return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+// The note a sample file plays, from its name, as a note name like "F#3", or null.
+// The last note in the name counts ("Piano_A0v8.wav" is A0), "s" can stand for a
+// sharp ("Fs3"), and a name that is only a number is a MIDI note.
+function getNoteFromFileName(path) {
+    const baseName = getFileBaseName(path);
+
+    if (/^\d{1,3}$/.test(baseName)) {
+        const midi = parseInt(baseName, 10);
+        return midi <= 127 ? midiToNote(midi) : null;
+    }
+
+    const matches = [...baseName.matchAll(/(?:^|[^A-Za-z])([A-Ga-g])(#|s|b)?(-?\d)(?!\d)/g)];
+    if (matches.length === 0) return null;
+
+    const [, letter, accidental, octave] = matches[matches.length - 1];
+    const midi = noteToMidi(`${letter.toUpperCase()}${accidental === 's' ? '#' : accidental || ''}${octave}`);
+    return midi >= 0 && midi <= 127 ? midiToNote(midi) : null;
+}
+
+// Map sample files to the notes in their names. Returns { samples: { note: path },
+// unmapped: [paths] }, where unmapped files name no note or a note already taken.
+function buildSampleMap(paths) {
+    const samples = {};
+    const unmapped = [];
+
+    for (const path of paths) {
+        const note = getNoteFromFileName(path);
+        if (note && !samples[note]) {
+            samples[note] = path;
+        } else {
+            unmapped.push(path);
+        }
+    }
+    return { samples, unmapped };
+}
+
+// Check a synth patch and pick out its settings. Returns { kind: 'synth', name, patch }.
+function parseSynthPatch(definition) {
+    const type = synthPatchTypes[definition.type];
+    if (!type) {
+        throw new Error(`Unknown instrument type: ${definition.type} (use ${[...Object.keys(synthPatchTypes), 'Sampler'].join(', ')})`);
+    }
+    if (!type.filter && (definition.filter || definition.filterEnvelope)) {
+        throw new Error(`A ${definition.type} has no filter, use the MonoSynth type for a filter`);
+    }
+    if (definition.volume !== undefined && typeof definition.volume !== 'number') {
+        throw new Error('The volume must be a number of dB');
+    }
+
+    const options = {};
+    for (const key of synthPatchOptions) {
+        if (definition[key] === undefined) continue;
+        if (['oscillator', 'envelope', 'filter', 'filterEnvelope', 'modulation', 'modulationEnvelope'].includes(key) &&
+            (typeof definition[key] !== 'object' || definition[key] === null)) {
+            throw new Error(`The ${key} must be an object of settings`);
+        }
+        options[key] = definition[key];
+    }
+
+    return {
+        kind: 'synth',
+        name: definition.name,
+        patch: {
+            type: definition.type,
+            polyphonic: definition.polyphonic !== false,
+            volume: definition.volume || 0,
+            options
+        }
+    };
+}
+
+// Read an instrument definition file: a synth patch or a Sampler definition.
+// Returns { kind: 'synth', name, patch } or { kind: 'sampler', name, samples: { note: file name }, release }.
+function parseInstrumentDefinition(text) {
+    const definition = JSON.parse(text);
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('Not an instrument definition');
+    }
+    if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+        throw new Error('The instrument needs a name');
+    }
+
+    if (definition.type !== 'Sampler') {
+        return parseSynthPatch(definition);
+    }
+
+    const samples = definition.samples;
+    if (!samples || typeof samples !== 'object' || Object.keys(samples).length === 0) {
+        throw new Error('A Sampler needs samples, like { "C4": "c4.wav" }');
+    }
+    for (const [note, file] of Object.entries(samples)) {
+        noteToMidi(note);
+        if (typeof file !== 'string') {
+            throw new Error(`The sample for ${note} must be a file name`);
+        }
+    }
+
+    return {
+        kind: 'sampler',
+        name: definition.name,
+        samples: { ...samples },
+        release: typeof definition.release === 'number' ? definition.release : defaultSamplerRelease
+    };
+}
+
+// Build instruments from a pack's files: [{ name (its path), blob }]. Definition files
+// become their instruments, and audio files no Sampler definition names make a Sampler
+// named after the pack's folder. Returns { instruments, problems }, with instruments
+// ready to save (apart from their ids) and a message for each file that couldn't be used.
+async function buildUserInstruments(files) {
+    const usable = files.filter(file => !isHiddenFileName(file.name));
+    const audioFiles = usable.filter(file => isAudioFileName(file.name));
+    const audioByName = new Map(audioFiles.map(file => [file.name.split('/').pop().toLowerCase(), file]));
+    const usedAudio = new Set();
+    const built = [];
+    const problems = [];
+
+    for (const file of usable.filter(file => getFileExtension(file.name) === 'json')) {
+        let definition;
+        try {
+            definition = parseInstrumentDefinition(await file.blob.text());
+        } catch (error) {
+            problems.push(`${file.name}: ${error.message}`);
+            continue;
+        }
+
+        if (definition.kind === 'synth') {
+            built.push({ name: definition.name, kind: 'synth', patch: definition.patch });
+            continue;
+        }
+
+        // A Sampler definition names its files without their folders
+        const samples = {};
+        for (const [note, fileName] of Object.entries(definition.samples)) {
+            const audio = audioByName.get(fileName.split('/').pop().toLowerCase());
+            if (audio) {
+                samples[note] = { name: audio.name, blob: audio.blob };
+                usedAudio.add(audio);
+            } else {
+                problems.push(`${file.name}: no sample file called ${fileName}`);
+            }
+        }
+        if (Object.keys(samples).length > 0) {
+            built.push({ name: definition.name, kind: 'sampler', samples, release: definition.release });
+        }
+    }
+
+    // Loose audio files are mapped by the notes in their names
+    const looseAudio = audioFiles.filter(file => !usedAudio.has(file));
+    const { samples: looseSamples, unmapped } = buildSampleMap(looseAudio.map(file => file.name));
+    if (Object.keys(looseSamples).length > 0) {
+        const samples = {};
+        for (const [note, path] of Object.entries(looseSamples)) {
+            samples[note] = { name: path, blob: looseAudio.find(file => file.name === path).blob };
+        }
+        built.push({ name: getPackName(files), kind: 'sampler', samples, release: defaultSamplerRelease });
+    }
+    unmapped.forEach(path => problems.push(`${path}: no note in its name, or another file already plays it`));
+
+    usable.filter(file => !isAudioFileName(file.name) && getFileExtension(file.name) !== 'json')
+        .forEach(file => problems.push(`${file.name}: not an audio or instrument file`));
+
+    return { instruments: built, problems };
+}
+
+// The folder the files of a pack share, or a default name
+function getPackName(files) {
+    const folders = new Set(files.map(file => (file.name.includes('/') ? file.name.split('/')[0] : null)));
+    const [folder] = folders;
+    return folders.size === 1 && folder ? folder : defaultPackName;
+}
+
+// An id for a new instrument that no other instrument has, like 'user-soft-pad'
+function getUserInstrumentId(name, takenIds) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'instrument';
+    let id = `user-${slug}`;
+    for (let i = 2; takenIds.includes(id); i++) {
+        id = `user-${slug}-${i}`;
+    }
+    return id;
+}
+
+// Read files picked or dropped by the player, unpacking zips. Each zip's files keep
+// the zip's name as their folder. Resolves to [{ name (a path), blob }].
+async function readInstrumentFiles(fileList) {
+    const files = [];
+    for (const file of fileList) {
+        const name = file.relativePath || file.webkitRelativePath || file.name;
+        if (getFileExtension(name) !== 'zip') {
+            files.push({ name, blob: file });
+            continue;
+        }
+
+        const folder = getFileBaseName(name);
+        for (const entry of await readZipFile(new Uint8Array(await file.arrayBuffer()))) {
+            const type = audioFileTypes[getFileExtension(entry.name)] || '';
+            files.push({ name: `${folder}/${entry.name}`, blob: new Blob([entry.data], { type }) });
+        }
+    }
+    return files;
+}
+
+// Gather the files dropped on the page, going into dropped folders. Resolves to File
+// objects, each with its path in the folder as relativePath.
+async function getDroppedFiles(dataTransfer) {
+    const entries = [...dataTransfer.items]
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(entry => entry);
+
+    // Without folder support, take the files as they are
+    if (entries.length === 0) {
+        return [...dataTransfer.files];
+    }
+
+    const files = [];
+    const visit = async entry => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            file.relativePath = entry.fullPath.replace(/^\//, '');
+            files.push(file);
+            return;
+        }
+
+        // Folders hand over their contents a batch at a time, until an empty batch
+        const reader = entry.createReader();
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            for (const child of batch) {
+                await visit(child);
+            }
+        }
+    };
+    for (const entry of entries) {
+        await visit(entry);
+    }
+    return files;
+}
+
+// Build the Tone.js instrument a synth patch describes
+function createPatchSynth(patch) {
+    const voice = Tone[patch.type];
+    const synth = patch.polyphonic ? new Tone.PolySynth(voice, patch.options) : new voice(patch.options);
+    synth.volume.value = patch.volume;
+    return synth;
+}
+
+// Add a saved user instrument to the instruments table, under its id
+function registerUserInstrument(record) {
+    if (record.kind === 'synth') {
+        instruments[record.id] = {
+            name: record.name,
+            user: true,
+            create: () => createPatchSynth(record.patch)
+        };
+        return;
+    }
+
+    // Samples play from object URLs made once, so switching back to the instrument is quick
+    const urls = {};
+    for (const [note, sample] of Object.entries(record.samples)) {
+        urls[note] = URL.createObjectURL(sample.blob);
+    }
+    sampleUrls.set(record.id, urls);
+
+    instruments[record.id] = {
+        name: record.name,
+        user: true,
+        create: onStatus => {
+            const sampler = createSampler(record.name, urls, '', onStatus);
+            sampler.release = record.release;
+            return sampler;
+        }
+    };
+}
+
+// Take a user instrument out of the instruments table, freeing its samples
+function unregisterUserInstrument(id) {
+    const urls = sampleUrls.get(id);
+    if (urls) {
+        Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+        sampleUrls.delete(id);
+    }
+    delete instruments[id];
+}
+
+// Open the database, creating its store the first time
+function openUserInstrumentDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(userInstrumentDatabase.name, userInstrumentDatabase.version);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(userInstrumentDatabase.store, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request on the instrument store. Resolves to its result once saved.
+async function runUserInstrumentRequest(mode, makeRequest) {
+    const database = await openUserInstrumentDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(userInstrumentDatabase.store, mode);
+        const request = makeRequest(transaction.objectStore(userInstrumentDatabase.store));
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(request.result);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+// Read every saved user instrument
+function loadUserInstruments() {
+    return runUserInstrumentRequest('readonly', store => store.getAll());
+}
+
+// Save a user instrument, replacing any with the same id
+function saveUserInstrument(record) {
+    return runUserInstrumentRequest('readwrite', store => store.put(record));
+}
+
+function deleteUserInstrument(id) {
+    return runUserInstrumentRequest('readwrite', store => store.delete(id));
+}
+
+export {
+    synthPatchTypes,
+    audioFileTypes,
+    getFileBaseName,
+    isAudioFileName,
+    getNoteFromFileName,
+    buildSampleMap,
+    parseSynthPatch,
+    parseInstrumentDefinition,
+    buildUserInstruments,
+    getUserInstrumentId,
+    readInstrumentFiles,
+    getDroppedFiles,
+    createPatchSynth,
+    registerUserInstrument,
+    unregisterUserInstrument,
+    loadUserInstruments,
+    saveUserInstrument,
+    deleteUserInstrument
+};
@@ -0,0 +1,204 @@
+// Voice management: keeps track of which notes each finger is holding, so fingers
+// start and stop their own notes without cutting off the others
+
+// Finger press detection on the calibrated extension (0 = curled, 1 = straight).
+// A finger is pressed when it bends below pressThreshold and lifted when it
+// straightens past releaseThreshold; the gap between them stops jitter retriggering.
+const fingerPressSettings = {
+    pressThreshold: 0.5,
+    releaseThreshold: 0.65
+};
+
+// Create press/release tracking for the five fingers of one hand
+function createFingerPressTracker(settings = fingerPressSettings) {
+    const tracker = {
+        // null until the first frame, then true/false for each finger
+        isDown: null,
+
+        // Update from finger positions (with extensionRatio), returns the fingers
+        // that were pressed and lifted this frame
+        update(fingerPositions) {
+            const pressed = [];
+            const released = [];
+
+            if (!tracker.isDown) {
+                // Fingers that are already bent when the hand appears don't play
+                tracker.isDown = fingerPositions.map(position => position.extensionRatio < settings.pressThreshold);
+                return { pressed, released };
+            }
+
+            fingerPositions.forEach((position, finger) => {
+                if (!tracker.isDown[finger] && position.extensionRatio < settings.pressThreshold) {
+                    tracker.isDown[finger] = true;
+                    pressed.push(finger);
+                } else if (tracker.isDown[finger] && position.extensionRatio > settings.releaseThreshold) {
+                    tracker.isDown[finger] = false;
+                    released.push(finger);
+                }
+            });
+
+            return { pressed, released };
+        },
+
+        // Forget the finger states, e.g. when the hand leaves the picture
+        reset() {
+            tracker.isDown = null;
+        }
+    };
+
+    return tracker;
+}
+
+// Create a voice manager that sends notes to an output (see note-output.js).
+// getOutput is called for every note so output changes are followed.
+// Voices are identified by a string, like "Right:1" for the right index finger.
+//
+// Polyphonic outputs: every voice sounds its own notes. If two voices share a note
+// it is retriggered, and only released once neither voice holds it.
+// Monophonic outputs: the last pressed voice sounds. Changing note while another voice
+// is held glides legato, and releasing it falls back to the most recent held voice.
+// noteOn and noteOff take an optional audio time to play at (see note-output.js).
+function createVoiceManager(getOutput, callbacks = {}) {
+    const onNoteOn = callbacks.onNoteOn || (() => {});
+    const onNoteOff = callbacks.onNoteOff || (() => {});
+
+    const voices = new Map(); // voiceId -> { notes, velocity, token, mono }
+    const noteCounts = new Map(); // note -> number of voices holding it (polyphonic)
+    let monoStack = []; // held voiceIds, most recent last (monophonic)
+    let monoSounding = null; // { voiceId, note } currently sounding (monophonic)
+    let lastToken = 0;
+
+    // Start a note on the output and report it
+    const startNote = (note, velocity, voiceId, time) => {
+        getOutput().noteOn(note, velocity, time);
+        onNoteOn(note, velocity, voiceId);
+    };
+
+    // Stop a note on the output and report it
+    const stopNote = (note, voiceId, time) => {
+        getOutput().noteOff(note, time);
+        onNoteOff(note, voiceId);
+    };
+
+    const manager = {
+        // Start notes for a voice, replacing anything it was holding.
+        // Returns a token that can be passed to noteOff to release only this press.
+        noteOn(voiceId, notes, velocity, time) {
+            if (voices.has(voiceId)) {
+                manager.noteOff(voiceId, undefined, time);
+            }
+
+            const token = ++lastToken;
+            const mono = getOutput().isMonophonic();
+            voices.set(voiceId, { notes, velocity, token, mono });
+
+            if (mono) {
+                const note = notes[0];
+                monoStack.push(voiceId);
+
+                if (monoSounding) {
+                    // Another finger is still down: glide to the new note without retriggering
+                    getOutput().changeNote(monoSounding.note, note, velocity, time);
+                    onNoteOff(monoSounding.note, monoSounding.voiceId);
+                    onNoteOn(note, velocity, voiceId);
+                } else {
+                    startNote(note, velocity, voiceId, time);
+                }
+                monoSounding = { voiceId, note };
+            } else {
+                for (const note of notes) {
+                    const count = noteCounts.get(note) || 0;
+                    if (count > 0) {
+                        // Already held by another voice: retrigger it
+                        stopNote(note, voiceId, time);
+                    }
+                    startNote(note, velocity, voiceId, time);
+                    noteCounts.set(note, count + 1);
+                }
+            }
+
+            return token;
+        },
+
+        // Release a voice. With a token, only release it if it is still that press.
+        noteOff(voiceId, token, time) {
+            const voice = voices.get(voiceId);
+            if (!voice || (token !== undefined && voice.token !== token)) return;
+
+            voices.delete(voiceId);
+
+            if (voice.mono) {
+                monoStack = monoStack.filter(id => id !== voiceId);
+
+                if (monoSounding && monoSounding.voiceId === voiceId) {
+                    const previousId = monoStack[monoStack.length - 1];
+                    if (previousId) {
+                        // Last-note priority: go back to the most recent finger still down
+                        const previous = voices.get(previousId);
+                        getOutput().changeNote(monoSounding.note, previous.notes[0], previous.velocity, time);
+                        onNoteOff(monoSounding.note, voiceId);
+                        onNoteOn(previous.notes[0], previous.velocity, previousId);
+                        monoSounding = { voiceId: previousId, note: previous.notes[0] };
+                    } else {
+                        stopNote(monoSounding.note, voiceId, time);
+                        monoSounding = null;
+                    }
+                }
+                return;
+            }
+
+            for (const note of voice.notes) {
+                const count = (noteCounts.get(note) || 1) - 1;
+                if (count <= 0) {
+                    noteCounts.delete(note);
+                    stopNote(note, voiceId, time);
+                } else {
+                    noteCounts.set(note, count);
+                }
+            }
+        },
+
+        // Release every voice whose id starts with prefix (like "Left:" for one hand)
+        releaseMatching(prefix) {
+            // Release the sounding voice last so a monophonic output doesn't glide back to the others
+            const ids = [...voices.keys()].filter(id => id.startsWith(prefix));
+            const sounding = monoSounding && ids.includes(monoSounding.voiceId) ? monoSounding.voiceId : null;
+            ids.filter(id => id !== sounding).forEach(id => manager.noteOff(id));
+            if (sounding) {
+                manager.noteOff(sounding);
+            }
+        },
+
+        // Release everything, and make sure the output is silent
+        releaseAll() {
+            manager.releaseMatching('');
+            getOutput().releaseAll();
+            noteCounts.clear();
+            monoStack = [];
+            monoSounding = null;
+        },
+
+        // Notes a voice is sounding
+        getVoiceNotes(voiceId) {
+            const voice = voices.get(voiceId);
+            if (!voice) return [];
+            if (monoSounding) {
+                return monoSounding.voiceId === voiceId ? [monoSounding.note] : [];
+            }
+            return voice.notes;
+        },
+
+        // Every voice currently held
+        getVoiceIds() {
+            return [...voices.keys()];
+        }
+    };
+
+    return manager;
+}
+
+export {
+    fingerPressSettings,
+    createFingerPressTracker,
+    createVoiceManager
+};
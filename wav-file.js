@@ -0,0 +1,93 @@
+// WAV file writer. Self-contained (no DOM, Tone.js or network)
+// so it also runs in Node.
+
+// Default file settings
+const wavFileDefaults = {
+    bitDepth: 16
+};
+
+// Bit depths of the integer PCM files that can be written
+const wavBitDepths = [16, 24];
+
+// Size of the RIFF, fmt and data chunk headers
+const wavHeaderSize = 44;
+
+// Convert a -1..1 sample to a signed integer at a bit depth. Anything louder than full
+// scale is clipped, and samples that aren't numbers are written as silence.
+function toPcmSample(sample, bitDepth) {
+    if (!Number.isFinite(sample)) return 0;
+
+    const clipped = Math.max(-1, Math.min(1, sample));
+    const fullScale = 2 ** (bitDepth - 1);
+    return clipped < 0 ? Math.round(clipped * fullScale) : Math.round(clipped * (fullScale - 1));
+}
+
+// Write an ASCII chunk id
+function writeChunkId(view, offset, id) {
+    for (let i = 0; i < id.length; i++) {
+        view.setUint8(offset + i, id.charCodeAt(i));
+    }
+}
+
+// Encode audio as a WAV file of integer PCM samples.
+// channels: one array of -1..1 samples (like a Float32Array) per channel, all the same length.
+// Returns the file's bytes.
+function encodeWavFile(channels, sampleRate, bitDepth = wavFileDefaults.bitDepth) {
+    if (!wavBitDepths.includes(bitDepth)) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+    if (channels.length === 0) {
+        throw new Error('Cannot write a WAV file without audio channels');
+    }
+
+    const frameCount = channels[0].length;
+    if (channels.some(channel => channel.length !== frameCount)) {
+        throw new Error('Every channel of a WAV file must have the same number of samples');
+    }
+
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels.length * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+    const view = new DataView(new ArrayBuffer(wavHeaderSize + dataSize));
+
+    writeChunkId(view, 0, 'RIFF');
+    view.setUint32(4, wavHeaderSize - 8 + dataSize, true);
+    writeChunkId(view, 8, 'WAVE');
+
+    writeChunkId(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // integer PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // bytes per second
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    writeChunkId(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Samples are interleaved, one frame (a sample of every channel) after another
+    let offset = wavHeaderSize;
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (const channel of channels) {
+            const value = toPcmSample(channel[frame], bitDepth);
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Uint8Array(view.buffer);
+}
+
+export {
+    wavFileDefaults,
+    wavBitDepths,
+    toPcmSample,
+    encodeWavFile
+};
@@ -0,0 +1,105 @@
+// Zip file reader, for instrument packs. Self-contained (no DOM, Tone.js or network)
+// so it also runs in Node. Reads stored and deflated files, which is what zip tools
+// write by default; encrypted and Zip64 archives are reported as unsupported.
+
+// Record signatures
+const endOfCentralDirectorySignature = 0x06054B50;
+const centralDirectorySignature = 0x02014B50;
+const localFileSignature = 0x04034B50;
+
+// Compression methods
+const zipMethods = {
+    stored: 0,
+    deflated: 8
+};
+
+// Find the end of central directory record, which sits before an optional comment at the end
+function findEndOfCentralDirectory(view) {
+    const lowest = Math.max(0, view.byteLength - 22 - 0xFFFF);
+    for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+        if (view.getUint32(offset, true) === endOfCentralDirectorySignature) {
+            return offset;
+        }
+    }
+    throw new Error('Not a zip file: no end of central directory');
+}
+
+// Undo deflate compression, with the streams built into browsers and Node
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// List the files in a zip: [{ name, method, compressedSize, size, dataOffset }], leaving out folders
+function listZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    if (offset === 0xFFFFFFFF || entryCount === 0xFFFF) {
+        throw new Error('Zip64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== centralDirectorySignature) {
+            throw new Error('Invalid zip file: broken central directory');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) {
+            throw new Error(`Encrypted zip files are not supported: ${name}`);
+        }
+
+        // The data follows the local header, whose name and extra field can differ in length
+        if (view.getUint32(localOffset, true) !== localFileSignature) {
+            throw new Error(`Invalid zip file: missing local header for ${name}`);
+        }
+        const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+
+        entries.push({ name, method, compressedSize, size, dataOffset });
+    }
+    return entries;
+}
+
+// Read every file in a zip. Resolves to [{ name (its path in the zip), data (bytes) }].
+async function readZipFile(bytes) {
+    const files = [];
+    for (const entry of listZipEntries(bytes)) {
+        const compressed = bytes.subarray(entry.dataOffset, entry.dataOffset + entry.compressedSize);
+
+        let data;
+        if (entry.method === zipMethods.stored) {
+            data = compressed.slice();
+        } else if (entry.method === zipMethods.deflated) {
+            data = await inflateRaw(compressed);
+        } else {
+            throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+        }
+
+        if (data.length !== entry.size) {
+            throw new Error(`Invalid zip file: ${entry.name} has the wrong size`);
+        }
+        files.push({ name: entry.name, data });
+    }
+    return files;
+}
+
+export {
+    zipMethods,
+    listZipEntries,
+    readZipFile
+};
@@ -0,0 +1,320 @@
+// Zone layouts: labelled note zones drawn over the camera picture (a piano strip,
+// an isomorphic hex grid or drum pads). A note plays when a fingertip enters a zone,
+// or taps towards the camera inside one.
+
+import { noteToMidi, midiToNote } from './scales.js';
+
+// Layouts the player can choose. 'height' is the original mode: no zones, the
+// height of each fingertip picks the note.
+const zoneLayouts = {
+    height: { name: 'Finger Height' },
+    piano: { name: 'Piano Strip' },
+    hex: { name: 'Hex Grid' },
+    pads: { name: 'Drum Pads' }
+};
+
+// How a fingertip plays a zone
+const zoneTriggers = {
+    enter: { name: 'Enter Zone' },
+    tap: { name: 'Tap Towards Camera' }
+};
+
+const zoneTriggerSettings = {
+    // How far (in image widths) a finger can stray outside its zone before it lets go,
+    // so fingers resting on an edge don't flicker between zones
+    margin: 0.02,
+    // Speed towards the camera (image widths per second) that counts as a tap
+    tapSpeed: 0.5,
+    // Speed away from the camera that lifts a tapped finger
+    liftSpeed: 0.3
+};
+
+// Black keys by pitch class
+const blackKeyPitchClasses = [1, 3, 6, 8, 10];
+
+// Create a zone for one MIDI note, with how it relates to the scale
+function createNoteZone(id, midi, scaleMidis, useFlats, shape) {
+    const pitchClasses = scaleMidis.map(value => value % 12);
+    const degree = scaleMidis.indexOf(midi);
+    const note = midiToNote(midi, useFlats);
+
+    return {
+        id,
+        note,
+        label: note.replace(/-?\d+$/, ''),
+        degree: degree >= 0 ? degree : null,
+        inScale: pitchClasses.includes(midi % 12),
+        isRoot: midi % 12 === pitchClasses[0],
+        ...shape
+    };
+}
+
+// Piano keys covering the scale, with the black keys listed first so they win hit tests
+function buildPianoZones(scaleMidis, useFlats) {
+    const isBlack = midi => blackKeyPitchClasses.includes(midi % 12);
+    let low = scaleMidis[0];
+    let high = scaleMidis[scaleMidis.length - 1];
+    // Start and end the strip on white keys
+    if (isBlack(low)) low--;
+    if (isBlack(high)) high++;
+
+    const whiteCount = Array.from({ length: high - low + 1 }, (_, i) => low + i).filter(midi => !isBlack(midi)).length;
+    const keyWidth = 0.9 / whiteCount;
+    const top = 0.6;
+    const bottom = 0.95;
+
+    const whiteKeys = [];
+    const blackKeys = [];
+    let whiteIndex = 0;
+    for (let midi = low; midi <= high; midi++) {
+        if (isBlack(midi)) {
+            // Black keys sit across the line between two white keys
+            const x = 0.05 + whiteIndex * keyWidth - keyWidth * 0.3;
+            blackKeys.push(createNoteZone(`piano-${midi}`, midi, scaleMidis, useFlats, {
+                shape: 'rect', x, y: top, width: keyWidth * 0.6, height: (bottom - top) * 0.6, isBlack: true
+            }));
+        } else {
+            const x = 0.05 + whiteIndex * keyWidth;
+            whiteKeys.push(createNoteZone(`piano-${midi}`, midi, scaleMidis, useFlats, {
+                shape: 'rect', x, y: top, width: keyWidth, height: bottom - top, isBlack: false
+            }));
+            whiteIndex++;
+        }
+    }
+
+    return [...blackKeys, ...whiteKeys];
+}
+
+// Wicki-Hayden hex grid: a step right is a whole tone, up-right a fifth and up-left a
+// fourth, so every chord and scale has the same shape in every key
+function buildHexZones(scaleMidis, useFlats, aspect) {
+    const rows = 4;
+    const columns = 8;
+    // Circumradius in image widths, sized so each row (offset by half a hex) fits 90% of the width
+    const radius = 0.9 / (Math.sqrt(3) * (columns + 0.5));
+    const left = 0.05 + Math.sqrt(3) * radius / 2;
+    const bottom = 0.95 - radius * aspect;
+
+    const zones = [];
+    for (let row = 0; row < rows; row++) {
+        // Axial coordinates, shifted so the rows stack into a rectangle
+        const firstColumn = -Math.floor(row / 2);
+        for (let column = firstColumn; column < firstColumn + columns; column++) {
+            const midi = scaleMidis[0] + 2 * column + 7 * row;
+            zones.push(createNoteZone(`hex-${row}-${column}`, midi, scaleMidis, useFlats, {
+                shape: 'hex',
+                cx: left + Math.sqrt(3) * radius * (column + row / 2),
+                cy: bottom - 1.5 * radius * aspect * row,
+                radius
+            }));
+        }
+    }
+    return zones;
+}
+
+// Rectangles for count pads in two rows, numbered from the bottom left
+function getPadRects(count) {
+    const columns = Math.ceil(count / 2);
+    const gap = 0.02;
+    const width = (0.9 - gap * (columns - 1)) / columns;
+    const height = (0.45 - gap) / 2;
+
+    return Array.from({ length: count }, (_, i) => {
+        const row = Math.floor(i / columns);
+        const column = i % columns;
+        return {
+            shape: 'rect',
+            x: 0.05 + column * (width + gap),
+            y: 0.95 - (row + 1) * height - row * gap,
+            width,
+            height
+        };
+    });
+}
+
+// Up to eight pads, one per scale degree, lowest notes on the bottom row
+function buildPadZones(scaleMidis, useFlats) {
+    const midis = scaleMidis.slice(0, 8);
+    const rects = getPadRects(midis.length);
+    return midis.map((midi, i) => createNoteZone(`pad-${i}`, midi, scaleMidis, useFlats, rects[i]));
+}
+
+// Build a layout for the notes of a scale (see scales.js).
+// Zone positions are fractions of the image, like MediaPipe landmarks.
+// aspect is the canvas width / height, used to keep hexagons regular.
+function buildZoneLayout(type, scaleNotes, { useFlats = false, aspect = 4 / 3 } = {}) {
+    if (type === 'height' || !zoneLayouts[type]) {
+        return null;
+    }
+
+    const scaleMidis = scaleNotes.map(noteToMidi);
+    const builders = {
+        piano: () => buildPianoZones(scaleMidis, useFlats),
+        hex: () => buildHexZones(scaleMidis, useFlats, aspect),
+        pads: () => buildPadZones(scaleMidis, useFlats)
+    };
+
+    return { type, aspect, zones: builders[type]() };
+}
+
+// Whether a point (image fractions) is inside a zone, grown by margin image widths
+function isInsideZone(zone, x, y, aspect, margin = 0) {
+    if (zone.shape === 'hex') {
+        // Work in image widths so the hexagon is regular
+        const dx = Math.abs(x - zone.cx);
+        const dy = Math.abs(y - zone.cy) / aspect;
+        const inner = (zone.radius + margin) * Math.sqrt(3) / 2;
+        return dx <= inner && dx / 2 + dy * Math.sqrt(3) / 2 <= inner;
+    }
+
+    const marginY = margin * aspect;
+    return x >= zone.x - margin && x <= zone.x + zone.width + margin &&
+        y >= zone.y - marginY && y <= zone.y + zone.height + marginY;
+}
+
+// The zone under a point, or null
+function findZone(layout, x, y) {
+    return layout.zones.find(zone => isInsideZone(zone, x, y, layout.aspect)) || null;
+}
+
+// Create zone tracking for the five fingertips of one hand
+function createZoneTracker(settings = zoneTriggerSettings) {
+    const tracker = {
+        // Zone each fingertip is over, and the zone each finger is playing (or null)
+        hoverZones: [null, null, null, null, null],
+        heldZones: [null, null, null, null, null],
+        lastPositions: null,
+
+        // Update from finger positions, returns the fingers that started playing a zone
+        // (with the zone and how fast the finger moved) and the fingers that let go
+        update(fingerPositions, layout, trigger, frameTime) {
+            const pressed = [];
+            const released = [];
+            const seconds = frameTime > 0 ? frameTime : 1 / 30;
+            const lastPositions = tracker.lastPositions;
+            tracker.lastPositions = fingerPositions;
+
+            fingerPositions.forEach((position, finger) => {
+                const zone = findZone(layout, position.x, position.y);
+                tracker.hoverZones[finger] = zone;
+
+                // Nothing to compare with when the hand first appears. Fingers that are
+                // already in a zone don't play until they leave it and come back.
+                if (!lastPositions) {
+                    tracker.heldZones[finger] = trigger === 'tap' ? null : zone;
+                    return;
+                }
+                const last = lastPositions[finger];
+                const held = tracker.heldZones[finger];
+
+                // Fingertips come towards the camera as z gets smaller
+                const zSpeed = (position.z - last.z) / seconds;
+                const stillInside = held && isInsideZone(held, position.x, position.y, layout.aspect, settings.margin);
+
+                if (held && (!stillInside || (trigger === 'tap' && zSpeed > settings.liftSpeed))) {
+                    tracker.heldZones[finger] = null;
+                    released.push(finger);
+                }
+                if (tracker.heldZones[finger] || !zone) return;
+
+                if (trigger === 'tap') {
+                    if (-zSpeed > settings.tapSpeed) {
+                        tracker.heldZones[finger] = zone;
+                        pressed.push({ finger, zone, speed: -zSpeed });
+                    }
+                } else if (zone !== held) {
+                    // Entering a zone (or sliding from one into the next) plays it
+                    const speed = Math.sqrt(Math.pow(position.x - last.x, 2) + Math.pow(position.y - last.y, 2)) / seconds;
+                    tracker.heldZones[finger] = zone;
+                    pressed.push({ finger, zone, speed });
+                }
+            });
+
+            return { pressed, released };
+        },
+
+        // Forget the fingers, e.g. when the hand leaves the picture or the layout changes
+        reset() {
+            tracker.hoverZones = [null, null, null, null, null];
+            tracker.heldZones = [null, null, null, null, null];
+            tracker.lastPositions = null;
+        }
+    };
+
+    return tracker;
+}
+
+// Draw a layout. active holds the ids of zones that are sounding, hover the ids
+// of zones a fingertip is over.
+function drawZoneLayout(ctx, layout, { active = new Set(), hover = new Set() } = {}) {
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+
+    const fillFor = zone => {
+        if (active.has(zone.id)) return 'rgba(52, 152, 219, 0.75)';
+        if (zone.isBlack) return zone.inScale ? 'rgba(44, 62, 80, 0.75)' : 'rgba(0, 0, 0, 0.6)';
+        if (zone.isRoot) return 'rgba(46, 204, 113, 0.35)';
+        return zone.inScale ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.12)';
+    };
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Draw white keys before the black keys that overlap them
+    const zones = layout.zones.slice().sort((a, b) => Number(Boolean(a.isBlack)) - Number(Boolean(b.isBlack)));
+    for (const zone of zones) {
+        ctx.beginPath();
+        let labelX;
+        let labelY;
+        let size;
+
+        if (zone.shape === 'hex') {
+            const cx = zone.cx * width;
+            const cy = zone.cy * height;
+            const radius = zone.radius * width;
+            for (let corner = 0; corner < 6; corner++) {
+                const angle = Math.PI / 3 * corner + Math.PI / 6;
+                const x = cx + radius * Math.cos(angle);
+                const y = cy + radius * Math.sin(angle);
+                corner === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+            }
+            ctx.closePath();
+            labelX = cx;
+            labelY = cy;
+            size = radius * 0.6;
+        } else {
+            ctx.rect(zone.x * width, zone.y * height, zone.width * width, zone.height * height);
+            labelX = (zone.x + zone.width / 2) * width;
+            // Label piano keys near the player's end of the key
+            labelY = (zone.y + zone.height * (zone.isBlack === undefined ? 0.5 : 0.8)) * height;
+            size = Math.min(zone.width * width * 0.5, zone.height * height * 0.3);
+        }
+
+        ctx.fillStyle = fillFor(zone);
+        ctx.fill();
+        ctx.lineWidth = hover.has(zone.id) ? 3 : 1;
+        ctx.strokeStyle = hover.has(zone.id) ? '#f1c40f' : 'rgba(255, 255, 255, 0.6)';
+        ctx.stroke();
+
+        if (zone.inScale || active.has(zone.id)) {
+            ctx.font = `${zone.inScale ? 'bold ' : ''}${Math.max(8, Math.round(size))}px sans-serif`;
+            ctx.fillStyle = zone.isBlack ? 'white' : '#2c3e50';
+            ctx.fillText(zone.label, labelX, labelY);
+        }
+    }
+
+    ctx.restore();
+}
+
+export {
+    zoneLayouts,
+    zoneTriggers,
+    zoneTriggerSettings,
+    getPadRects,
+    buildZoneLayout,
+    isInsideZone,
+    findZone,
+    createZoneTracker,
+    drawZoneLayout
+};